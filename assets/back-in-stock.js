@@ -0,0 +1,159 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+
+const STORAGE_KEY = 'theme:back-in-stock';
+
+/**
+ * The variants the shopper asked to be notified about in this browser.
+ * @returns {string[]}
+ */
+function getSubscriptions() {
+  try {
+    const variantIds = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+    return Array.isArray(variantIds) ? variantIds : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {string} variantId - The variant the shopper asked to be notified about.
+ */
+function addSubscription(variantId) {
+  const variantIds = getSubscriptions().filter((id) => id !== variantId);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([variantId, ...variantIds]));
+  } catch {
+    // The storage is unavailable, e.g. in private browsing, the form is shown again on the next visit
+  }
+}
+
+/**
+ * A custom element that takes the place of the add to cart buttons while the selected variant is sold out,
+ * for the shopper to be emailed when it's back. The request is posted to the store's contact form, tagged with
+ * the product and the variant, so that the staff can follow up on it.
+ *
+ * @typedef {object} BackInStockRefs
+ * @property {HTMLInputElement} tags - The tags of the contact request.
+ * @property {HTMLInputElement} variantTitle - The title of the variant, shown in the contact request.
+ * @property {HTMLInputElement} email - The email input.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} errorMessage - The reason the request couldn't be sent.
+ * @property {HTMLElement} successMessage - The message shown once the shopper asked for the variant.
+ *
+ * @extends {Component<BackInStockRefs>}
+ */
+class BackInStockComponent extends Component {
+  requiredRefs = ['tags', 'variantTitle', 'email', 'submitButton', 'errorMessage', 'successMessage'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.closest('.shopify-section, dialog')?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.closest('.shopify-section, dialog')?.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+  }
+
+  /**
+   * Posts the request to the contact form.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  subscribe = async (event) => {
+    event.preventDefault();
+
+    const { email, submitButton, errorMessage } = this.refs;
+    const form = this.querySelector('form');
+    const { variantId } = this.dataset;
+
+    if (!form || !variantId) return;
+
+    errorMessage.hidden = true;
+
+    if (!email.checkValidity()) {
+      this.#showError(errorMessage.dataset.invalidMessage);
+      email.focus();
+      return;
+    }
+
+    submitButton.disabled = true;
+
+    try {
+      const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+      const url = new URL(response.url, window.location.origin);
+
+      // The shop asks for a captcha, which only the page of the form can show
+      if (url.pathname.endsWith('/challenge')) {
+        form.submit();
+        return;
+      }
+
+      if (!response.ok || url.searchParams.get('contact_posted') !== 'true') {
+        throw new Error(`The contact form answered ${response.status} from ${url.pathname}`);
+      }
+
+      addSubscription(variantId);
+      email.value = '';
+      this.#render();
+    } catch (error) {
+      console.error(error);
+      this.#showError(errorMessage.dataset.errorMessage);
+    } finally {
+      submitButton.disabled = false;
+    }
+  };
+
+  /**
+   * Shows the form while the selected variant is sold out.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const variant = event.detail.resource;
+    const { tags, variantTitle, errorMessage } = this.refs;
+
+    this.dataset.variantId = String(variant?.id ?? '');
+    tags.value = `back-in-stock,product-${this.dataset.productId},variant-${variant?.id ?? ''}`;
+    variantTitle.value = variant?.title ?? '';
+    errorMessage.hidden = true;
+
+    this.hidden = !variant || variant.available;
+    this.#render();
+  };
+
+  /**
+   * Shows the form, or that the shopper already asked for the selected variant.
+   */
+  #render() {
+    const { successMessage } = this.refs;
+    const form = this.querySelector('form');
+    const subscribed = Boolean(this.dataset.variantId) && getSubscriptions().includes(this.dataset.variantId ?? '');
+
+    successMessage.hidden = !subscribed;
+    if (form) form.hidden = subscribed;
+  }
+
+  /**
+   * @param {string | undefined} message - The message.
+   */
+  #showError(message) {
+    const { errorMessage } = this.refs;
+
+    errorMessage.textContent = message ?? '';
+    errorMessage.hidden = false;
+  }
+}
+
+if (!customElements.get('back-in-stock-component')) {
+  customElements.define('back-in-stock-component', BackInStockComponent);
+}
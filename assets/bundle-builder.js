@@ -0,0 +1,253 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
+import { cartPerformance } from '@theme/performance';
+import { cartQueue } from '@theme/cart-queue';
+import { formatPrice } from '@theme/utilities';
+
+/**
+ * @typedef {object} BundleLine
+ * @property {HTMLElement} item - The product of the bundle.
+ * @property {number} id - The ID of the selected variant, `0` when the selected options don't make one.
+ * @property {number} quantity - The quantity.
+ * @property {number} price - The price of the variant, in cents.
+ * @property {boolean} available - Whether the variant can be bought.
+ */
+
+/**
+ * A custom element that adds several products to the cart in one request, each with the variant and the quantity
+ * picked by the shopper. The discount tiers are only announced, the cart applies them with automatic discounts.
+ *
+ * @typedef {object} BundleBuilderRefs
+ * @property {HTMLElement[]} [items] - The products of the bundle.
+ * @property {HTMLElement[]} [tiers] - The discount tiers, by increasing quantity.
+ * @property {HTMLElement} [message] - The message about the next tier.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the total.
+ * @property {HTMLElement} total - The total, after the discount of the tier reached.
+ * @property {HTMLElement} compareAtTotal - The total before the discount.
+ * @property {HTMLElement} errorMessage - The reason the bundle couldn't be added.
+ * @property {HTMLButtonElement} addButton - The add to cart button.
+ * @property {HTMLElement} liveRegion - The live region.
+ *
+ * @extends {Component<BundleBuilderRefs>}
+ */
+class BundleBuilderComponent extends Component {
+  requiredRefs = ['moneyFormat', 'total', 'compareAtTotal', 'errorMessage', 'addButton', 'liveRegion'];
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#render);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#render);
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+  }
+
+  /**
+   * Adds the products with a quantity to the cart.
+   * @param {MouseEvent} event - The click event of the add to cart button.
+   */
+  addToCart = async (event) => {
+    const { addButton, errorMessage } = this.refs;
+    const lines = this.#getLines().filter(({ quantity }) => quantity > 0);
+
+    if (!lines.length || lines.some(({ available }) => !available)) return;
+
+    const sectionIds = Array.from(document.querySelectorAll('cart-items-component'), (element) =>
+      element instanceof HTMLElement ? element.dataset.sectionId : undefined
+    ).filter(Boolean);
+    const itemCount = lines.reduce((count, { quantity }) => count + quantity, 0);
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    errorMessage.hidden = true;
+    addButton.disabled = true;
+
+    try {
+      const response = await cartQueue.send({
+        url: Theme.routes.cart_add_url,
+        body: JSON.stringify({
+          items: lines.map(({ id, quantity }) => ({ id, quantity })),
+          sections: sectionIds.join(','),
+          sections_url: window.location.pathname,
+        }),
+        type: 'json',
+        sourceId: this.id,
+      });
+
+      if (!response) {
+        this.#announce(Theme.translations.cart_queued ?? '');
+        return;
+      }
+
+      const data = await response.json();
+
+      if (data.status) {
+        window.dispatchEvent(new CartErrorEvent(this.id, data.message));
+
+        errorMessage.textContent = data.description || data.message;
+        errorMessage.hidden = false;
+
+        // The cart may still have changed, e.g. when it holds less than was asked for
+        this.dispatchEvent(
+          new CartAddEvent({}, this.id, { didError: true, source: 'bundle-builder-component', itemCount: 0 })
+        );
+        return;
+      }
+
+      lines.forEach(({ item }) => animateFlyToCart(item));
+      this.#announce(Theme.translations.added ?? '');
+
+      this.dispatchEvent(
+        new CartAddEvent({}, this.id, {
+          source: 'bundle-builder-component',
+          itemCount,
+          sections: data.sections,
+        })
+      );
+    } catch (error) {
+      console.error(error);
+    } finally {
+      this.#render();
+      cartPerformance.measureFromEvent('add:user-action', event);
+    }
+  };
+
+  /**
+   * Keeps the variant of a product of the bundle, its image and whether it can be bought.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    const item = event.target instanceof Element ? event.target.closest('[ref="items[]"]') : null;
+    if (!(item instanceof HTMLElement)) return;
+
+    const variant = event.detail.resource;
+
+    item.dataset.variantId = String(variant?.id ?? '');
+    item.dataset.price = String(variant?.price ?? 0);
+    item.dataset.available = String(variant?.available ?? false);
+
+    const soldOut = item.querySelector('.bundle-builder__item-sold-out');
+    if (soldOut instanceof HTMLElement) soldOut.hidden = variant?.available !== false;
+
+    const image = item.querySelector('img.bundle-builder__item-image');
+    const src = variant?.featured_image?.src;
+    if (image instanceof HTMLImageElement && src) {
+      image.srcset = `${imageUrl(src, 300)} 300w, ${imageUrl(src, 600)} 600w`;
+      image.src = imageUrl(src, 600);
+    }
+
+    this.#render();
+  };
+
+  /**
+   * Renders the total, the discount tier reached and the state of the add to cart button.
+   */
+  #render = () => {
+    const { tiers = [], message, moneyFormat, total, compareAtTotal, addButton } = this.refs;
+    const lines = this.#getLines().filter(({ quantity }) => quantity > 0);
+    const quantity = lines.reduce((count, line) => count + line.quantity, 0);
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+    const reachedTiers = tiers.filter((tier) => quantity >= Number(tier.dataset.quantity));
+    const reachedTier = reachedTiers[reachedTiers.length - 1];
+    const nextTier = tiers.find((tier) => quantity < Number(tier.dataset.quantity));
+    const discount = Number(reachedTier?.dataset.discount ?? 0);
+
+    tiers.forEach((tier) => {
+      tier.classList.toggle('bundle-builder__tier--reached', reachedTiers.includes(tier));
+    });
+
+    if (message) {
+      const remaining = Number(nextTier?.dataset.quantity ?? 0) - quantity;
+      message.textContent = nextTier
+        ? (nextTier.dataset.remainingMessage ?? '').replace('[count]', String(remaining))
+        : (reachedTier?.dataset.reachedMessage ?? '');
+    }
+
+    const format = moneyFormat.content.textContent?.trim() || '{{amount}}';
+    const currency = moneyFormat.dataset.currency ?? '';
+
+    total.textContent = formatPrice(Math.round((subtotal * (100 - discount)) / 100), format, currency);
+    compareAtTotal.textContent = formatPrice(subtotal, format, currency);
+    compareAtTotal.hidden = discount === 0 || subtotal === 0;
+
+    addButton.disabled = lines.length === 0 || lines.some(({ available }) => !available);
+  };
+
+  /**
+   * The products of the bundle, with the selected variant and quantity.
+   * @returns {BundleLine[]}
+   */
+  #getLines() {
+    return (this.refs.items ?? []).map((item) => {
+      const input = item.querySelector('quantity-selector-component input');
+
+      return {
+        item,
+        id: Number(item.dataset.variantId) || 0,
+        quantity: input instanceof HTMLInputElement ? Math.max(0, parseInt(input.value) || 0) : 0,
+        price: Number(item.dataset.price) || 0,
+        available: item.dataset.available === 'true' && Boolean(Number(item.dataset.variantId)),
+      };
+    });
+  }
+
+  /**
+   * Announces the outcome to screen readers for a few seconds.
+   * @param {string} text - The text to announce.
+   */
+  #announce(text) {
+    const { liveRegion } = this.refs;
+
+    liveRegion.textContent = text;
+    this.#timeout = setTimeout(() => (liveRegion.textContent = ''), 5000);
+  }
+}
+
+/**
+ * Flies the image of a product of the bundle to the cart icon.
+ * @param {HTMLElement} item - The product of the bundle.
+ */
+function animateFlyToCart(item) {
+  const cartIcon = document.querySelector('.header-actions__cart-icon');
+  const image = item.querySelector('img.bundle-builder__item-image');
+
+  if (!cartIcon || !(image instanceof HTMLImageElement)) return;
+
+  const flyToCartElement = /** @type {HTMLElement & { source: Element, destination: Element }} */ (
+    document.createElement('fly-to-cart')
+  );
+
+  flyToCartElement.style.setProperty('background-image', `url(${image.currentSrc || image.src})`);
+  flyToCartElement.source = image;
+  flyToCartElement.destination = cartIcon;
+
+  document.body.appendChild(flyToCartElement);
+}
+
+/**
+ * @param {string} src - The URL of an image on the CDN.
+ * @param {number} width - The width to request.
+ * @returns {string} The URL of the image at that width.
+ */
+function imageUrl(src, width) {
+  const url = new URL(src, window.location.origin);
+  url.searchParams.set('width', String(width));
+
+  return url.toString();
+}
+
+if (!customElements.get('bundle-builder-component')) {
+  customElements.define('bundle-builder-component', BundleBuilderComponent);
+}
@@ -0,0 +1,143 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+import { cartPerformance } from '@theme/performance';
+import { cartQueue } from '@theme/cart-queue';
+
+/**
+ * A custom element that saves its fields to the cart attributes, e.g. a delivery date or a gift
+ * message. The fields belong to the cart form too, so the browser checks them before checkout.
+ *
+ * @typedef {object} CartAttributesRefs
+ * @property {HTMLInputElement} [deliveryDate] - The delivery date input.
+ * @property {HTMLElement} [deliveryDateError] - The reason the delivery date isn't valid.
+ *
+ * @extends {Component<CartAttributesRefs>}
+ */
+class CartAttributesComponent extends Component {
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#updateDeliveryDateRange();
+    this.#validateDeliveryDate();
+  }
+
+  /**
+   * Handles updates to the fields.
+   * @param {Event} event - The input or change event of a field.
+   */
+  updateAttributes = debounce(async (event) => {
+    if (event.target === this.refs.deliveryDate) this.#validateDeliveryDate();
+
+    if (this.#activeFetch) {
+      this.#activeFetch.abort();
+    }
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      await cartQueue.send(
+        {
+          url: Theme.routes.cart_update_url,
+          body: JSON.stringify({ attributes: this.#getAttributes() }),
+          type: 'json',
+          sourceId: this.id,
+          key: 'attributes',
+        },
+        abortController.signal
+      );
+    } catch (error) {
+    } finally {
+      this.#activeFetch = null;
+      cartPerformance.measureFromEvent('attributes-update:user-action', event);
+    }
+  }, 200);
+
+  /**
+   * The attributes of the fields. Invalid values and unchecked boxes are saved blank, which removes
+   * them from the cart.
+   * @returns {Record<string, string>}
+   */
+  #getAttributes() {
+    /** @type {Record<string, string>} */
+    const attributes = {};
+
+    for (const field of this.querySelectorAll('[name^="attributes["]')) {
+      if (
+        !(field instanceof HTMLInputElement) &&
+        !(field instanceof HTMLTextAreaElement) &&
+        !(field instanceof HTMLSelectElement)
+      ) {
+        continue;
+      }
+
+      const name = field.name.slice('attributes['.length, -1);
+      const checked = !(field instanceof HTMLInputElement && field.type === 'checkbox') || field.checked;
+
+      attributes[name] = checked && field.validity.valid ? field.value : '';
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Moves the range of delivery dates along with the day the page is seen on, rather than the day
+   * it was rendered on.
+   */
+  #updateDeliveryDateRange() {
+    const { deliveryDate } = this.refs;
+    if (!deliveryDate) return;
+
+    const earliestDate = new Date();
+    earliestDate.setDate(earliestDate.getDate() + Number(deliveryDate.dataset.leadTime ?? 0));
+
+    const latestDate = new Date(earliestDate);
+    latestDate.setDate(latestDate.getDate() + Number(deliveryDate.dataset.window ?? 0));
+
+    deliveryDate.min = toDateString(earliestDate);
+    deliveryDate.max = toDateString(latestDate);
+  }
+
+  /**
+   * Rejects the days without deliveries and shows why the date isn't valid.
+   */
+  #validateDeliveryDate() {
+    const { deliveryDate, deliveryDateError } = this.refs;
+    if (!deliveryDate) return;
+
+    const blackoutDays = (deliveryDate.dataset.blackoutDays ?? '').split(',').filter(Boolean).map(Number);
+    const blackoutDates = (deliveryDate.dataset.blackoutDates ?? '').split(',');
+    const date = deliveryDate.valueAsDate;
+    const unavailable =
+      date !== null && (blackoutDays.includes(date.getUTCDay()) || blackoutDates.includes(deliveryDate.value));
+
+    deliveryDate.setCustomValidity(unavailable ? (deliveryDate.dataset.unavailableMessage ?? '') : '');
+
+    // A missing date is only reported at checkout
+    const invalid = deliveryDate.value !== '' && !deliveryDate.validity.valid;
+
+    deliveryDate.setAttribute('aria-invalid', String(invalid));
+    if (deliveryDateError) {
+      deliveryDateError.textContent = invalid ? deliveryDate.validationMessage : '';
+      deliveryDateError.hidden = !invalid;
+    }
+  }
+}
+
+/**
+ * @param {Date} date - The date.
+ * @returns {string} The local date, as the value of a date input.
+ */
+function toDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+if (!customElements.get('cart-attributes-component')) {
+  customElements.define('cart-attributes-component', CartAttributesComponent);
+}
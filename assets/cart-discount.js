@@ -1,27 +1,62 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
-import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { ThemeEvents, CartUpdateEvent, DiscountUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartQueue } from '@theme/cart-queue';
 
 /**
- * A custom element that applies a discount to the cart.
+ * @typedef {{ code: string; applicable: boolean; }} DiscountCode
+ */
+
+/**
+ * Why a code doesn't lower the cart total:
+ * - `error`: the cart couldn't be updated.
+ * - `invalid`: the code isn't applicable, because it doesn't exist, has expired or its conditions aren't met.
+ * - `minimum`: the code applied, but the cart changed and no longer meets its conditions.
+ * - `not_combinable`: the code applied, but another code can't be combined with it.
+ * - `shipping`: the code is applicable, but it only discounts the shipping.
+ *
+ * @typedef {'error' | 'invalid' | 'minimum' | 'not_combinable' | 'shipping'} DiscountErrorType
+ */
+
+/**
+ * A custom element that applies and removes the discount codes of the cart.
  *
  * @typedef {Object} CartDiscountComponentRefs
  * @property {HTMLElement} cartDiscountError - The error element.
- * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
- * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {HTMLElement} cartDiscountErrorText - The error message, its data attributes hold a message per error type.
+ * @property {HTMLElement} cartDiscountStatus - The live region announcing the applied and removed codes.
+ * @property {HTMLInputElement} [cartDiscountInput] - The discount code input.
  */
 
 /**
  * @extends {Component<CartDiscountComponentRefs>}
  */
 class CartDiscount extends Component {
-  requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
+  requiredRefs = ['cartDiscountError', 'cartDiscountErrorText', 'cartDiscountStatus'];
 
   /** @type {AbortController | null} */
   #activeFetch = null;
 
+  /**
+   * The codes that applied to the cart last time it was seen, to tell when a cart change drops one.
+   * @type {string[]}
+   */
+  #applicableCodes = [];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#applicableCodes = this.#existingDiscounts();
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
   #createAbortController() {
     if (this.#activeFetch) {
       this.#activeFetch.abort();
@@ -33,12 +68,10 @@ class CartDiscount extends Component {
   }
 
   /**
-   * Handles updates to the cart note.
+   * Handles applying a discount code.
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-
     event.preventDefault();
     event.stopPropagation();
 
@@ -48,68 +81,71 @@ class CartDiscount extends Component {
     const discountCode = form.querySelector('input[name="discount"]');
     if (!(discountCode instanceof HTMLInputElement) || typeof this.dataset.sectionId !== 'string') return;
 
-    const discountCodeValue = discountCode.value;
+    const discountCodeValue = discountCode.value.trim();
+    if (!discountCodeValue) return;
 
     const abortController = this.#createAbortController();
 
     try {
       const existingDiscounts = this.#existingDiscounts();
-      if (existingDiscounts.includes(discountCodeValue)) return;
-
-      cartDiscountError.classList.add('hidden');
-      cartDiscountErrorDiscountCode.classList.add('hidden');
-      cartDiscountErrorShipping.classList.add('hidden');
-
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      if (existingDiscounts.some((code) => isSameCode(code, discountCodeValue))) return;
+
+      this.#hideDiscountError();
+
+      const response = await cartQueue.send(
+        {
+          url: Theme.routes.cart_update_url,
+          body: JSON.stringify({
+            discount: [...existingDiscounts, discountCodeValue].join(','),
+            sections: [this.dataset.sectionId],
+          }),
+          type: 'json',
+          sourceId: this.id,
+          key: 'discount',
+        },
+        abortController.signal
+      );
+
+      // The code is checked once the shopper is back online
+      if (!response) {
+        discountCode.value = '';
+        this.#renderQueuedDiscount(discountCodeValue);
+        return;
+      }
 
       const data = await response.json();
 
-      if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-          return discount.code === discountCodeValue && discount.applicable === false;
-        })
-      ) {
-        discountCode.value = '';
-        this.#handleDiscountError('discount_code');
+      if (data.status) {
+        this.#handleDiscountError('error', discountCodeValue);
         return;
       }
 
       const newHtml = data.sections[this.dataset.sectionId];
       const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
       const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
-      const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
-      if (section) {
-        const codes = Array.from(discountCodes)
-          .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : null))
-          .filter(Boolean);
-        // Before morphing, we need to check if the shipping discount is applicable in the UI
-        // we check the liquid logic compared to the cart payload to assess whether we leveraged
-        // a valid shipping discount code.
-        if (
-          codes.length === existingDiscounts.length &&
-          codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-            return discount.code === discountCodeValue && discount.applicable === true;
-          })
-        ) {
-          this.#handleDiscountError('shipping');
-          discountCode.value = '';
-          return;
-        }
+      const appliedCodes = Array.from(section?.querySelectorAll('.cart-discount__pill') ?? [])
+        .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : null))
+        .filter((code) => typeof code === 'string');
+
+      this.#applicableCodes = getApplicableCodes(data.discount_codes);
+
+      const error = getDiscountError(discountCodeValue, data.discount_codes, existingDiscounts, appliedCodes);
+      discountCode.value = '';
+
+      // The cart is left as it is when the code doesn't change it
+      if (error?.type === 'invalid' || error?.type === 'shipping') {
+        this.#handleDiscountError(error.type, error.code);
+        return;
       }
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, newHtml);
+      await morphSection(this.dataset.sectionId, newHtml);
+
+      if (error) {
+        this.#handleDiscountError(error.type, error.code);
+      } else {
+        this.#announce('appliedMessage', discountCodeValue);
+      }
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -148,36 +184,128 @@ class CartDiscount extends Component {
 
     const abortController = this.#createAbortController();
 
-    try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+    this.#hideDiscountError();
 
-      const data = await response.json();
+    try {
+      const response = await cartQueue.send(
+        {
+          url: Theme.routes.cart_update_url,
+          body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
+          type: 'json',
+          sourceId: this.id,
+          key: 'discount',
+        },
+        abortController.signal
+      );
+
+      if (response) {
+        const data = await response.json();
+        this.#applicableCodes = getApplicableCodes(data.discount_codes);
+
+        document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
+        await morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      } else {
+        pill.remove();
+      }
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      this.#announce('removedMessage', discountCode);
+      this.#focusPill(index);
     } catch (error) {
     } finally {
       this.#activeFetch = null;
     }
   };
 
+  /**
+   * Tells the shopper when a change to the cart drops one of their codes, e.g. when the cart no
+   * longer reaches the minimum of the code.
+   * @param {CartUpdateEvent} event - The cart update event.
+   */
+  #handleCartUpdate = (event) => {
+    const cart = /** @type {{ discount_codes?: DiscountCode[] } | undefined} */ (event.detail.resource);
+    const discountCodes = cart?.discount_codes;
+
+    // Additions only come with the added items
+    if (!Array.isArray(discountCodes)) return;
+
+    const lapsedCode = this.#applicableCodes.find((code) =>
+      discountCodes.some((discount) => isSameCode(discount.code, code) && !discount.applicable)
+    );
+
+    this.#applicableCodes = getApplicableCodes(discountCodes);
+
+    if (lapsedCode) {
+      this.#handleDiscountError('minimum', lapsedCode);
+    } else {
+      this.#hideDiscountError();
+    }
+  };
+
+  /**
+   * Shows a code applied while the shopper is offline, so that the discount changes made before
+   * they're back online keep it.
+   * @param {string} code - The discount code.
+   */
+  #renderQueuedDiscount(code) {
+    const pill = document.createElement('li');
+    pill.className = 'cart-discount__pill';
+    pill.dataset.discountCode = code;
+
+    const pillCode = document.createElement('p');
+    pillCode.className = 'cart-discount__pill-code';
+    pillCode.textContent = code;
+
+    pill.append(pillCode);
+    this.querySelector('.cart-discount__codes')?.append(pill);
+  }
+
   /**
    * Handles the discount error.
    *
-   * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * @param {DiscountErrorType} type - The type of discount error.
+   * @param {string} code - The discount code the error is about.
    */
-  #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
+  #handleDiscountError(type, code) {
+    const { cartDiscountError, cartDiscountErrorText } = this.refs;
+    const datasetKey = `${type.replace(/_(\w)/g, (_, letter) => letter.toUpperCase())}Message`;
+    const message = cartDiscountErrorText.dataset[datasetKey] ?? '';
+
+    cartDiscountErrorText.textContent = message.replace('[code]', code);
     cartDiscountError.classList.remove('hidden');
-    target.classList.remove('hidden');
+  }
+
+  #hideDiscountError() {
+    const { cartDiscountError, cartDiscountErrorText } = this.refs;
+
+    cartDiscountError.classList.add('hidden');
+    cartDiscountErrorText.textContent = '';
+  }
+
+  /**
+   * Announces a change to the codes.
+   * @param {'appliedMessage' | 'removedMessage'} messageKey - The data attribute of the message.
+   * @param {string} code - The discount code.
+   */
+  #announce(messageKey, code) {
+    const { cartDiscountStatus } = this.refs;
+
+    cartDiscountStatus.textContent = (cartDiscountStatus.dataset[messageKey] ?? '').replace('[code]', code);
+  }
+
+  /**
+   * Moves the focus to the pill that took the place of a removed one, or to the input once there
+   * are no pills left.
+   * @param {number} index - The index of the removed pill.
+   */
+  #focusPill(index) {
+    const removeButtons = this.querySelectorAll('.cart-discount__pill-remove');
+    const button = removeButtons[Math.min(index, removeButtons.length - 1)];
+
+    if (button instanceof HTMLElement) {
+      button.focus();
+    } else {
+      this.refs.cartDiscountInput?.focus();
+    }
   }
 
   /**
@@ -198,6 +326,50 @@ class CartDiscount extends Component {
   }
 }
 
+/**
+ * Whether two codes are the same, ignoring case as Shopify does.
+ * @param {string} code - A discount code.
+ * @param {string} otherCode - Another discount code.
+ * @returns {boolean}
+ */
+function isSameCode(code, otherCode) {
+  return code.toLowerCase() === otherCode.toLowerCase();
+}
+
+/**
+ * @param {DiscountCode[]} discountCodes - The `discount_codes` of the cart.
+ * @returns {string[]} The applicable codes.
+ */
+function getApplicableCodes(discountCodes = []) {
+  return discountCodes.filter(({ applicable }) => applicable).map(({ code }) => code);
+}
+
+/**
+ * Works out why a new code doesn't lower the cart total as expected. The cart only tells whether
+ * each code is applicable, so a code that doesn't exist, has expired or whose minimum isn't met
+ * are all `invalid` when they're entered.
+ * @param {string} code - The new code.
+ * @param {DiscountCode[]} discountCodes - The `discount_codes` of the cart with the new code.
+ * @param {string[]} previousCodes - The codes applied before the new code.
+ * @param {string[]} appliedCodes - The codes with savings in the cart with the new code.
+ * @returns {{ type: DiscountErrorType; code: string; } | null}
+ */
+function getDiscountError(code, discountCodes, previousCodes, appliedCodes) {
+  const applicableCodes = getApplicableCodes(discountCodes);
+  const isApplicable = (/** @type {string} */ candidate) =>
+    applicableCodes.some((applicableCode) => isSameCode(applicableCode, candidate));
+
+  if (!isApplicable(code)) return { type: 'invalid', code };
+
+  // The cart didn't change otherwise, the new code replaced those it can't be combined with
+  const replacedCode = previousCodes.find((previousCode) => !isApplicable(previousCode));
+  if (replacedCode) return { type: 'not_combinable', code: replacedCode };
+
+  if (!appliedCodes.some((appliedCode) => isSameCode(appliedCode, code))) return { type: 'shipping', code };
+
+  return null;
+}
+
 if (!customElements.get('cart-discount-component')) {
   customElements.define('cart-discount-component', CartDiscount);
 }
@@ -43,7 +43,9 @@ class CartIcon extends Component {
    */
   onCartUpdate = async (event) => {
     const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
+    const comingFromProductForm = ['product-form-component', 'bundle-builder-component'].includes(
+      event.detail.data?.source ?? ''
+    );
 
     this.renderCartBubble(itemCount, comingFromProductForm);
   };
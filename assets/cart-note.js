@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { debounce } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartQueue } from '@theme/cart-queue';
 
 /**
  * A custom element that displays a cart note.
@@ -25,14 +26,16 @@ class CartNote extends Component {
     this.#activeFetch = abortController;
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      await cartQueue.send(
+        {
+          url: Theme.routes.cart_update_url,
+          body: JSON.stringify({ note }),
+          type: 'json',
+          sourceId: this.id,
+          key: 'note',
+        },
+        abortController.signal
+      );
     } catch (error) {
     } finally {
       this.#activeFetch = null;
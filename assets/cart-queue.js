@@ -0,0 +1,299 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartErrorEvent } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+import { fetchConfig } from '@theme/utilities';
+
+/**
+ * @typedef {object} CartRequest
+ * @property {string} url - The cart endpoint, e.g. `Theme.routes.cart_change_url`.
+ * @property {string} body - The request body, JSON or URL encoded depending on the type.
+ * @property {'json' | 'form'} type - How the body is encoded.
+ * @property {string} sourceId - The id of the element the request was made from.
+ * @property {string} [key] - Requests with the same key replace each other while they wait, e.g. two
+ * changes to the note.
+ */
+
+const STORAGE_KEY = 'theme:cart-queue';
+
+/**
+ * How long the outcome of the replay stays on screen, in milliseconds.
+ */
+const STATUS_TIMEOUT = 10000;
+
+/**
+ * Sends the cart requests, or keeps them while the shopper is offline and sends them in order once
+ * they're back online. The queue is kept in the session storage, so it survives page loads.
+ *
+ * Dispatches a `replay` event once every request is sent.
+ */
+class CartQueue extends EventTarget {
+  /** @type {CartRequest[]} */
+  #requests = readRequests();
+
+  /** @type {Promise<void> | null} */
+  #replaying = null;
+
+  constructor() {
+    super();
+
+    window.addEventListener('online', () => this.replay());
+    if (navigator.onLine) this.replay();
+  }
+
+  /**
+   * The number of requests waiting to be sent.
+   */
+  get size() {
+    return this.#requests.length;
+  }
+
+  /**
+   * Whether the requests are being sent.
+   */
+  get replaying() {
+    return this.#replaying !== null;
+  }
+
+  /**
+   * Sends a cart request, or queues it when it can't be sent.
+   * @param {CartRequest} request - The request.
+   * @param {AbortSignal} [signal] - Aborts the request, unless it's queued.
+   * @returns {Promise<Response | null>} The response, or `null` when the request is queued.
+   */
+  async send(request, signal) {
+    // A request sent now would overtake those waiting
+    if (!navigator.onLine || this.#requests.length) {
+      this.#enqueue(request);
+      if (navigator.onLine) this.replay();
+      return null;
+    }
+
+    try {
+      return await fetch(request.url, { ...toFetchConfig(request), signal });
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+
+      this.#enqueue(request);
+      return null;
+    }
+  }
+
+  /**
+   * Sends the queued requests in order, stopping at the first one the network drops.
+   * @returns {Promise<void>}
+   */
+  replay() {
+    this.#replaying ??= this.#sendRequests().finally(() => {
+      this.#replaying = null;
+    });
+
+    return this.#replaying;
+  }
+
+  async #sendRequests() {
+    let sent = false;
+
+    while (this.#requests.length && navigator.onLine) {
+      const request = /** @type {CartRequest} */ (this.#requests.shift());
+      this.#save();
+
+      try {
+        const response = await fetch(request.url, toFetchConfig(request));
+        sent = true;
+
+        await reconcile(request, response);
+      } catch (error) {
+        if (isNetworkError(error)) {
+          // Unless a newer request replaced it in the meantime
+          if (!request.key || !this.#requests.some(({ key }) => key === request.key)) {
+            this.#requests.unshift(request);
+            this.#save();
+          }
+          break;
+        }
+
+        console.error(error);
+      }
+    }
+
+    if (!sent) return;
+
+    // The cart on the page still shows the changes made offline, as they were requested
+    await sectionRenderer.renderCartSections().catch((error) => console.error(error));
+
+    if (!this.#requests.length) this.dispatchEvent(new Event('replay'));
+  }
+
+  /**
+   * Queues a request, replacing the waiting request with the same key.
+   * @param {CartRequest} request - The request.
+   */
+  #enqueue(request) {
+    if (request.key) this.#requests = this.#requests.filter(({ key }) => key !== request.key);
+
+    this.#requests.push(request);
+    this.#save();
+  }
+
+  #save() {
+    try {
+      if (this.#requests.length) {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(this.#requests));
+      } else {
+        sessionStorage.removeItem(STORAGE_KEY);
+      }
+    } catch {
+      // The storage is unavailable, the requests are only kept until the page is left
+    }
+  }
+}
+
+/**
+ * Reads the requests queued on the previous pages.
+ * @returns {CartRequest[]}
+ */
+function readRequests() {
+  try {
+    const requests = JSON.parse(sessionStorage.getItem(STORAGE_KEY) ?? '[]');
+    return Array.isArray(requests) ? requests : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {CartRequest} request - The request.
+ * @returns {RequestInit}
+ */
+function toFetchConfig({ type, body }) {
+  if (type === 'json') return fetchConfig('json', { body });
+
+  return fetchConfig('json', { body, headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+}
+
+/**
+ * Whether the request failed without reaching the server. `fetch` rejects with a `TypeError` then,
+ * and with an `AbortError` when it's aborted.
+ * @param {unknown} error - The error.
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  return error instanceof TypeError;
+}
+
+/**
+ * Tells the shopper when the cart couldn't be changed as they asked while they were offline: the
+ * product sold out, or there's less of it left than the quantity they wanted.
+ * @param {CartRequest} request - The request.
+ * @param {Response} response - Its response.
+ */
+async function reconcile(request, response) {
+  const data = await response.json().catch(() => null);
+
+  if (data?.status) {
+    window.dispatchEvent(new CartErrorEvent(request.sourceId, data.description ?? data.message));
+    return;
+  }
+
+  if (request.type !== 'json' || !Array.isArray(data?.items)) return;
+
+  const { id, quantity } = JSON.parse(request.body);
+  const item = id && data.items.find((/** @type {{ key: string }} */ item) => item.key === id);
+
+  if (item && item.quantity < quantity) {
+    window.dispatchEvent(new CartErrorEvent(request.sourceId, Theme.translations.cart_quantity_lowered ?? ''));
+  }
+}
+
+export const cartQueue = new CartQueue();
+
+/**
+ * A custom element that tells the shopper they're offline, and how their cart changes went once
+ * they're back online.
+ *
+ * @typedef {object} CartQueueStatusRefs
+ * @property {HTMLElement} message - The status message.
+ *
+ * @extends {Component<CartQueueStatusRefs>}
+ */
+class CartQueueStatus extends Component {
+  requiredRefs = ['message'];
+
+  /**
+   * The messages of the conflicts found while the requests are sent.
+   * @type {string[]}
+   */
+  #conflicts = [];
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    window.addEventListener('online', this.#update);
+    window.addEventListener('offline', this.#update);
+    window.addEventListener(ThemeEvents.cartError, this.#onCartError);
+    cartQueue.addEventListener('replay', this.#onReplay);
+
+    this.#update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#timeout);
+    window.removeEventListener('online', this.#update);
+    window.removeEventListener('offline', this.#update);
+    window.removeEventListener(ThemeEvents.cartError, this.#onCartError);
+    cartQueue.removeEventListener('replay', this.#onReplay);
+  }
+
+  /**
+   * Shows the offline message while the shopper is offline.
+   */
+  #update = () => {
+    if (!navigator.onLine) {
+      clearTimeout(this.#timeout);
+      this.#show(this.dataset.offlineMessage ?? '');
+    } else if (!cartQueue.size && !cartQueue.replaying) {
+      this.#hide();
+    }
+  };
+
+  /**
+   * @param {Event} event - The cart error event.
+   */
+  #onCartError = (event) => {
+    if (!cartQueue.replaying || !(event instanceof CartErrorEvent)) return;
+
+    this.#conflicts.push(event.detail.data.message);
+  };
+
+  #onReplay = () => {
+    const message = this.#conflicts.length ? this.#conflicts.join(' ') : (this.dataset.sentMessage ?? '');
+    this.#conflicts = [];
+
+    this.#show(message);
+
+    clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(this.#hide, STATUS_TIMEOUT);
+  };
+
+  /**
+   * @param {string} message - The message.
+   */
+  #show(message) {
+    this.refs.message.textContent = message;
+    this.classList.add('cart-queue-status--open');
+  }
+
+  #hide = () => {
+    this.classList.remove('cart-queue-status--open');
+    this.refs.message.textContent = '';
+  };
+}
+
+if (!customElements.get('cart-queue-status')) {
+  customElements.define('cart-queue-status', CartQueueStatus);
+}
@@ -0,0 +1,190 @@
+import { Component } from '@theme/component';
+
+/** @typedef {import('./component-cart-items').CartAddItem} CartAddItem */
+
+/**
+ * @typedef {object} SavedItem
+ * @property {string} key - The key of the cart line the item was saved from.
+ * @property {CartAddItem} item - The item, as added back with `/cart/add`.
+ * @property {string} title - The product title.
+ * @property {string | null} variant_title - The variant title, unless the product only has the default variant.
+ * @property {string} url - The variant URL.
+ * @property {string | null} image - The image URL.
+ */
+
+const STORAGE_KEY = 'theme:saved-items';
+
+/**
+ * The items saved for later, kept in the local storage so that they're still there on the next
+ * visit. Dispatches a `change` event when they change, in this tab or another one.
+ */
+class SavedItems extends EventTarget {
+  constructor() {
+    super();
+
+    window.addEventListener('storage', (event) => {
+      if (event.key === STORAGE_KEY) this.dispatchEvent(new Event('change'));
+    });
+  }
+
+  /**
+   * The saved items, the last saved first.
+   * @returns {SavedItem[]}
+   */
+  get items() {
+    try {
+      const items = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+      return Array.isArray(items) ? items : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Saves an item. Saving the same line again adds up the quantities.
+   * @param {SavedItem} savedItem - The item.
+   */
+  add(savedItem) {
+    const items = this.items;
+    const existingItem = items.find(({ key }) => key === savedItem.key);
+
+    if (existingItem) savedItem.item.quantity += existingItem.item.quantity;
+
+    this.#write([savedItem, ...items.filter(({ key }) => key !== savedItem.key)]);
+  }
+
+  /**
+   * @param {string} key - The key of the saved item.
+   */
+  remove(key) {
+    this.#write(this.items.filter((item) => item.key !== key));
+  }
+
+  /**
+   * @param {SavedItem[]} items - The saved items.
+   */
+  #write(items) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch {
+      // The storage is unavailable, e.g. in private browsing, the items are kept until the page is left
+    }
+
+    this.dispatchEvent(new Event('change'));
+  }
+}
+
+export const savedItems = new SavedItems();
+
+/**
+ * A custom element that lists the items saved for later. Moving an item to the cart is left to the
+ * cart items component around it.
+ *
+ * @typedef {object} CartSavedItemsRefs
+ * @property {HTMLElement} container - The element shown when there are saved items.
+ * @property {HTMLUListElement} list - The list of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved item.
+ *
+ * @extends {Component<CartSavedItemsRefs>}
+ */
+export class CartSavedItemsComponent extends Component {
+  requiredRefs = ['container', 'list', 'itemTemplate'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    savedItems.addEventListener('change', this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    savedItems.removeEventListener('change', this.#render);
+  }
+
+  /**
+   * Removes a saved item from the list.
+   * @param {number} index - The index of the item.
+   */
+  removeSavedItem(index) {
+    const savedItem = savedItems.items[index];
+
+    if (!savedItem) return;
+
+    savedItems.remove(savedItem.key);
+
+    // The focused button is gone with its item
+    const nextItem = this.refs.list.children[Math.min(index, this.refs.list.children.length - 1)];
+    nextItem?.querySelector('button')?.focus();
+  }
+
+  /**
+   * Shows why a saved item couldn't be moved to the cart.
+   * @param {number} index - The index of the item.
+   * @param {string} message - The error message.
+   */
+  showError(index, message) {
+    const error = this.refs.list.children[index]?.querySelector('.cart-saved-items__error');
+
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = false;
+  }
+
+  /**
+   * Focuses the first saved item.
+   */
+  focusFirstItem() {
+    this.refs.list.querySelector('button')?.focus();
+  }
+
+  #render = () => {
+    const { container, list, itemTemplate } = this.refs;
+    const items = savedItems.items;
+
+    list.replaceChildren(
+      ...items.map((savedItem, index) => {
+        const element = /** @type {HTMLElement} */ (itemTemplate.content.firstElementChild?.cloneNode(true));
+        const media = element.querySelector('.cart-saved-items__media');
+        const image = element.querySelector('.cart-saved-items__image');
+        const title = element.querySelector('.cart-saved-items__title');
+        const variantTitle = element.querySelector('.cart-saved-items__variant');
+        const moveButton = element.querySelector('.cart-saved-items__move');
+        const removeButton = element.querySelector('.cart-saved-items__remove');
+
+        if (media instanceof HTMLAnchorElement) media.href = savedItem.url;
+        if (image instanceof HTMLImageElement && savedItem.image) {
+          image.src = savedItem.image;
+        } else {
+          media?.remove();
+        }
+
+        if (title instanceof HTMLAnchorElement) {
+          title.href = savedItem.url;
+          title.textContent = savedItem.title;
+        }
+
+        if (variantTitle && savedItem.variant_title) {
+          variantTitle.textContent = savedItem.variant_title;
+        } else {
+          variantTitle?.remove();
+        }
+
+        moveButton?.setAttribute('on:click', `cart-items-component/moveSavedItemToCart/${index}`);
+        removeButton?.setAttribute('on:click', `/removeSavedItem/${index}`);
+        const removeLabel = removeButton?.getAttribute('data-label') ?? '';
+        removeButton?.setAttribute('aria-label', removeLabel.replace('[title]', savedItem.title));
+
+        return element;
+      })
+    );
+
+    container.hidden = items.length === 0;
+  };
+}
+
+if (!customElements.get('cart-saved-items-component')) {
+  customElements.define('cart-saved-items-component', CartSavedItemsComponent);
+}
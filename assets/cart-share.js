@@ -0,0 +1,225 @@
+import { DialogComponent } from '@theme/dialog';
+import { QRCode } from '@theme/qr-code-generator';
+import { fetchConfig } from '@theme/utilities';
+
+/**
+ * @typedef {object} CartLink
+ * @property {{ id: number; quantity: number; }[]} items - The variants and their quantities.
+ * @property {string[]} discountCodes - The discount codes.
+ */
+
+/**
+ * @typedef {object} Cart
+ * @property {{ key: string; variant_id: number; quantity: number; }[]} items - The lines of the cart.
+ * @property {{ code: string; applicable: boolean; }[]} [discount_codes] - The discount codes of the cart.
+ */
+
+/**
+ * Builds the permalink of a cart, e.g. `/cart/123:2,456:1?discount=WELCOME10`. Permalinks only
+ * hold variants and quantities, so the lines of a variant are merged and their properties and
+ * selling plans are left out.
+ * @param {Cart} cart - The cart, as returned by `/cart.js`.
+ * @returns {string} The absolute URL of the permalink.
+ */
+export function toCartLink(cart) {
+  /** @type {Map<number, number>} */
+  const quantities = new Map();
+  for (const { variant_id, quantity } of cart.items) {
+    quantities.set(variant_id, (quantities.get(variant_id) ?? 0) + quantity);
+  }
+
+  const items = Array.from(quantities, ([id, quantity]) => `${id}:${quantity}`).join(',');
+  const url = new URL(`${Theme.routes.cart_url}/${items}`, window.location.origin);
+  const discountCodes = (cart.discount_codes ?? []).filter(({ applicable }) => applicable).map(({ code }) => code);
+
+  if (discountCodes.length) url.searchParams.set('discount', discountCodes.join(','));
+
+  return url.toString();
+}
+
+/**
+ * Reads a cart permalink.
+ * @param {string} link - The permalink, absolute or relative to the shop.
+ * @returns {CartLink | null} The cart, or `null` when the link isn't a cart permalink.
+ */
+export function parseCartLink(link) {
+  /** @type {URL} */
+  let url;
+  try {
+    url = new URL(link.trim(), window.location.origin);
+  } catch {
+    return null;
+  }
+
+  const match = decodeURIComponent(url.pathname).match(/\/cart\/(\d+:\d+(?:,\d+:\d+)*)\/?$/);
+  if (!match?.[1]) return null;
+
+  const items = match[1].split(',').map((item) => {
+    const [id = 0, quantity = 0] = item.split(':').map(Number);
+    return { id, quantity };
+  });
+
+  const discountCodes = (url.searchParams.get('discount') ?? '')
+    .split(',')
+    .map((code) => code.trim())
+    .filter(Boolean);
+
+  return { items: items.filter(({ quantity }) => quantity > 0), discountCodes };
+}
+
+/**
+ * Replaces the cart with the one of a permalink. The items of the link are added before the lines of
+ * the cart are removed, and the cart is put back as it was when they can't be, e.g. sold out.
+ * @param {CartLink} cartLink - The cart of the permalink.
+ */
+export async function loadCartLink({ items, discountCodes }) {
+  const previousQuantities = new Map((await getCart()).items.map(({ key, quantity }) => [key, quantity]));
+
+  try {
+    await postCart(Theme.routes.cart_add_url, { items });
+
+    // The lines of the cart only keep what the link added to them
+    /** @type {Record<string, number>} */
+    const updates = {};
+    for (const { key, quantity } of (await getCart()).items) {
+      const previousQuantity = previousQuantities.get(key);
+      if (previousQuantity !== undefined) updates[key] = Math.max(0, quantity - previousQuantity);
+    }
+
+    await postCart(Theme.routes.cart_update_url, { updates, discount: discountCodes.join(',') });
+  } catch (error) {
+    await restoreCart(previousQuantities).catch((restoreError) => console.error(restoreError));
+    throw error;
+  }
+}
+
+/**
+ * Puts the lines of the cart back to their quantities, and removes the others.
+ * @param {Map<string, number>} quantities - The quantities, by line key.
+ */
+async function restoreCart(quantities) {
+  /** @type {Record<string, number>} */
+  const updates = {};
+  for (const { key } of (await getCart()).items) {
+    updates[key] = quantities.get(key) ?? 0;
+  }
+
+  await postCart(Theme.routes.cart_update_url, { updates });
+}
+
+/**
+ * @returns {Promise<Cart>} The cart.
+ */
+async function getCart() {
+  const response = await fetch(`${Theme.routes.cart_url}.js`);
+  return response.json();
+}
+
+/**
+ * @param {string} url - The cart endpoint.
+ * @param {object} body - The request body.
+ * @returns {Promise<any>} The response.
+ */
+async function postCart(url, body) {
+  const response = await fetch(url, fetchConfig('json', { body: JSON.stringify(body) }));
+  const data = await response.json();
+
+  if (data.status) throw new Error(data.description ?? data.message);
+
+  return data;
+}
+
+/**
+ * A custom element that shares the cart as a link and a QR code, e.g. for a sales associate to hand
+ * a cart to a customer, and opens the carts shared that way.
+ *
+ * @typedef {object} CartShareRefs
+ * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLElement} shareContent - The link and QR code, hidden while the cart is empty.
+ * @property {HTMLElement} qrCode - The element the QR code is drawn in.
+ * @property {HTMLInputElement} link - The link to the cart.
+ * @property {HTMLElement} copyLink - The component that copies the link.
+ * @property {HTMLElement} loadError - The reason a shared cart couldn't be opened.
+ *
+ * @extends {DialogComponent}
+ */
+class CartShareComponent extends DialogComponent {
+  requiredRefs = ['dialog', 'shareContent', 'qrCode', 'link', 'copyLink', 'loadError'];
+
+  /** @type {QRCode | null} */
+  #qrCode = null;
+
+  /**
+   * Opens the dialog with a link to the current cart.
+   */
+  shareCart = async () => {
+    const { shareContent, qrCode, link, copyLink } = /** @type {CartShareRefs} */ (this.refs);
+
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`);
+      /** @type {Cart} */
+      const cart = await response.json();
+      const cartLink = toCartLink(cart);
+
+      // A shared cart can still be opened from an empty one
+      shareContent.hidden = cart.items.length === 0;
+
+      link.value = cartLink;
+      copyLink.setAttribute('text-to-copy', cartLink);
+      copyLink.querySelector('[ref="copySuccessMessage"]')?.classList.add('visually-hidden');
+
+      try {
+        this.#qrCode ??= new QRCode(qrCode, {
+          width: 200,
+          height: 200,
+          alt: qrCode.getAttribute('aria-label') ?? '',
+          correctLevel: QRCode.CorrectLevel.M,
+        });
+        this.#qrCode.makeCode(cartLink);
+        qrCode.hidden = false;
+      } catch {
+        // The cart is too big for a QR code, the link can still be copied
+        qrCode.hidden = true;
+      }
+
+      this.showDialog();
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  /**
+   * Replaces the cart with the one of a shared link, then shows it on the cart page.
+   * @param {SubmitEvent} event - The submit event of the form.
+   */
+  loadCart = async (event) => {
+    event.preventDefault();
+
+    const { loadError } = /** @type {CartShareRefs} */ (this.refs);
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement)) return;
+
+    const input = form.elements.namedItem('cart_link');
+    if (!(input instanceof HTMLInputElement)) return;
+
+    const cartLink = parseCartLink(input.value);
+
+    loadError.hidden = true;
+
+    try {
+      if (!cartLink) throw new Error(loadError.dataset.invalidMessage);
+
+      await loadCartLink(cartLink);
+      window.location.assign(Theme.routes.cart_url);
+    } catch (error) {
+      // Network errors don't say anything useful to the shopper
+      const message = error instanceof Error && !(error instanceof TypeError) ? error.message : '';
+      loadError.textContent = message || (loadError.dataset.errorMessage ?? '');
+      loadError.hidden = false;
+    }
+  };
+}
+
+if (!customElements.get('cart-share-component')) {
+  customElements.define('cart-share-component', CartShareComponent);
+}
@@ -0,0 +1,81 @@
+import { sectionRenderer } from '@theme/section-renderer';
+import { ThemeEvents } from '@theme/events';
+import { debounce } from '@theme/utilities';
+
+/**
+ * Keeps the cart shown by the other tabs of the store in sync: cart and discount updates are
+ * broadcast to them, and they render their cart sections again. Browsers without `BroadcastChannel`
+ * get the updates through `storage` events.
+ */
+
+const CHANNEL_NAME = 'theme:cart';
+
+const STORAGE_KEY = 'theme:cart-update';
+
+/** @type {BroadcastChannel | null} */
+const channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+/**
+ * Whether the cart changed while the tab was hidden, the sections render once it's shown
+ */
+let stale = false;
+
+/**
+ * Tells the other tabs that the cart changed
+ * @param {Event} event - The cart or discount update event
+ */
+function broadcastCartUpdate(event) {
+  if (/** @type {CustomEvent} */ (event).detail?.data?.didError) return;
+
+  const message = { timestamp: Date.now() };
+
+  if (channel) {
+    channel.postMessage(message);
+    return;
+  }
+
+  try {
+    // A new timestamp makes the value change, which is what fires the event in the other tabs
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+  } catch {
+    // The storage is unavailable, e.g. in private browsing, the other tabs stay as they are
+  }
+}
+
+/**
+ * Renders the cart sections again, a series of updates in another tab rendering them once
+ */
+const renderCartSections = debounce(() => {
+  sectionRenderer.renderCartSections().catch((error) => console.error(error));
+}, 200);
+
+/**
+ * Updates the cart shown by the tab, or waits for the tab to be shown
+ */
+function refreshCart() {
+  if (document.visibilityState === 'hidden') {
+    stale = true;
+    return;
+  }
+
+  stale = false;
+  renderCartSections();
+}
+
+document.addEventListener(ThemeEvents.cartUpdate, broadcastCartUpdate);
+document.addEventListener(ThemeEvents.discountUpdate, broadcastCartUpdate);
+
+channel?.addEventListener('message', refreshCart);
+
+window.addEventListener('storage', (event) => {
+  if (event.key === STORAGE_KEY) refreshCart();
+});
+
+document.addEventListener('visibilitychange', () => {
+  if (stale) refreshCart();
+});
+
+// A page restored from the back/forward cache shows the cart as it was when the shopper left it
+window.addEventListener('pageshow', (event) => {
+  if (event.persisted) refreshCart();
+});
@@ -3,6 +3,7 @@ import { closest, clamp, center, getVisibleElements } from '@theme/utilities';
 import { SlideshowSelectEvent } from '@theme/events';
 import { Scroller } from '@theme/scrolling';
 import { cycleFocus } from '@theme/focus';
+import { onIntent, prefetchPage } from '@theme/prefetch';
 
 /**
  * Collection links component
@@ -21,6 +22,9 @@ class CollectionLinks extends Component {
   /** @type {Scroller} */
   #scroll;
 
+  /** @type {(() => void)[]} */
+  #stopIntents = [];
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -28,12 +32,18 @@ class CollectionLinks extends Component {
     this.addEventListener(SlideshowSelectEvent.eventName, this.#handleSlideshowSelect);
 
     this.#scroll = new Scroller(this.refs.container, { onScroll: this.#handleScroll });
+    this.#stopIntents = this.links.map((link) =>
+      onIntent(link, () => {
+        if (link instanceof HTMLAnchorElement) prefetchPage(link.href);
+      })
+    );
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     this.#scroll.destroy();
+    this.#stopIntents.forEach((stopIntent) => stopIntent());
   }
 
   get links() {
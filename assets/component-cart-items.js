@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { debounce, formatPrice, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
@@ -9,8 +9,39 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartQueue } from '@theme/cart-queue';
+import { savedItems } from '@theme/cart-saved-items';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-saved-items').CartSavedItemsComponent} CartSavedItemsComponent */
+/** @typedef {import('./cart-saved-items').SavedItem} SavedItem */
+
+/**
+ * @typedef {object} QuantityChange
+ * @property {string} key - The line item key.
+ * @property {number} quantity - The quantity.
+ * @property {string} action - The action.
+ */
+
+/**
+ * @typedef {object} CartAddItem
+ * @property {number} id - The variant ID.
+ * @property {number} quantity - The quantity.
+ * @property {Record<string, string>} properties - The line item properties.
+ * @property {number} [selling_plan] - The selling plan ID.
+ */
+
+/**
+ * @typedef {object} RemovedLine
+ * @property {CartAddItem} item - The line, as added back with `/cart/add`.
+ * @property {Promise<void>} removal - Resolves once the removal is sent.
+ * @property {string} restoredMessage - The message announced when the line is added back.
+ */
+
+/**
+ * How long the shopper can undo the removal of a line, in milliseconds.
+ */
+const UNDO_TIMEOUT = 8000;
 
 /**
  * A custom element that displays a cart items component.
@@ -19,68 +50,195 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLTemplateElement} [moneyFormat] - The money format of the line prices.
+ * @property {HTMLElement} [undoToast] - The toast offering to undo the removal of a line.
+ * @property {HTMLElement} [undoMessage] - The status message of the toast.
+ * @property {HTMLButtonElement} [undoButton] - The undo button.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
-  #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
+  /**
+   * The quantity changes waiting to be sent, by line item key. Changes to a line replace each other,
+   * so rapid clicks on the quantity buttons are sent as one request.
+   * @type {Map<string, QuantityChange>}
+   */
+  #pendingChanges = new Map();
+
+  /**
+   * Sends the queued changes, one request at a time, until there are none left.
+   * @type {Promise<void> | null}
+   */
+  #sendingChanges = null;
+
+  /**
+   * The cart returned by a request while more changes were waiting, rendered with the last response.
+   * @type {string | null}
+   */
+  #unrenderedSectionHTML = null;
+
+  /**
+   * The last removed line, until the time to undo its removal runs out.
+   * @type {RemovedLine | null}
+   */
+  #removedLine = null;
+
+  /** @type {number | undefined} */
+  #undoTimeout;
+
+  #debouncedSendQuantityChanges = debounce(this.#sendQuantityChanges, 300);
 
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
-    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
   }
 
   /**
    * Handles QuantitySelectorUpdateEvent change event.
    * @param {QuantitySelectorUpdateEvent} event - The event.
    */
-  #onQuantityChange(event) {
-    const { quantity, cartLine: line } = event.detail;
+  #onQuantityChange = (event) => {
+    const { quantity } = event.detail;
+    const row = this.#getRow(event.target);
 
-    if (!line) return;
+    // The other cart items components are updated with the response
+    if (!row?.dataset.key) return;
 
     if (quantity === 0) {
-      return this.onLineItemRemove(line);
+      return this.#removeLine(row);
     }
 
-    this.updateQuantity({
-      line,
-      quantity,
-      action: 'change',
-    });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
+    this.#renderLinePrice(row, quantity);
+    this.#queueQuantityChange({ key: row.dataset.key, quantity, action: 'change' });
+    this.#debouncedSendQuantityChanges();
+  };
+
+  /**
+   * Gets the row of the line an element belongs to. Rows are found from the element rather than by their
+   * line, as removing a line takes its row out before the lines after it are renumbered.
+   * @param {EventTarget | null} element - The element.
+   * @returns {HTMLTableRowElement | null} The row, unless it's in another component or being removed.
+   */
+  #getRow(element) {
+    const row = element instanceof Element ? element.closest('[ref="cartItemRows[]"]') : null;
 
-    if (!lineItemRow) return;
+    if (!(row instanceof HTMLTableRowElement) || !this.contains(row) || row.classList.contains('removing')) {
+      return null;
+    }
 
-    const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
-    textComponent?.shimmer();
+    return row;
   }
 
   /**
    * Handles the line item removal.
-   * @param {number} line - The line item index.
+   * @param {Event} event - The click event of the remove button.
    */
-  onLineItemRemove(line) {
-    this.updateQuantity({
-      line,
+  onLineItemRemove(event) {
+    const cartItemRowToRemove = this.#getRow(event.target);
+
+    if (cartItemRowToRemove) this.#removeLine(cartItemRowToRemove);
+  }
+
+  /**
+   * Removes a line, offering to undo the removal.
+   * @param {HTMLTableRowElement} cartItemRowToRemove - The row of the line.
+   */
+  #removeLine(cartItemRowToRemove) {
+    const { key } = cartItemRowToRemove.dataset;
+
+    if (!key) return;
+
+    const removal = this.updateQuantity({
+      key,
       quantity: 0,
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    this.#offerUndo(cartItemRowToRemove, removal);
+    this.#removeRow(cartItemRowToRemove);
+  }
+
+  /**
+   * Moves a line to the items saved for later.
+   * @param {Event} event - The click event of the save button.
+   */
+  saveLineItemForLater(event) {
+    const row = this.#getRow(event.target);
+    const quantityInput = /** @type {HTMLInputElement | null | undefined} */ (
+      row?.querySelector('input[data-cart-line]')
+    );
+
+    if (!row?.dataset.savedItem || !row.dataset.key) return;
+
+    /** @type {SavedItem} */
+    const savedItem = JSON.parse(row.dataset.savedItem);
+    const hadFocus = row.contains(document.activeElement);
+
+    // The quantity the shopper asked for, which may not be sent yet
+    if (quantityInput) savedItem.item.quantity = Number(quantityInput.value) || savedItem.item.quantity;
+
+    this.updateQuantity({ key: row.dataset.key, quantity: 0, action: 'clear' });
+    savedItems.add(savedItem);
 
-    if (!cartItemRowToRemove) return;
+    // The save button is going away with its row
+    if (hadFocus) this.#getSavedItemsComponent()?.focusFirstItem();
 
+    this.#removeRow(row);
+  }
+
+  /**
+   * Moves an item saved for later back to the cart.
+   * @param {number} index - The index of the saved item.
+   */
+  async moveSavedItemToCart(index) {
+    const savedItem = savedItems.items[index];
+    const savedItemsComponent = this.#getSavedItemsComponent();
+
+    if (!savedItem) return;
+
+    const hadFocus = savedItemsComponent?.contains(document.activeElement);
+
+    try {
+      const parsedResponse = await this.#addItem(savedItem.item);
+
+      if (parsedResponse?.status) {
+        savedItemsComponent?.showError(index, parsedResponse.description ?? parsedResponse.message);
+        return;
+      }
+
+      savedItems.remove(savedItem.key);
+
+      const key = parsedResponse?.items?.[0]?.key;
+      const movedRow = this.refs.cartItemRows.find((row) => row.dataset.key === key);
+      const removeButton = movedRow?.querySelector('.cart-items__remove');
+      if (hadFocus && removeButton instanceof HTMLElement) removeButton.focus();
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * @returns {CartSavedItemsComponent | null} The list of items saved for later.
+   */
+  #getSavedItemsComponent() {
+    return /** @type {CartSavedItemsComponent | null} */ (this.querySelector('cart-saved-items-component'));
+  }
+
+  /**
+   * Animates the row of a removed line out.
+   * @param {HTMLTableRowElement} cartItemRowToRemove - The row.
+   */
+  #removeRow(cartItemRowToRemove) {
     const remove = () => cartItemRowToRemove.remove();
 
     if (prefersReducedMotion()) return remove();
@@ -94,77 +252,268 @@ class CartItemsComponent extends Component {
   }
 
   /**
-   * Updates the quantity.
-   * @param {Object} config - The config.
-   * @param {number} config.line - The line.
-   * @param {number} config.quantity - The quantity.
-   * @param {string} config.action - The action.
+   * Adds the last removed line back to the cart, with the same variant, quantity, selling plan and
+   * properties.
+   */
+  async undoLineItemRemove() {
+    const removedLine = this.#removedLine;
+    const { undoButton, undoMessage } = this.refs;
+
+    if (!removedLine || !undoButton || !undoMessage) return;
+
+    this.#removedLine = null;
+    clearTimeout(this.#undoTimeout);
+
+    const hadFocus = document.activeElement === undoButton;
+
+    try {
+      // Adding the line before it's removed would have the removal take it out again
+      await removedLine.removal;
+
+      const parsedResponse = await this.#addItem(removedLine.item);
+
+      if (!parsedResponse) {
+        undoMessage.textContent = Theme.translations.cart_queued ?? '';
+        return;
+      }
+
+      if (parsedResponse.status) {
+        undoMessage.textContent = parsedResponse.description ?? parsedResponse.message;
+        return;
+      }
+
+      undoMessage.textContent = removedLine.restoredMessage;
+
+      const key = parsedResponse.items?.[0]?.key;
+      const restoredRow = this.refs.cartItemRows.find((row) => row.dataset.key === key);
+      const removeButton = restoredRow?.querySelector('.cart-items__remove');
+      if (hadFocus && removeButton instanceof HTMLElement) removeButton.focus();
+    } catch (error) {
+      console.error(error);
+    } finally {
+      undoButton.hidden = true;
+      this.#undoTimeout = setTimeout(this.#dismissUndo, UNDO_TIMEOUT);
+    }
+  }
+
+  /**
+   * Adds an item to the cart and renders the new cart.
+   * @param {CartAddItem} item - The item.
+   * @returns {Promise<any>} The response of the cart add API, or `null` when the request is queued.
+   */
+  async #addItem(item) {
+    const body = JSON.stringify({
+      items: [item],
+      sections: this.#getSectionsToUpdate().join(','),
+      sections_url: window.location.pathname,
+    });
+
+    const response = await cartQueue.send({ url: Theme.routes.cart_add_url, body, type: 'json', sourceId: this.id });
+
+    if (!response) return null;
+
+    const parsedResponse = await response.json();
+
+    if (!parsedResponse.status) {
+      this.#dispatchCartUpdate(parsedResponse.sections);
+      this.#renderSection(parsedResponse.sections[this.sectionId]);
+    }
+
+    return parsedResponse;
+  }
+
+  /**
+   * Shows the toast offering to undo the removal of a line, until another line is removed or it
+   * times out.
+   * @param {HTMLTableRowElement} row - The row of the removed line.
+   * @param {Promise<void>} removal - Resolves once the removal is sent.
+   */
+  #offerUndo(row, removal) {
+    const { undoToast, undoButton, undoMessage } = this.refs;
+    const { lineItem, removedMessage = '', restoredMessage = '' } = row.dataset;
+
+    if (!undoToast || !undoButton || !undoMessage || !lineItem) return;
+
+    this.#removedLine = { item: JSON.parse(lineItem), removal, restoredMessage };
+
+    undoMessage.textContent = removedMessage;
+    undoButton.hidden = false;
+    undoToast.classList.add('cart-undo__toast--open');
+
+    // The remove button is going away with its row
+    if (row.contains(document.activeElement)) undoButton.focus();
+
+    clearTimeout(this.#undoTimeout);
+    this.#undoTimeout = setTimeout(this.#dismissUndo, UNDO_TIMEOUT);
+  }
+
+  /**
+   * Hides the undo toast, unless the shopper is using it.
+   */
+  #dismissUndo = () => {
+    const { undoToast, undoButton, undoMessage } = this.refs;
+
+    if (!undoToast || !undoButton || !undoMessage) return;
+
+    if (undoToast.matches(':hover, :focus-within')) {
+      this.#undoTimeout = setTimeout(this.#dismissUndo, UNDO_TIMEOUT);
+      return;
+    }
+
+    this.#removedLine = null;
+    undoToast.classList.remove('cart-undo__toast--open');
+    undoButton.hidden = true;
+    undoMessage.textContent = '';
+  };
+
+  /**
+   * Updates the quantity, once the changes already made are sent.
+   * @param {QuantityChange} config - The config.
+   * @returns {Promise<void>}
    */
   updateQuantity(config) {
-    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
+    this.#queueQuantityChange(config);
 
-    this.#disableCartItems();
+    return this.#sendQuantityChanges();
+  }
 
-    const { line, quantity } = config;
-    const { cartTotal } = this.refs;
+  /**
+   * Queues a quantity change, replacing the pending change to the same line.
+   * @param {QuantityChange} change - The change.
+   */
+  #queueQuantityChange(change) {
+    this.#pendingChanges.delete(change.key);
+    this.#pendingChanges.set(change.key, change);
+  }
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
+  /**
+   * Sends the pending quantity changes, one request at a time.
+   * @returns {Promise<void>} Resolves once every change, including those made in the meantime, is sent.
+   */
+  #sendQuantityChanges() {
+    this.#debouncedSendQuantityChanges.cancel();
+
+    this.#sendingChanges ??= (async () => {
+      for (const [key, change] of this.#pendingChanges) {
+        this.#pendingChanges.delete(key);
+        await this.#changeQuantity(change);
       }
+    })().finally(() => {
+      this.#sendingChanges = null;
     });
 
+    return this.#sendingChanges;
+  }
+
+  /**
+   * Sends a quantity change to the server and renders the cart it returns.
+   * @param {QuantityChange} change - The change.
+   * @returns {Promise<void>}
+   */
+  async #changeQuantity({ key, quantity, action }) {
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${action}:user-action`);
+    const { cartTotal } = this.refs;
+
+    // Lines are identified by their key, as removing a line renumbers those after it
     const body = JSON.stringify({
-      line: line,
+      id: key,
       quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
+      sections: this.#getSectionsToUpdate().join(','),
       sections_url: window.location.pathname,
     });
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
-        resetShimmer(this);
-
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
-        }
-
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
-
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
-
-        this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
-
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
-      })
-      .catch((error) => {
-        console.error(error);
-      })
-      .finally(() => {
-        this.#enableCartItems();
-        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+    try {
+      const response = await cartQueue.send({
+        url: Theme.routes.cart_change_url,
+        body,
+        type: 'json',
+        sourceId: this.id,
+        key: `change:${key}`,
       });
+
+      // The line keeps the quantity the shopper asked for until the change is sent
+      if (!response) {
+        if (!this.#pendingChanges.size) this.#renderSection(this.#unrenderedSectionHTML);
+        return;
+      }
+
+      const parsedResponseText = JSON.parse(await response.text());
+
+      if (parsedResponseText.errors) {
+        if (!this.#pendingChanges.size) this.#renderSection(this.#unrenderedSectionHTML);
+        this.#handleCartError(key, parsedResponseText);
+        return;
+      }
+
+      const sectionHTML = parsedResponseText.sections[this.sectionId];
+      this.#dispatchCartUpdate(parsedResponseText.sections, parsedResponseText);
+
+      // The cart would show the quantities before the changes still waiting to be sent
+      if (this.#pendingChanges.size) {
+        this.#unrenderedSectionHTML = sectionHTML;
+        return;
+      }
+
+      this.#renderSection(sectionHTML);
+    } catch (error) {
+      console.error(error);
+
+      if (!this.#pendingChanges.size) this.#renderSection(this.#unrenderedSectionHTML);
+      this.#restoreLine(key);
+    } finally {
+      cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+    }
+  }
+
+  /**
+   * Tells the other cart components about the new cart.
+   * @param {Record<string, string>} sections - The sections rendered with the new cart.
+   * @param {Object} [cart] - The new cart, unless the response only has the added items.
+   */
+  #dispatchCartUpdate(sections, cart = {}) {
+    const newSectionHTML = new DOMParser().parseFromString(sections[this.sectionId] ?? '', 'text/html');
+
+    // Grab the new cart item count from a hidden element
+    const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
+    const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+
+    this.dispatchEvent(
+      new CartUpdateEvent(cart, this.sectionId, {
+        itemCount: newCartItemCount,
+        source: 'cart-items-component',
+        sections,
+      })
+    );
+  }
+
+  /**
+   * Renders the cart once the quantity changes are sent.
+   * @param {string | null} sectionHTML - The section HTML of the last response, if not rendered yet.
+   */
+  #renderSection(sectionHTML) {
+    this.#unrenderedSectionHTML = null;
+    resetShimmer(this);
+
+    if (sectionHTML) morphSection(this.sectionId, sectionHTML);
+  }
+
+  /**
+   * Renders the line price for a new quantity before the server confirms it.
+   * @param {HTMLTableRowElement} row - The row of the line.
+   * @param {number} quantity - The new quantity.
+   */
+  #renderLinePrice(row, quantity) {
+    const { moneyFormat } = this.refs;
+    const linePrice = /** @type {TextComponent | null} */ (row.querySelector('text-component[data-unit-price]'));
+
+    if (!linePrice || !(moneyFormat instanceof HTMLTemplateElement)) return;
+
+    const format = moneyFormat.content.textContent?.trim() || '{{amount}}';
+    const currency = moneyFormat.dataset.currency ?? '';
+
+    linePrice.textContent = formatPrice(Number(linePrice.dataset.unitPrice) * quantity, format, currency);
   }
 
   /**
@@ -177,17 +526,14 @@ class CartItemsComponent extends Component {
 
   /**
    * Handles the cart error.
-   * @param {number} line - The line.
+   * @param {string} key - The line item key.
    * @param {Object} parsedResponseText - The parsed response text.
    * @param {string} parsedResponseText.errors - The errors.
    */
-  #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
-
-    if (!quantityInput) throw new Error('Quantity input not found');
+  #handleCartError = (key, parsedResponseText) => {
+    const line = this.#restoreLine(key);
 
-    quantityInput.value = quantityInput.defaultValue;
+    if (!line) throw new Error('Quantity input not found');
 
     const cartItemError = this.refs[`cartItemError-${line}`];
     const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
@@ -199,6 +545,27 @@ class CartItemsComponent extends Component {
     cartItemErrorContainer.classList.remove('hidden');
   };
 
+  /**
+   * Puts a line back to its quantity and price in the cart, after a change failed.
+   * @param {string} key - The line item key.
+   * @returns {string | undefined} The line, unless it's no longer in the cart.
+   */
+  #restoreLine(key) {
+    const row = this.refs.cartItemRows.find((row) => row.dataset.key === key);
+    const quantityInput = /** @type {HTMLInputElement | null | undefined} */ (
+      row?.querySelector('input[data-cart-line]')
+    );
+
+    if (!quantityInput) return;
+
+    quantityInput.value = quantityInput.defaultValue;
+
+    const linePrice = row?.querySelector('text-component[data-unit-price]');
+    if (linePrice) linePrice.textContent = linePrice.getAttribute('value');
+
+    return quantityInput.dataset.cartLine;
+  }
+
   /**
    * Handles the cart update.
    *
@@ -206,7 +573,8 @@ class CartItemsComponent extends Component {
    */
   #handleCartUpdate = (event) => {
     if (event instanceof DiscountUpdateEvent) {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      // Every cart items component handles the event, they share one request for all their sections
+      sectionRenderer.renderSections(this.#getSectionsToUpdate(), { cache: false });
       return;
     }
     if (event.target === this) return;
@@ -220,17 +588,19 @@ class CartItemsComponent extends Component {
   };
 
   /**
-   * Disables the cart items.
+   * Gets the sections of the cart items components on the page, starting with this one.
+   * @returns {string[]} The section ids.
    */
-  #disableCartItems() {
-    this.classList.add('cart-items-disabled');
-  }
+  #getSectionsToUpdate() {
+    const cartItemsComponents = document.querySelectorAll('cart-items-component');
+    const sectionsToUpdate = new Set([this.sectionId]);
+    cartItemsComponents.forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionsToUpdate.add(item.dataset.sectionId);
+      }
+    });
 
-  /**
-   * Enables the cart items.
-   */
-  #enableCartItems() {
-    this.classList.remove('cart-items-disabled');
+    return Array.from(sectionsToUpdate);
   }
 
   /**
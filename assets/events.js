@@ -10,6 +10,8 @@ export class ThemeEvents {
   static variantSelected = 'variant:selected';
   /** @static @constant {string} Event triggered when a variant is changed */
   static variantUpdate = 'variant:update';
+  /** @static @constant {string} Event triggered when a selling plan is picked, or the one-time purchase */
+  static sellingPlanUpdate = 'selling-plan:update';
   /** @static @constant {string} Event triggered when the cart items or quantities are updated */
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
@@ -46,6 +48,31 @@ export class VariantSelectedEvent extends Event {
   }
 }
 
+/**
+ * The prices of a variant with a selling plan, as rendered by the `json` filter
+ * @typedef {Object} SellingPlanAllocationResource
+ * @property {number} selling_plan_id - The id of the selling plan
+ * @property {number} price - The price of the variant with the selling plan, in cents
+ * @property {number} compare_at_price - The price of the variant without the selling plan, in cents
+ * @property {number | null} [unit_price] - The unit price with the selling plan, in cents
+ */
+
+/**
+ * A variant, as rendered by the `json` filter
+ * @typedef {Object} VariantResource
+ * @property {number} id - The id of the variant
+ * @property {string} title - The title of the variant
+ * @property {boolean} available - Whether the variant is available
+ * @property {boolean} inventory_management - Whether the variant has inventory management
+ * @property {number} price - The price, in cents
+ * @property {number | null} compare_at_price - The price before the sale, in cents
+ * @property {number | null} [unit_price] - The unit price, in cents
+ * @property {{ reference_value: number; reference_unit: string } | null} [unit_price_measurement] - The unit of the unit price
+ * @property {SellingPlanAllocationResource[]} [selling_plan_allocations] - The prices with each selling plan
+ * @property {{ src: string } | null} [featured_image] - The image of the variant
+ * @property {{ id: number; preview_image?: { src?: string } } | null} [featured_media] - The featured media of the variant
+ */
+
 /**
  * Event fired after a variant is updated
  * @extends {Event}
@@ -53,17 +80,11 @@ export class VariantSelectedEvent extends Event {
 export class VariantUpdateEvent extends Event {
   /**
    * Creates a new VariantUpdateEvent
-   * @param {Object} resource - The new variant object
-   * @param {string} resource.id - The id of the variant
-   * @param {boolean} resource.available - Whether the variant is available
-   * @param {boolean} resource.inventory_management - Whether the variant has inventory management
-   * @param {Object} [resource.featured_media] - The featured media of the variant
-   * @param {string} [resource.featured_media.id] - The id of the featured media
-   * @param {Object} [resource.featured_media.preview_image] - The preview image of the featured media
-   * @param {string} [resource.featured_media.preview_image.src] - The src URL of the preview image
+   * @param {VariantResource | null} resource - The new variant object, `null` when the selected values make no variant
    * @param {string} sourceId - The id of the element the action was triggered from
    * @param {Object} data - Additional event data
-   * @param {Document} data.html - The new document fragment for the variant
+   * @param {Document} [data.html] - The new document fragment for the variant, absent when the variant picker
+   * resolved the variant without the server
    * @param {string} data.productId - The product ID of the updated variant, used to ensure the correct product form is updated
    * @param {Object} [data.newProduct] - If a new product was loaded as part of the variant update (combined listing)
    * @param {string} data.newProduct.id - The id of the new product
@@ -83,6 +104,33 @@ export class VariantUpdateEvent extends Event {
   }
 }
 
+/**
+ * Event fired when a selling plan is picked, or the one-time purchase
+ * @extends {Event}
+ */
+export class SellingPlanUpdateEvent extends Event {
+  /**
+   * Creates a new SellingPlanUpdateEvent
+   * @param {SellingPlanAllocationResource | null} resource - The selling plan allocation of the variant, `null` for a
+   * one-time purchase
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The product ID of the selling plan
+   * @param {VariantResource | null} data.variant - The selected variant
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.sellingPlanUpdate, { bubbles: true });
+    this.detail = {
+      resource: resource || null,
+      sourceId,
+      data: {
+        productId: data.productId,
+        variant: data.variant,
+      },
+    };
+  }
+}
+
 /**
  * Event class for cart additions
  * @extends {Event}
@@ -1,7 +1,8 @@
 import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import { debounce, formatMoney, formatPrice, startViewTransition } from '@theme/utilities';
+import { onIntent, prefetchSection } from '@theme/prefetch';
 
 /**
  * Search query parameter.
@@ -57,8 +58,9 @@ class FacetsFormComponent extends Component {
 
   /**
    * Updates the URL hash with current filter parameters
+   * @param {string} [facet] - The facet that changed, when its changes replace each other in the history
    */
-  #updateURLHash() {
+  #updateURLHash(facet) {
     const url = new URL(window.location.href);
     const urlParameters = this.createURLParameters();
 
@@ -67,14 +69,19 @@ class FacetsFormComponent extends Component {
       url.searchParams.append(param, value);
     }
 
-    history.pushState({ urlParameters: urlParameters.toString() }, '', url.toString());
+    // Each applied change gets its own entry, a change that leaves the results as they are doesn't
+    const replace = url.href === window.location.href || (!!facet && getHistoryState().facet === facet);
+    updateHistory(url.toString(), { urlParameters: urlParameters.toString(), facet }, replace);
   }
 
   /**
    * Updates filters and renders the section
+   * @param {Object} [options] - The options
+   * @param {string} [options.facet] - The facet that changed: consecutive changes to the same facet
+   *   share a history entry, so that refining a price range doesn't add one entry per attempt
    */
-  updateFilters = () => {
-    this.#updateURLHash();
+  updateFilters = (options) => {
+    this.#updateURLHash(options?.facet);
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
   };
@@ -86,9 +93,9 @@ class FacetsFormComponent extends Component {
     const viewTransition = !this.closest('dialog');
 
     if (viewTransition) {
-      startViewTransition(() => sectionRenderer.renderSection(this.sectionId), ['product-grid']);
+      startViewTransition(() => sectionRenderer.renderSection(this.sectionId, { persist: true }), ['product-grid']);
     } else {
-      sectionRenderer.renderSection(this.sectionId);
+      sectionRenderer.renderSection(this.sectionId, { persist: true });
     }
   }
 
@@ -97,7 +104,7 @@ class FacetsFormComponent extends Component {
    * @param {string} url - The URL to update filters with
    */
   updateFiltersByURL(url) {
-    history.pushState('', '', url);
+    updateHistory(url, {}, false);
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
   }
@@ -107,6 +114,127 @@ if (!customElements.get('facets-form-component')) {
   customElements.define('facets-form-component', FacetsFormComponent);
 }
 
+/**
+ * @typedef {Object} FacetsHistoryState
+ * @property {string} [urlParameters] - The filter parameters
+ * @property {string} [facet] - The facet whose change added the entry
+ * @property {string} [key] - Identifies the entry, to save its scroll position once it's left
+ * @property {number} [scrollY] - The scroll position when the entry was left for a new one
+ */
+
+/**
+ * The filters of the rendered results, to tell filter changes from pagination, which only updates
+ * the `page` parameter, when moving through the history
+ */
+let renderedFilters = getFilters(window.location.href);
+
+/**
+ * The scroll positions of the entries left by moving through the history, by key: the state of an
+ * entry can't be updated once the browser has left it
+ * @type {Map<string, number>}
+ */
+const scrollPositions = new Map();
+
+/**
+ * The key of the current history entry
+ * @type {string | undefined}
+ */
+let currentEntryKey = getHistoryState().key;
+
+window.addEventListener('popstate', () => {
+  // The page is still scrolled as the entry being left, the restoration of these entries is manual
+  if (currentEntryKey) scrollPositions.set(currentEntryKey, window.scrollY);
+
+  const { key, scrollY } = getHistoryState();
+  currentEntryKey = key;
+
+  const filters = getFilters(window.location.href);
+  if (filters === renderedFilters) return;
+
+  renderedFilters = filters;
+  restoreFilters((key ? scrollPositions.get(key) : undefined) ?? scrollY);
+});
+
+// Coming back from another page loads the results with the page, so the browser can restore the
+// scroll position itself
+window.addEventListener('pagehide', () => {
+  history.scrollRestoration = 'auto';
+});
+
+/**
+ * Gets the filter, sort and search parameters of a URL
+ * @param {string} href - The URL
+ * @returns {string} The parameters, sorted, without the page number
+ */
+function getFilters(href) {
+  const { searchParams } = new URL(href, window.location.origin);
+  searchParams.delete('page');
+  searchParams.sort();
+
+  return searchParams.toString();
+}
+
+/**
+ * Gets the state of the current history entry, which other scripts may have set to an empty string
+ * @returns {FacetsHistoryState}
+ */
+function getHistoryState() {
+  return history.state && typeof history.state === 'object' ? history.state : {};
+}
+
+/**
+ * Adds or replaces the history entry of filtered results. The scroll position of the entry being
+ * left is saved, also in its state for after a reload, and restored once its results are rendered
+ * again, as the browser would restore it before they are.
+ * @param {string} url - The URL of the results
+ * @param {FacetsHistoryState} state - The state of the entry
+ * @param {boolean} replace - Whether to replace the current entry
+ */
+function updateHistory(url, state, replace) {
+  if (replace) {
+    history.replaceState({ ...state, key: currentEntryKey }, '', url);
+  } else {
+    if (!currentEntryKey) currentEntryKey = createEntryKey();
+
+    scrollPositions.set(currentEntryKey, window.scrollY);
+    history.replaceState({ ...getHistoryState(), key: currentEntryKey, scrollY: window.scrollY }, '');
+    // Set on the current entry, and inherited by the new one
+    history.scrollRestoration = 'manual';
+    currentEntryKey = createEntryKey();
+    history.pushState({ ...state, key: currentEntryKey }, '', url);
+  }
+
+  renderedFilters = getFilters(url);
+}
+
+/**
+ * Creates a key for a history entry, unique across page loads as the entries outlive them
+ * @returns {string}
+ */
+function createEntryKey() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Renders the results of the current URL, after moving through the history: the product grid, the
+ * facet inputs and their summaries are all part of the rendered sections
+ * @param {number} [scrollY] - The scroll position to restore once the results are rendered
+ */
+async function restoreFilters(scrollY) {
+  const facetsForms = document.querySelectorAll('facets-form-component');
+  const sectionIds = new Set(Array.from(facetsForms, (facetsForm) => facetsForm.getAttribute('section-id')));
+
+  facetsForms[0]?.dispatchEvent(new FilterUpdateEvent(new URLSearchParams(window.location.search)));
+
+  await Promise.all(
+    Array.from(sectionIds)
+      .filter((sectionId) => sectionId !== null)
+      .map((sectionId) => sectionRenderer.renderSection(sectionId, { persist: true }))
+  );
+
+  if (scrollY !== undefined) window.scrollTo({ top: scrollY, behavior: 'instant' });
+}
+
 /**
  * @typedef {Object} FacetInputsRefs
  * @property {HTMLInputElement[]} facetInputs - The facet input elements
@@ -180,7 +308,7 @@ class FacetInputsComponent extends Component {
 
     if (inputElement.checked) url.searchParams.delete(inputElement.name, inputElement.value);
 
-    sectionRenderer.getSectionHTML(this.sectionId, true, url);
+    prefetchSection(this.sectionId, url, true);
   }, 200);
 
   cancelPrefetchPage = () => this.prefetchPage.cancel();
@@ -249,7 +377,7 @@ class PriceFacetComponent extends Component {
     const facetsForm = this.closest('facets-form-component');
     if (!(facetsForm instanceof FacetsFormComponent)) return;
 
-    facetsForm.updateFilters();
+    facetsForm.updateFilters({ facet: this.id });
     this.#setMinAndMaxValues();
     this.#updateSummary();
   }
@@ -389,16 +517,32 @@ if (!customElements.get('facet-clear-component')) {
  * @extends {Component<FacetRemoveComponentRefs>}
  */
 class FacetRemoveComponent extends Component {
+  /** @type {(() => void) | undefined} */
+  #stopIntent;
+
   connectedCallback() {
     super.connectedCallback();
     document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    this.#stopIntent = onIntent(this, this.#prefetchFilters);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    this.#stopIntent?.();
   }
 
+  /**
+   * Prefetches the results without the filter, so that removing it renders them instantly
+   */
+  #prefetchFilters = () => {
+    const { url } = this.dataset;
+    const sectionId = this.closest('.shopify-section')?.id;
+    if (!url || !sectionId) return;
+
+    prefetchSection(sectionId, new URL(url, window.location.origin), true);
+  };
+
   /**
    * Removes the filter
    * @param {Object} data - The data object
@@ -657,64 +801,7 @@ class FacetStatusComponent extends Component {
     const template = this.refs.moneyFormat.content.textContent || '{{amount}}';
     const currency = this.refs.facetStatus.dataset.currency || '';
 
-    return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
-      if (typeof placeholder !== 'string') return '';
-      if (placeholder === 'currency') return currency;
-
-      let thousandsSeparator = ',';
-      let decimalSeparator = '.';
-      let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
-
-      if (placeholder === 'amount') {
-        // Check first since it's the most common, use defaults.
-      } else if (placeholder === 'amount_no_decimals') {
-        precision = 0;
-      } else if (placeholder === 'amount_with_comma_separator') {
-        thousandsSeparator = '.';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
-        // Weirdly, this is correct. It uses amount_with_comma_separator's
-        // behaviour but removes decimals, resulting in an unintuitive
-        // output that can't possibly include commas, despite the name.
-        thousandsSeparator = '.';
-        precision = 0;
-      } else if (placeholder === 'amount_no_decimals_with_space_separator') {
-        thousandsSeparator = ' ';
-        precision = 0;
-      } else if (placeholder === 'amount_with_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_with_period_and_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = '.';
-      } else if (placeholder === 'amount_with_apostrophe_separator') {
-        thousandsSeparator = "'";
-        decimalSeparator = '.';
-      }
-
-      return this.#formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision);
-    });
-  }
-
-  /**
-   * Formats money in cents
-   * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
-   * @param {string} thousandsSeparator - The thousands separator
-   * @param {string} decimalSeparator - The decimal separator
-   * @param {number} precision - The precision
-   * @returns {string} The formatted money value
-   */
-  #formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
-    const roundedNumber = (moneyValue / 100).toFixed(precision);
-
-    let [a, b] = roundedNumber.split('.');
-    if (!a) a = '0';
-    if (!b) b = '';
-
-    // Split by groups of 3 digits
-    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
-
-    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+    return formatPrice(moneyValue, template, currency);
   }
 
   /**
@@ -728,56 +815,3 @@ class FacetStatusComponent extends Component {
 if (!customElements.get('facet-status-component')) {
   customElements.define('facet-status-component', FacetStatusComponent);
 }
-
-/**
- * Default currency decimals used in most currenies
- * @constant {number}
- */
-const DEFAULT_CURRENCY_DECIMALS = 2;
-
-/**
- * Decimal precision for currencies that have a non-default precision
- * @type {Record<string, number>}
- */
-const CURRENCY_DECIMALS = {
-  BHD: 3,
-  BIF: 0,
-  BYR: 0,
-  CLF: 4,
-  CLP: 0,
-  DJF: 0,
-  GNF: 0,
-  IQD: 3,
-  ISK: 0,
-  JOD: 3,
-  JPY: 0,
-  KMF: 0,
-  KRW: 0,
-  KWD: 3,
-  LYD: 3,
-  MRO: 5,
-  OMR: 3,
-  PYG: 0,
-  RWF: 0,
-  TND: 3,
-  UGX: 0,
-  UYI: 0,
-  UYW: 4,
-  VND: 0,
-  VUV: 0,
-  XAF: 0,
-  XAG: 0,
-  XAU: 0,
-  XBA: 0,
-  XBB: 0,
-  XBC: 0,
-  XBD: 0,
-  XDR: 0,
-  XOF: 0,
-  XPD: 0,
-  XPF: 0,
-  XPT: 0,
-  XSU: 0,
-  XTS: 0,
-  XUA: 0,
-};
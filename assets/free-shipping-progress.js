@@ -0,0 +1,99 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartUpdateEvent, DiscountUpdateEvent } from '@theme/events';
+import { formatPrice } from '@theme/utilities';
+
+/**
+ * @typedef {object} Cart
+ * @property {number} total_price - The total of the cart, in cents.
+ */
+
+/**
+ * A custom element that shows the progress of the cart towards its rewards, e.g. free shipping and
+ * a free gift. The tiers are rendered by the `free-shipping-progress` snippet.
+ *
+ * @typedef {object} FreeShippingProgressRefs
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the amounts.
+ * @property {HTMLElement} message - The message about the next tier.
+ * @property {HTMLElement} bar - The progress bar.
+ * @property {HTMLElement[]} tiers - The tiers, by increasing threshold.
+ *
+ * @extends {Component<FreeShippingProgressRefs>}
+ */
+class FreeShippingProgressComponent extends Component {
+  requiredRefs = ['moneyFormat', 'message', 'bar', 'tiers'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#onCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#onCartUpdate);
+  }
+
+  /**
+   * Renders the progress with the total of the new cart. Additions only come with the added items,
+   * the cart is fetched then.
+   * @param {CartUpdateEvent | DiscountUpdateEvent} event - The event.
+   */
+  #onCartUpdate = async (event) => {
+    const cart = /** @type {Partial<Cart> | null} */ (event.detail.resource);
+
+    try {
+      let total = cart?.total_price;
+
+      if (typeof total !== 'number') {
+        const response = await fetch(`${Theme.routes.cart_url}.js`);
+        /** @type {Cart} */
+        const fetchedCart = await response.json();
+        total = fetchedCart.total_price;
+      }
+
+      this.render(total);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  /**
+   * Renders the progress for a cart total.
+   * @param {number} total - The cart total, in cents.
+   */
+  render(total) {
+    const { bar, message, moneyFormat, tiers } = this.refs;
+    const thresholds = tiers.map((tier) => Number(tier.dataset.threshold));
+    const lastThreshold = thresholds[thresholds.length - 1];
+
+    if (!lastThreshold) return;
+
+    const progress = Math.min(100, Math.floor((total * 100) / lastThreshold));
+    const nextTier = thresholds.findIndex((threshold) => total < threshold);
+
+    tiers.forEach((tier, index) => {
+      tier.classList.toggle('free-shipping-progress__tier--reached', total >= (thresholds[index] ?? Infinity));
+    });
+
+    this.style.setProperty('--free-shipping-progress', `${progress}%`);
+    bar.setAttribute('aria-valuenow', progress.toString());
+
+    if (nextTier === -1) {
+      message.textContent = tiers[tiers.length - 1]?.dataset.reachedMessage ?? '';
+      return;
+    }
+
+    const format = moneyFormat.content.textContent?.trim() || '{{amount}}';
+    const currency = moneyFormat.dataset.currency ?? '';
+    const remaining = formatPrice((thresholds[nextTier] ?? 0) - total, format, currency);
+
+    message.textContent = (tiers[nextTier]?.dataset.remainingMessage ?? '').replace('[amount]', remaining);
+  }
+}
+
+if (!customElements.get('free-shipping-progress')) {
+  customElements.define('free-shipping-progress', FreeShippingProgressComponent);
+}
@@ -37,6 +37,9 @@ declare global {
     template: {
       name: string;
     };
+    customer?: {
+      id: number | null;
+    };
   }
 
   interface Window {
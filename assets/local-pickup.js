@@ -17,7 +17,7 @@ class LocalPickup extends Component {
         this.dataset.productUrl = event.detail.data.newProduct.url;
       }
 
-      const variantId = event.detail.resource ? event.detail.resource.id : null;
+      const variantId = event.detail.resource ? String(event.detail.resource.id) : null;
       const variantAvailable = event.detail.resource ? event.detail.resource.available : null;
       if (variantId !== this.dataset.variantId) {
         if (variantId && variantAvailable) {
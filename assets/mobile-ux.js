@@ -12,7 +12,6 @@ class MobileUXEnhancer {
     this.setupStickyCartBar();
     this.enhanceSwipeableCarousels();
     this.optimizeTouchTargets();
-    this.setupProgressBars();
   }
 
   /**
@@ -208,71 +207,6 @@ class MobileUXEnhancer {
       }
     });
   }
-
-  /**
-   * Free Shipping Progress Bar
-   */
-  setupProgressBars() {
-    this.setupShippingProgressBar();
-  }
-
-  setupShippingProgressBar() {
-    const cart = document.querySelector('[data-cart]');
-    if (!cart) return;
-
-    const freeShippingThreshold = 75; // $75 for free shipping - this should be configurable
-    
-    const createProgressBar = () => {
-      const progressContainer = document.createElement('div');
-      progressContainer.className = 'shipping-progress';
-      progressContainer.innerHTML = `
-        <div class="shipping-progress__bar">
-          <div class="shipping-progress__fill" data-progress-fill></div>
-        </div>
-        <div class="shipping-progress__text" data-progress-text></div>
-      `;
-      
-      return progressContainer;
-    };
-
-    const updateProgress = (cartTotal) => {
-      const progressFill = document.querySelector('[data-progress-fill]');
-      const progressText = document.querySelector('[data-progress-text]');
-      
-      if (!progressFill || !progressText) return;
-
-      const remaining = Math.max(0, freeShippingThreshold - cartTotal);
-      const progress = Math.min(100, (cartTotal / freeShippingThreshold) * 100);
-      
-      progressFill.style.width = `${progress}%`;
-      
-      if (remaining === 0) {
-        progressText.textContent = '🎉 You qualify for free shipping!';
-        progressText.className = 'shipping-progress__text shipping-progress__text--complete';
-      } else {
-        progressText.textContent = `Add $${remaining.toFixed(2)} more for free shipping`;
-        progressText.className = 'shipping-progress__text';
-      }
-    };
-
-    // Add progress bar to cart and monitor changes
-    const cartDrawer = document.querySelector('[data-cart-drawer]');
-    if (cartDrawer && !cartDrawer.querySelector('.shipping-progress')) {
-      const progressBar = createProgressBar();
-      cartDrawer.insertBefore(progressBar, cartDrawer.firstChild);
-      
-      // Monitor cart changes
-      const observer = new MutationObserver(() => {
-        const totalElement = document.querySelector('[data-cart-total]');
-        if (totalElement) {
-          const total = parseFloat(totalElement.textContent.replace(/[^0-9.]/g, ''));
-          updateProgress(total);
-        }
-      });
-      
-      observer.observe(cartDrawer, { childList: true, subtree: true });
-    }
-  }
 }
 
 // Initialize when DOM is loaded
@@ -3,7 +3,7 @@ import { Component } from '@theme/component';
 /**
  * @typedef {Object} Options
  * @property {boolean} [childrenOnly] - Only update children
- * @property {(node: Node | undefined) => string|number|undefined} [getNodeKey] - Get node key for matching
+ * @property {(node: Node | undefined) => string|number|undefined} [getNodeKey] - Get node key for matching, the `id` or `data-key` attribute by default
  * @property {(oldNode: Node, newNode: Node) => void} [onBeforeUpdate] - Pre-update hook
  * @property {(node: Node) => void} [onAfterUpdate] - Post-update hook
  * @property {(oldNode: Node, newNode: Node) => boolean} [reject] - Reject a node from being morphed
@@ -207,13 +207,103 @@ function updateNode(newNode, oldNode, options) {
 }
 
 /**
- * Gets a node's key using the getNodeKey option if provided
+ * Gets a node's key using the getNodeKey option if provided, otherwise its `id` or `data-key`
+ * attribute (e.g. the line item key of cart rows)
  * @param {Node | undefined} node - The node to get the key from
  * @param {Options} [options] - The options object that may contain getNodeKey
  * @returns {string|number|undefined} The node's key if one exists
  */
 function getNodeKey(node, options) {
-  return options?.getNodeKey?.(node) ?? (node instanceof Element ? node.id : undefined);
+  return (
+    options?.getNodeKey?.(node) ??
+    (node instanceof Element ? node.id || node.getAttribute('data-key') || undefined : undefined)
+  );
+}
+
+/**
+ * Gets the children of a node that have a key
+ * @param {Node} node - The parent node
+ * @param {Options} options - The options object
+ * @returns {Map<string|number, ChildNode> | null} The children by key, null when keys are duplicated
+ */
+function getKeyedChildren(node, options) {
+  /** @type {Map<string|number, ChildNode>} */
+  const keyedChildren = new Map();
+
+  for (const child of node.childNodes) {
+    const key = getNodeKey(child, options);
+    if (!key) continue;
+
+    // Children can't be matched by key reliably
+    if (keyedChildren.has(key)) return null;
+
+    keyedChildren.set(key, child);
+  }
+
+  return keyedChildren;
+}
+
+/**
+ * Moves keyed children into a new order with as few DOM moves as possible: the children in the
+ * longest run that is already in order stay in place, and the others are moved around them.
+ * Moving a node detaches it, which loses focus and restarts its animations and media.
+ * @param {Node} parent - The parent node
+ * @param {ChildNode[]} children - Children of the parent, in their new order
+ */
+function moveKeyedChildren(parent, children) {
+  const currentChildren = Array.from(parent.childNodes);
+  const stable = longestIncreasingSubsequence(children.map((child) => currentChildren.indexOf(child)));
+  const lastStableChild = children[stable[stable.length - 1] ?? -1];
+  const stableIndices = new Set(stable);
+
+  if (!lastStableChild) return;
+
+  /** @type {ChildNode | null} */
+  let reference = null;
+
+  for (let i = children.length - 1; i >= 0; i--) {
+    const child = /** @type {ChildNode} */ (children[i]);
+
+    if (!stableIndices.has(i)) {
+      // The children after the last stable one go right after it, the others before their next sibling
+      parent.insertBefore(child, reference ?? lastStableChild.nextSibling);
+    }
+
+    reference = child;
+  }
+}
+
+/**
+ * Finds the longest strictly increasing subsequence of a list of numbers
+ * @param {number[]} values - The values
+ * @returns {number[]} The indices of the values in the subsequence, in order
+ */
+function longestIncreasingSubsequence(values) {
+  /** @type {number[]} The index of the last value of the best subsequence of each length */
+  const tails = [];
+  /** @type {number[]} The index of the previous value in the subsequence ending at each value */
+  const previous = [];
+
+  for (const [index, value] of values.entries()) {
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (/** @type {number} */ (values[/** @type {number} */ (tails[middle])]) < value) low = middle + 1;
+      else high = middle;
+    }
+
+    previous[index] = low > 0 ? /** @type {number} */ (tails[low - 1]) : -1;
+    tails[low] = index;
+  }
+
+  const subsequence = [];
+  for (let index = tails[tails.length - 1] ?? -1; index !== -1; index = /** @type {number} */ (previous[index])) {
+    subsequence.unshift(index);
+  }
+
+  return subsequence;
 }
 
 /**
@@ -368,6 +458,35 @@ function updateChildren(newNode, oldNode, options) {
   let oldChild, newChild, morphed, oldMatch;
   let offset = 0;
 
+  // Keyed children found in both trees are put in their new order first, so that reordered lists
+  // are morphed with a few moves rather than by replacing their children one by one
+  const oldKeyedChildren = getKeyedChildren(oldNode, options);
+  const newKeyedChildren = getKeyedChildren(newNode, options);
+  /** @type {Map<string|number, ChildNode>} */
+  const keyedMatches = new Map();
+
+  if (oldKeyedChildren && newKeyedChildren) {
+    for (const [key, newKeyedChild] of newKeyedChildren) {
+      const oldKeyedChild = oldKeyedChildren.get(key);
+      if (oldKeyedChild && same(newKeyedChild, oldKeyedChild, options)) keyedMatches.set(key, oldKeyedChild);
+    }
+
+    moveKeyedChildren(oldNode, Array.from(keyedMatches.values()));
+  }
+
+  /**
+   * Checks whether an old child can be morphed into a new child: old children matched by key are
+   * kept for the new child with their key
+   * @param {Node} newChild
+   * @param {Node} oldChild
+   */
+  const canMorph = (newChild, oldChild) => {
+    const oldKey = getNodeKey(oldChild, options);
+    const reserved = !!oldKey && keyedMatches.get(oldKey) === oldChild;
+
+    return (!reserved || getNodeKey(newChild, options) === oldKey) && same(newChild, oldChild, options);
+  };
+
   for (let i = 0; ; i++) {
     oldChild = oldNode.childNodes[i];
     newChild = newNode.childNodes[i - offset];
@@ -391,8 +510,30 @@ function updateChildren(newNode, oldNode, options) {
       continue;
     }
 
+    // A keyed child is only morphed from the old child with the same key
+    const newKey = getNodeKey(newChild, options);
+    const keyedMatch = newKey ? keyedMatches.get(newKey) : undefined;
+
+    if (keyedMatch && oldChild.compareDocumentPosition(keyedMatch) & Node.DOCUMENT_POSITION_FOLLOWING) {
+      const oldKey = getNodeKey(oldChild, options);
+
+      if (!oldKey) {
+        // Move the unkeyed child out of the way, it can still match a later new child
+        oldNode.insertBefore(oldChild, keyedMatch.nextSibling);
+        i--;
+        continue;
+      }
+
+      if (!newKeyedChildren?.has(oldKey)) {
+        // The keyed child is gone from the new tree
+        oldNode.removeChild(oldChild);
+        i--;
+        continue;
+      }
+    }
+
     // Both nodes are the same, morph
-    if (same(newChild, oldChild, options)) {
+    if (canMorph(newChild, oldChild)) {
       morphed = walk(newChild, oldChild, options);
       if (morphed !== oldChild) {
         oldNode.replaceChild(morphed, oldChild);
@@ -412,7 +553,7 @@ function updateChildren(newNode, oldNode, options) {
     for (let j = i; j < oldNode.childNodes.length; j++) {
       const potentialOldNode = oldNode.childNodes[j];
 
-      if (potentialOldNode && same(potentialOldNode, newChild, options)) {
+      if (potentialOldNode && canMorph(newChild, potentialOldNode)) {
         oldMatch = potentialOldNode;
         break;
       }
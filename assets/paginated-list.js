@@ -2,6 +2,7 @@ import { Component } from '@theme/component';
 import { sectionRenderer } from '@theme/section-renderer';
 import { requestIdleCallback, viewTransition } from '@theme/utilities';
 import { ThemeEvents } from '@theme/events';
+import { shouldPrefetch } from '@theme/prefetch';
 
 /**
  * A custom element that renders a paginated list of items.
@@ -37,8 +38,12 @@ export default class PaginatedList extends Component {
 
     this.#storeImageRatioSettings();
 
-    this.#fetchPage('next');
-    this.#fetchPage('previous');
+    // The adjacent pages are prefetched, unless the visitor saves data, in which case they're fetched
+    // when the view more triggers come into view
+    if (shouldPrefetch()) {
+      this.#fetchPage('next');
+      this.#fetchPage('previous');
+    }
     this.#observeViewMore();
 
     // Listen for filter updates to clear cached pages
@@ -139,7 +144,7 @@ export default class PaginatedList extends Component {
     }
 
     if (!this.#shouldUsePage(pageInfo)) return;
-    const pageContent = await sectionRenderer.getSectionHTML(this.sectionId, true, pageInfo.url);
+    const pageContent = await sectionRenderer.getSectionHTML(this.sectionId, true, pageInfo.url, true);
     this.pages.set(pageNumber, pageContent);
   }
 
@@ -156,6 +161,7 @@ export default class PaginatedList extends Component {
       const promise = new Promise((res) => {
         this.#resolveNextPagePromise = res;
       });
+      this.#fetchPage('next');
       await promise;
       nextPageItemElements = this.#getGridForPage(nextPage.page);
       if (!nextPageItemElements) return;
@@ -167,9 +173,11 @@ export default class PaginatedList extends Component {
 
     history.pushState('', '', nextPage.url.toString());
 
-    requestIdleCallback(() => {
-      this.#fetchPage('next');
-    });
+    if (shouldPrefetch()) {
+      requestIdleCallback(() => {
+        this.#fetchPage('next');
+      });
+    }
   }
 
   async #renderPreviousPage() {
@@ -185,6 +193,7 @@ export default class PaginatedList extends Component {
       const promise = new Promise((res) => {
         this.#resolvePreviousPagePromise = res;
       });
+      this.#fetchPage('previous');
       await promise;
       previousPageItemElements = this.#getGridForPage(previousPage.page);
       if (!previousPageItemElements) return;
@@ -212,9 +221,11 @@ export default class PaginatedList extends Component {
       });
     }
 
-    requestIdleCallback(() => {
-      this.#fetchPage('previous');
-    });
+    if (shouldPrefetch()) {
+      requestIdleCallback(() => {
+        this.#fetchPage('previous');
+      });
+    }
   }
 
   /**
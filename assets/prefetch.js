@@ -0,0 +1,102 @@
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * How long the pointer has to rest on an element before it counts as an intent to activate it, so
+ * that moving the pointer across the page doesn't prefetch everything on its way
+ */
+const HOVER_INTENT_DELAY = 80;
+
+/**
+ * The effective connection types on which prefetching would compete with the requests the visitor
+ * actually makes
+ */
+const SLOW_CONNECTION_TYPES = ['slow-2g', '2g'];
+
+/**
+ * The pages already prefetched
+ * @type {Set<string>}
+ */
+const prefetchedPages = new Set();
+
+/**
+ * Checks whether prefetching is worthwhile: not when the visitor asked to save data or is on a slow
+ * connection
+ * @returns {boolean}
+ */
+export function shouldPrefetch() {
+  /** @type {{ saveData?: boolean, effectiveType?: string } | undefined} */
+  const connection = /** @type {any} */ (navigator).connection;
+  if (!connection) return true;
+
+  return !connection.saveData && !SLOW_CONNECTION_TYPES.includes(connection.effectiveType ?? '');
+}
+
+/**
+ * Calls a callback when the visitor shows the intent to activate an element: resting the pointer on
+ * it, pressing it or focusing it
+ * @param {HTMLElement} element - The element
+ * @param {() => void} callback - The callback, called again on every new intent
+ * @returns {() => void} A function that stops listening
+ */
+export function onIntent(element, callback) {
+  /** @type {number | undefined} */
+  let timeout;
+
+  const cancel = () => clearTimeout(timeout);
+  /** @param {PointerEvent} event */
+  const handlePointerEnter = (event) => {
+    // Touch screens have no hover, the intent shows when the finger comes down
+    if (event.pointerType !== 'mouse') return;
+
+    cancel();
+    timeout = setTimeout(callback, HOVER_INTENT_DELAY);
+  };
+
+  element.addEventListener('pointerenter', handlePointerEnter);
+  element.addEventListener('pointerleave', cancel);
+  element.addEventListener('pointerdown', callback);
+  element.addEventListener('focusin', callback);
+
+  return () => {
+    cancel();
+    element.removeEventListener('pointerenter', handlePointerEnter);
+    element.removeEventListener('pointerleave', cancel);
+    element.removeEventListener('pointerdown', callback);
+    element.removeEventListener('focusin', callback);
+  };
+}
+
+/**
+ * Warms the section renderer cache with a section rendered for a URL, so that rendering it later
+ * morphs without waiting for the network
+ * @param {string} sectionId - The section ID
+ * @param {URL} url - The URL to render the section for
+ * @param {boolean} [persist] - Whether the section is kept across page loads, see `SectionRenderer.getSectionHTML`
+ */
+export function prefetchSection(sectionId, url, persist = false) {
+  if (!shouldPrefetch()) return;
+
+  sectionRenderer.getSectionHTML(sectionId, true, url, persist).catch(() => {
+    // The section is fetched again when it's rendered
+  });
+}
+
+/**
+ * Prefetches a page of the store that the visitor is likely to navigate to
+ * @param {string} href - The URL of the page
+ */
+export function prefetchPage(href) {
+  const url = new URL(href, window.location.href);
+  url.hash = '';
+
+  if (!shouldPrefetch() || url.origin !== window.location.origin || prefetchedPages.has(url.href)) return;
+  if (url.pathname === window.location.pathname && url.search === window.location.search) return;
+
+  prefetchedPages.add(url.href);
+
+  const link = document.createElement('link');
+  link.rel = 'prefetch';
+  link.as = 'document';
+  link.href = url.href;
+  document.head.append(link);
+}
@@ -1,8 +1,9 @@
 import VariantPicker from '@theme/variant-picker';
 import { Component } from '@theme/component';
-import { debounce, isDesktopBreakpoint, mediaQueryLarge } from '@theme/utilities';
+import { debounce, isDesktopBreakpoint } from '@theme/utilities';
 import { ThemeEvents, VariantSelectedEvent, VariantUpdateEvent, SlideshowSelectEvent } from '@theme/events';
 import { morph } from '@theme/morph';
+import { onIntent, prefetchPage, shouldPrefetch } from '@theme/prefetch';
 
 /**
  * A custom element that displays a product card.
@@ -22,10 +23,22 @@ export class ProductCard extends Component {
     return this.refs.productCardLink.href;
   }
 
-  #fetchProductPageHandler = () => {
-    if (!this.refs.quickAdd?.cachedProductHtml) {
-      this.refs.quickAdd?.fetchProductPage(this.productPageUrl);
+  /** @type {(() => void) | undefined} */
+  #stopIntent;
+
+  /**
+   * Prefetches the product page when the visitor shows the intent to open the card. On desktop, the
+   * page is fetched once, for the quick add modal.
+   */
+  #prefetchProductPage = () => {
+    const { quickAdd } = this.refs;
+
+    if (quickAdd && isDesktopBreakpoint()) {
+      if (shouldPrefetch() && !quickAdd.cachedProductHtml) quickAdd.fetchProductPage(this.productPageUrl);
+      return;
     }
+
+    prefetchPage(this.productPageUrl);
   };
 
   /**
@@ -52,12 +65,11 @@ export class ProductCard extends Component {
 
     const link = this.refs.productCardLink;
     if (!(link instanceof HTMLAnchorElement)) throw new Error('Product card link not found');
-    this.#handleQuickAdd();
+    this.#stopIntent = onIntent(this, this.#prefetchProductPage);
 
     this.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
     this.addEventListener(ThemeEvents.variantSelected, this.#handleVariantSelected);
     this.addEventListener(SlideshowSelectEvent.eventName, this.#handleSlideshowSelect);
-    mediaQueryLarge.addEventListener('change', this.#handleQuickAdd);
 
     this.addEventListener('click', this.navigateToProduct);
 
@@ -72,6 +84,7 @@ export class ProductCard extends Component {
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('click', this.navigateToProduct);
+    this.#stopIntent?.();
   }
 
   #preloadNextPreviewImage() {
@@ -79,19 +92,6 @@ export class ProductCard extends Component {
     currentSlide?.nextElementSibling?.querySelector('img[loading="lazy"]')?.removeAttribute('loading');
   }
 
-  /**
-   * Handles the quick add event.
-   */
-  #handleQuickAdd = () => {
-    this.removeEventListener('pointerenter', this.#fetchProductPageHandler);
-    this.removeEventListener('focusin', this.#fetchProductPageHandler);
-
-    if (isDesktopBreakpoint()) {
-      this.addEventListener('pointerenter', this.#fetchProductPageHandler);
-      this.addEventListener('focusin', this.#fetchProductPageHandler);
-    }
-  };
-
   /**
    * Handles the variant selected event.
    * @param {VariantSelectedEvent} event - The variant selected event.
@@ -117,7 +117,7 @@ export class ProductCard extends Component {
     this.#updateProductUrl(event);
     this.refs.quickAdd?.fetchProductPage(this.productPageUrl);
 
-    if (event.target !== this.variantPicker) {
+    if (event.target !== this.variantPicker && event.detail.data.html) {
       this.variantPicker?.updateVariantPicker(event.detail.data.html);
     }
 
@@ -131,7 +131,7 @@ export class ProductCard extends Component {
    */
   updatePrice(event) {
     const priceContainer = this.querySelectorAll(`product-price [ref='priceContainer']`)[1];
-    const newPriceElement = event.detail.data.html.querySelector(`product-price [ref='priceContainer']`);
+    const newPriceElement = event.detail.data.html?.querySelector(`product-price [ref='priceContainer']`);
 
     if (newPriceElement && priceContainer) {
       morph(priceContainer, newPriceElement);
@@ -165,8 +165,8 @@ export class ProductCard extends Component {
    * @param {VariantUpdateEvent} event - The variant update event.
    */
   #isUnavailableVariantSelected(event) {
-    const allVariants = /** @type {NodeListOf<HTMLInputElement>} */ (
-      event.detail.data.html.querySelectorAll('input:checked')
+    const allVariants = /** @type {HTMLInputElement[]} */ (
+      Array.from(event.detail.data.html?.querySelectorAll('input:checked') ?? [])
     );
 
     for (const variant of allVariants) {
@@ -3,6 +3,7 @@ import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
 import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { cartQueue } from '@theme/cart-queue';
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
@@ -178,17 +179,27 @@ class ProductFormComponent extends Component {
       formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
+    // Files can't be kept while the shopper is offline, the other forms are URL encoded to be queued
+    const hasFiles = Array.from(formData.values()).some((value) => value instanceof File && value.name !== '');
+    const body = new URLSearchParams();
+    for (const [name, value] of formData) {
+      if (typeof value === 'string') body.append(name, value);
+    }
 
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
+    const request = hasFiles
+      ? this.#addWithFiles(formData)
+      : cartQueue
+          .send({ url: Theme.routes.cart_add_url, body: body.toString(), type: 'form', sourceId: this.id })
+          .then((response) => response?.json() ?? null);
+
+    request
       .then((response) => {
+        if (!response) {
+          this.#setLiveRegionText(Theme.translations.cart_queued);
+          this.#timeout = setTimeout(() => this.#clearLiveRegionText(), 5000);
+          return;
+        }
+
         if (response.status) {
           window.dispatchEvent(new CartErrorEvent(this.id, response.message));
 
@@ -269,6 +280,30 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Adds the product of a form with files, e.g. an uploaded line item property, as multipart form data.
+   * It can't be queued, so it's refused while the shopper is offline.
+   * @param {FormData} formData - The form data.
+   * @returns {Promise<any>} The parsed response.
+   */
+  async #addWithFiles(formData) {
+    if (!navigator.onLine) {
+      const message = Theme.translations.cart_files_offline ?? '';
+      return { status: 503, message, description: message };
+    }
+
+    const fetchCfg = fetchConfig('javascript', { body: formData });
+    const response = await fetch(Theme.routes.cart_add_url, {
+      ...fetchCfg,
+      headers: {
+        ...fetchCfg.headers,
+        Accept: 'text/html',
+      },
+    });
+
+    return response.json();
+  }
+
   /**
    * @param {*} text
    */
@@ -294,8 +329,9 @@ class ProductFormComponent extends Component {
 
     const { variantId, addToCartButtonContainer } = this.refs;
 
+    const { html } = event.detail.data;
     const currentAddToCartButton = addToCartButtonContainer?.refs.addToCartButton;
-    const newAddToCartButton = event.detail.data.html.querySelector('[ref="addToCartButton"]');
+    const newAddToCartButton = html?.querySelector('[ref="addToCartButton"]');
 
     if (!currentAddToCartButton) return;
 
@@ -311,10 +347,12 @@ class ProductFormComponent extends Component {
     // Update the add to cart button text and icon
     if (newAddToCartButton) {
       morph(currentAddToCartButton, newAddToCartButton);
+    } else if (!html) {
+      this.#renderAddToCartText(currentAddToCartButton, event.detail.resource);
     }
 
     // Update the variant ID
-    variantId.value = event.detail.resource.id ?? '';
+    variantId.value = String(event.detail.resource?.id ?? '');
 
     // Set the data attribute for the add to cart button to the product variant media if it exists
     if (event.detail.resource) {
@@ -324,6 +362,22 @@ class ProductFormComponent extends Component {
     }
   };
 
+  /**
+   * Updates the text of the add to cart button, when the variant picker didn't ask the server.
+   * @param {HTMLButtonElement} button - The add to cart button.
+   * @param {{ available: boolean } | null} variant - The variant, `null` when the selected options don't make one.
+   */
+  #renderAddToCartText(button, variant) {
+    const { addToCartText, soldOutText, unavailableText } = this.dataset;
+    const text = button.querySelector('.add-to-cart-text__content');
+    const label = !variant ? unavailableText : variant.available ? addToCartText : soldOutText;
+
+    if (!text || !label) return;
+
+    text.textContent = label;
+    button.querySelector('.add-to-cart-icon')?.classList.toggle('hidden', !variant?.available);
+  }
+
   /**
    * Disable the add to cart button while the UI is updating before #onVariantUpdate is called.
    * Accelerated checkout button is also disabled via its own event listener not exposed to the theme.
@@ -23,12 +23,33 @@ class ProductInventory extends HTMLElement {
       return;
     }
 
-    const newInventory = event.detail.data.html.querySelector('product-inventory');
+    const { html } = event.detail.data;
+
+    if (!html) {
+      this.#renderStatus(String(event.detail.resource?.id ?? ''));
+      return;
+    }
+
+    const newInventory = html.querySelector('product-inventory');
 
     if (!newInventory) return;
 
     morph(this, newInventory, { childrenOnly: true });
   };
+
+  /**
+   * Shows the status rendered for a variant, when the variant picker didn't ask the server.
+   * @param {string} variantId - The ID of the variant, empty when the selected options don't make one.
+   */
+  #renderStatus(variantId) {
+    const template = this.querySelector(`template[data-variant-id="${variantId}"]`);
+    const status = this.querySelector('.product-inventory__status');
+    const newStatus = template instanceof HTMLTemplateElement ? template.content.firstElementChild : null;
+
+    if (!status || !newStatus) return;
+
+    morph(status, newStatus.cloneNode(true));
+  }
 }
 
 if (!customElements.get('product-inventory')) {
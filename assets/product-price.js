@@ -1,4 +1,22 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, SellingPlanUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { formatPrice } from '@theme/utilities';
+
+/**
+ * @typedef {object} PriceVariant
+ * @property {number} price - The price, in cents.
+ * @property {number | null} compare_at_price - The price before the sale, in cents.
+ * @property {number | null} [unit_price] - The unit price, in cents.
+ * @property {{ reference_value: number; reference_unit: string; } | null} [unit_price_measurement] - The unit.
+ * @property {SellingPlanAllocation[]} [selling_plan_allocations] - The prices of the variant with each selling plan.
+ */
+
+/**
+ * @typedef {object} SellingPlanAllocation
+ * @property {number} selling_plan_id - The ID of the selling plan.
+ * @property {number} price - The price with the selling plan, in cents.
+ * @property {number} compare_at_price - The price without the selling plan, in cents.
+ * @property {number | null} [unit_price] - The unit price with the selling plan, in cents.
+ */
 
 /**
  * A custom element that displays a product price.
@@ -8,16 +26,24 @@ import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
  * 2. Swatches variant picker (in product cards)
  */
 class ProductPrice extends HTMLElement {
+  /**
+   * The selling plan picked, `null` for a one-time purchase.
+   * @type {number | null}
+   */
+  #sellingPlanId = null;
+
   connectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlan);
   }
 
   disconnectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlan);
   }
 
   /**
@@ -27,11 +53,20 @@ class ProductPrice extends HTMLElement {
   updatePrice = (event) => {
     if (event.detail.data.newProduct) {
       this.dataset.productId = event.detail.data.newProduct.id;
+      this.#sellingPlanId = null;
     } else if (event.target instanceof HTMLElement && event.target.dataset.productId !== this.dataset.productId) {
       return;
     }
 
-    const newPrice = event.detail.data.html.querySelector('product-price [ref="priceContainer"]');
+    const { html } = event.detail.data;
+
+    // The server renders the one-time price
+    if (!html || this.#sellingPlanId) {
+      this.#renderPrice(withSellingPlan(event.detail.resource, this.#sellingPlanId));
+      return;
+    }
+
+    const newPrice = html.querySelector('product-price [ref="priceContainer"]');
     const currentPrice = this.querySelector('[ref="priceContainer"]');
 
     if (!newPrice || !currentPrice) return;
@@ -40,6 +75,108 @@ class ProductPrice extends HTMLElement {
       currentPrice.replaceWith(newPrice);
     }
   };
+
+  /**
+   * Shows the price with the selling plan picked, or the one-time price.
+   * @param {SellingPlanUpdateEvent} event - The selling plan update event.
+   */
+  updateSellingPlan = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    this.#sellingPlanId = event.detail.resource?.selling_plan_id ?? null;
+    this.#renderPrice(withSellingPlan(event.detail.data.variant, this.#sellingPlanId));
+  };
+
+  /**
+   * Renders the price of a variant like the `price` snippet, when the variant picker didn't ask the server.
+   * @param {PriceVariant | null} variant - The variant, `null` when the selected options don't make one.
+   */
+  #renderPrice(variant) {
+    const priceContainer = this.querySelector('[ref="priceContainer"]');
+    const moneyFormat = priceContainer?.querySelector('template[data-money-format]');
+
+    if (!priceContainer || !(moneyFormat instanceof HTMLTemplateElement)) return;
+
+    const { currency = '', regularPriceLabel = '', salePriceLabel = '', unitPriceLabel = '' } = moneyFormat.dataset;
+    const format = moneyFormat.content.textContent?.trim() || '{{amount}}';
+    const formatAmount = (/** @type {number} */ amount) => formatPrice(amount, format, currency);
+
+    /** @type {HTMLElement[]} */
+    const elements = [];
+    const price = variant ? formatAmount(variant.price) : '\u00a0';
+    const compareAtPrice = variant?.compare_at_price ?? 0;
+
+    if (variant && compareAtPrice > variant.price) {
+      const regularPrice = createPriceGroup(regularPriceLabel, 'compare-at-price', formatAmount(compareAtPrice));
+      const salePrice = createPriceGroup(salePriceLabel, 'price', price);
+
+      elements.push(
+        ...('salePriceFirst' in moneyFormat.dataset ? [salePrice, regularPrice] : [regularPrice, salePrice])
+      );
+    } else {
+      elements.push(createElement('span', 'price', price));
+    }
+
+    if (variant?.unit_price && variant.unit_price_measurement && 'showUnitPrice' in moneyFormat.dataset) {
+      const { reference_value, reference_unit } = variant.unit_price_measurement;
+      const unitPrice = createElement('small', 'unit-price', '');
+
+      unitPrice.append(
+        createElement('span', 'visually-hidden', unitPriceLabel),
+        ` ${formatAmount(variant.unit_price)}/${reference_value === 1 ? '' : reference_value}${reference_unit}`
+      );
+      elements.push(unitPrice);
+    }
+
+    priceContainer.replaceChildren(moneyFormat, ...elements.flatMap((element) => [' ', element]));
+  }
+}
+
+/**
+ * @param {PriceVariant | null} variant - The variant.
+ * @param {number | null} sellingPlanId - The selling plan picked, `null` for a one-time purchase.
+ * @returns {PriceVariant | null} The variant, with the prices of the selling plan when it has one.
+ */
+function withSellingPlan(variant, sellingPlanId) {
+  const allocation = variant?.selling_plan_allocations?.find(
+    ({ selling_plan_id }) => selling_plan_id === sellingPlanId
+  );
+  if (!variant || !allocation) return variant;
+
+  return {
+    ...variant,
+    price: allocation.price,
+    compare_at_price: allocation.compare_at_price,
+    unit_price: allocation.unit_price ?? variant.unit_price,
+  };
+}
+
+/**
+ * @param {string} label - The label read by screen readers.
+ * @param {string} className - The class of the price.
+ * @param {string} price - The formatted price.
+ * @returns {HTMLElement} The price, with its label.
+ */
+function createPriceGroup(label, className, price) {
+  const group = createElement('span', '', '');
+  group.setAttribute('role', 'group');
+  group.append(createElement('span', 'visually-hidden', `${label}\u00a0`), createElement('span', className, price));
+
+  return group;
+}
+
+/**
+ * @param {string} tagName - The tag of the element.
+ * @param {string} className - The class of the element.
+ * @param {string} textContent - The text of the element.
+ * @returns {HTMLElement}
+ */
+function createElement(tagName, className, textContent) {
+  const element = document.createElement(tagName);
+  if (className) element.className = className;
+  element.textContent = textContent;
+
+  return element;
 }
 
 if (!customElements.get('product-price')) {
@@ -9,6 +9,8 @@ export class QuickAddComponent extends Component {
   #abortController = null;
   /** @type {Document | null} */
   #cachedProductHtml = null;
+  /** @type {{ url: string, promise: Promise<void> } | null} */
+  #pendingFetch = null;
 
   get cachedProductHtml() {
     return this.#cachedProductHtml;
@@ -89,6 +91,23 @@ export class QuickAddComponent extends Component {
   async fetchProductPage(productPageUrl) {
     if (!productPageUrl) return;
 
+    // The page may already be loading, prefetched when the visitor hovered the product card
+    if (this.#pendingFetch?.url === productPageUrl) return this.#pendingFetch.promise;
+
+    const promise = this.#fetchProductPage(productPageUrl);
+    this.#pendingFetch = { url: productPageUrl, promise };
+
+    try {
+      await promise;
+    } finally {
+      if (this.#pendingFetch?.promise === promise) this.#pendingFetch = null;
+    }
+  }
+
+  /**
+   * @param {string} productPageUrl - The URL of the product page to fetch
+   */
+  async #fetchProductPage(productPageUrl) {
     // We use this to abort the previous fetch request if it's still pending.
     this.#abortController?.abort();
     this.#abortController = new AbortController();
@@ -1,15 +1,216 @@
 import { morph } from '@theme/morph';
-import { startViewTransition } from '@theme/utilities';
+import { ThemeEvents } from '@theme/events';
+import { requestIdleCallback, startViewTransition } from '@theme/utilities';
+
+/**
+ * @typedef {Object} SectionCacheEntry
+ * @property {string} sectionId - The section ID
+ * @property {string} html - The section HTML
+ * @property {number} expiresAt - When the entry goes stale, in milliseconds since the epoch
+ * @property {boolean} persist - Whether the entry is saved to the storage
+ */
+
+/**
+ * @typedef {Object} SectionCacheOptions
+ * @property {number} [maxSize] - The number of entries kept, the least recently used are evicted first
+ * @property {number} [ttl] - How long entries stay fresh, in milliseconds
+ * @property {Storage | null} [storage] - Where entries are saved to survive page loads, e.g. `sessionStorage`
+ * @property {string} [scope] - What the saved entries were rendered for, e.g. the market and the customer. Entries
+ * saved for another scope are dropped.
+ */
+
+/**
+ * A least recently used cache of section HTML keyed by section rendering URL, whose entries expire.
+ */
+class SectionCache {
+  /**
+   * The entries, from the least to the most recently used
+   * @type {Map<string, SectionCacheEntry>}
+   */
+  #entries = new Map();
+
+  /** @type {number} */
+  #maxSize;
+
+  /** @type {number} */
+  #ttl;
+
+  /** @type {Storage | null} */
+  #storage;
+
+  /** @type {string} */
+  #scope;
+
+  #saveScheduled = false;
+
+  static STORAGE_KEY = 'section-renderer-cache';
+
+  /**
+   * @param {SectionCacheOptions} [options]
+   */
+  constructor({ maxSize = 50, ttl = 5 * 60 * 1000, storage = null, scope = '' } = {}) {
+    this.#maxSize = maxSize;
+    this.#ttl = ttl;
+    this.#storage = storage;
+    this.#scope = scope;
+    this.#restore();
+  }
+
+  /**
+   * Gets the HTML of a URL, unless it's missing or stale
+   * @param {string} url - The section rendering URL
+   * @returns {string | undefined}
+   */
+  get(url) {
+    const entry = this.#entries.get(url);
+    if (!entry) return undefined;
+
+    this.#entries.delete(url);
+
+    if (entry.expiresAt <= Date.now()) {
+      if (entry.persist) this.#scheduleSave();
+      return undefined;
+    }
+
+    this.#entries.set(url, entry);
+    return entry.html;
+  }
+
+  /**
+   * Stores the HTML of a URL
+   * @param {string} url - The section rendering URL
+   * @param {string} html - The section HTML
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - How long the entry stays fresh, in milliseconds
+   * @param {boolean} [options.persist] - Whether the entry is saved to the storage
+   */
+  set(url, html, { ttl = this.#ttl, persist = false } = {}) {
+    const sectionId = new URL(url).searchParams.get('section_id') ?? '';
+
+    this.#entries.delete(url);
+    this.#entries.set(url, { sectionId, html, expiresAt: Date.now() + ttl, persist });
+
+    for (const key of this.#entries.keys()) {
+      if (this.#entries.size <= this.#maxSize) break;
+      this.#entries.delete(key);
+    }
+
+    if (persist) this.#scheduleSave();
+  }
+
+  /**
+   * Checks whether a URL has an entry, fresh or not, without marking it as used
+   * @param {string} url - The section rendering URL
+   * @returns {boolean}
+   */
+  has(url) {
+    return this.#entries.has(url);
+  }
+
+  /**
+   * Removes the entries matching a predicate
+   * @param {(entry: SectionCacheEntry, url: URL) => boolean} predicate
+   */
+  invalidate(predicate) {
+    for (const [key, entry] of this.#entries) {
+      if (predicate(entry, new URL(key))) this.#entries.delete(key);
+    }
+
+    this.#scheduleSave();
+  }
+
+  /**
+   * Loads the entries saved by a previous page
+   */
+  #restore() {
+    if (!this.#storage) return;
+
+    try {
+      /** @type {{ scope?: string, entries?: [string, SectionCacheEntry][] }} */
+      const saved = JSON.parse(this.#storage.getItem(SectionCache.STORAGE_KEY) ?? '{}');
+      if (saved.scope !== this.#scope || !Array.isArray(saved.entries)) return;
+
+      const now = Date.now();
+
+      for (const [url, entry] of saved.entries) {
+        if (entry.expiresAt > now) this.#entries.set(url, entry);
+      }
+    } catch (_) {
+      this.#removeSaved();
+    }
+  }
+
+  /**
+   * Saves the entries to the storage once the browser is idle
+   */
+  #scheduleSave() {
+    if (!this.#storage || this.#saveScheduled) return;
+
+    this.#saveScheduled = true;
+    requestIdleCallback(() => {
+      this.#saveScheduled = false;
+      this.#save();
+    });
+  }
+
+  /**
+   * Saves the fresh entries to the storage. When they exceed the storage quota, the least recently
+   * used entries are left out until they fit.
+   */
+  #save() {
+    if (!this.#storage) return;
+
+    const now = Date.now();
+    const entries = [...this.#entries].filter(([, entry]) => entry.persist && entry.expiresAt > now);
+
+    while (entries.length) {
+      try {
+        this.#storage.setItem(SectionCache.STORAGE_KEY, JSON.stringify({ scope: this.#scope, entries }));
+        return;
+      } catch (_) {
+        entries.splice(0, Math.ceil(entries.length / 2));
+      }
+    }
+
+    this.#removeSaved();
+  }
+
+  #removeSaved() {
+    try {
+      this.#storage?.removeItem(SectionCache.STORAGE_KEY);
+    } catch (_) {
+      // The storage is unavailable, there's nothing saved
+    }
+  }
+}
+
+/**
+ * The custom elements whose markup depends on the cart, used to find the sections a cart update
+ * makes stale
+ */
+const CART_ELEMENT_NAMES = [
+  'cart-items-component',
+  'cart-drawer-component',
+  'cart-icon',
+  'cart-discount-component',
+  'cart-note',
+];
+
+const CART_ELEMENTS = new RegExp(`<(${CART_ELEMENT_NAMES.join('|')})[\\s>]`);
 
 /**
  * A class to re-render sections using the Section Rendering API
  */
 class SectionRenderer {
   /**
-   * The cache of section HTML
-   * @type {Map<string, string>}
+   * The cache of section HTML. Outside of the theme editor, the facets and pages of a collection are
+   * also kept in the session storage, so that they render from it on back and forward navigation.
+   * They're only reused for the same market and customer.
    */
-  #cache = new Map();
+  #cache = new SectionCache({
+    storage: Shopify.designMode ? null : getSessionStorage(),
+    scope: [Shopify.country, Shopify.currency?.active, Shopify.locale, Theme.customer?.id].join(':'),
+  });
 
   /**
    * The abort controllers by section ID
@@ -18,13 +219,15 @@ class SectionRenderer {
   #abortControllersBySectionId = new Map();
 
   /**
-   * The pending promises
-   * @type {Map<string, Promise<string>>}
+   * The pending promises, null for sections unknown to a `sections` request
+   * @type {Map<string, Promise<string | null>>}
    */
   #pendingPromises = new Map();
 
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+    document.addEventListener(ThemeEvents.cartUpdate, this.#invalidateCartSections);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#invalidateCartSections);
   }
 
   /**
@@ -32,17 +235,18 @@ class SectionRenderer {
    * @param {string} sectionId - The section ID
    * @param {Object} [options] - The options
    * @param {boolean} [options.cache] - Whether to use the cache
+   * @param {boolean} [options.persist] - Whether the fetched HTML is kept across page loads
    * @returns {Promise<string>} The rendered section HTML
    */
   async renderSection(sectionId, options) {
-    const { cache = !Shopify.designMode } = options ?? {};
+    const { cache = !Shopify.designMode, persist = false } = options ?? {};
 
     this.#abortPendingMorph(sectionId);
 
     const abortController = new AbortController();
     this.#abortControllersBySectionId.set(sectionId, abortController);
 
-    const sectionHTML = await this.getSectionHTML(sectionId, cache);
+    const sectionHTML = await this.getSectionHTML(sectionId, cache, undefined, persist);
 
     if (!abortController.signal.aborted) {
       this.#abortControllersBySectionId.delete(sectionId);
@@ -53,6 +257,160 @@ class SectionRenderer {
     return sectionHTML;
   }
 
+  /**
+   * Renders several sections with as few requests as possible, using the `sections` parameter of
+   * the Section Rendering API, and morphs those on the page
+   * @param {string[]} sectionIds - The section IDs
+   * @param {Object} [options] - The options
+   * @param {URL} [options.url] - The URL to render the sections for, the current page by default
+   * @param {boolean} [options.cache] - Whether to use the cache
+   * @returns {Promise<Record<string, string | null>>} The rendered HTML by section ID, null for unknown sections
+   */
+  async renderSections(sectionIds, options) {
+    const { url, cache = !Shopify.designMode } = options ?? {};
+
+    /** @type {Map<string, AbortController>} */
+    const abortControllers = new Map();
+    for (const sectionId of sectionIds) {
+      this.#abortPendingMorph(sectionId);
+
+      const abortController = new AbortController();
+      this.#abortControllersBySectionId.set(sectionId, abortController);
+      abortControllers.set(sectionId, abortController);
+    }
+
+    const sectionsHTML = await this.getSectionsHTML(sectionIds, cache, url);
+
+    for (const [sectionId, abortController] of abortControllers) {
+      if (abortController.signal.aborted) continue;
+      this.#abortControllersBySectionId.delete(sectionId);
+
+      // Sections that aren't on this page, such as the cart drawer on the cart page, are only returned
+      const sectionHTML = sectionsHTML[sectionId];
+      if (sectionHTML && document.getElementById(buildSectionSelector(normalizeSectionId(sectionId)))) {
+        morphSection(normalizeSectionId(sectionId), sectionHTML);
+      }
+    }
+
+    return sectionsHTML;
+  }
+
+  /**
+   * Gets the HTML for several sections. Cached sections and sections already being fetched are
+   * reused, the others are fetched in batches of the API's limit.
+   * @param {string[]} sectionIds - The section IDs
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} url - The URL to render the sections for
+   * @returns {Promise<Record<string, string | null>>} The rendered HTML by section ID, null for unknown sections
+   */
+  async getSectionsHTML(sectionIds, useCache = true, url = new URL(window.location.href)) {
+    /** @type {Map<string, Promise<string | null>>} */
+    const promises = new Map();
+    /** @type {string[]} */
+    const missingSectionIds = [];
+
+    for (const sectionId of new Set(sectionIds)) {
+      const sectionUrl = buildSectionRenderingURL(sectionId, new URL(url));
+      const pendingPromise = this.#pendingPromises.get(sectionUrl);
+      const cachedHTML = useCache ? this.#cache.get(sectionUrl) : undefined;
+
+      if (pendingPromise) promises.set(sectionId, pendingPromise);
+      else if (cachedHTML) promises.set(sectionId, Promise.resolve(cachedHTML));
+      else missingSectionIds.push(sectionId);
+    }
+
+    for (let index = 0; index < missingSectionIds.length; index += MAX_SECTIONS_PER_REQUEST) {
+      const batch = missingSectionIds.slice(index, index + MAX_SECTIONS_PER_REQUEST);
+      const response = this.#fetchSections(batch, url);
+
+      for (const sectionId of batch) {
+        const sectionUrl = buildSectionRenderingURL(sectionId, new URL(url));
+        const promise = response.then((sections) => sections[normalizeSectionId(sectionId)] ?? null);
+
+        this.#pendingPromises.set(sectionUrl, promise);
+        promise.finally(() => this.#pendingPromises.delete(sectionUrl)).catch(() => {});
+        promises.set(sectionId, promise);
+      }
+    }
+
+    const entries = await Promise.all(
+      Array.from(promises, async ([sectionId, promise]) => /** @type {const} */ ([sectionId, await promise]))
+    );
+
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Fetches sections with the `sections` parameter and caches them
+   * @param {string[]} sectionIds - The section IDs, at most `MAX_SECTIONS_PER_REQUEST`
+   * @param {URL} url - The URL to render the sections for
+   * @returns {Promise<Record<string, string | null>>} The rendered HTML by normalized section ID
+   */
+  async #fetchSections(sectionIds, url) {
+    const response = await fetch(buildSectionsRenderingURL(sectionIds, new URL(url)));
+    if (!response.ok) throw new Error(`Failed to render sections ${sectionIds.join(', ')}: ${response.status}`);
+
+    /** @type {Record<string, string | null>} */
+    const sections = await response.json();
+
+    for (const sectionId of sectionIds) {
+      const sectionHTML = sections[normalizeSectionId(sectionId)];
+
+      if (sectionHTML) this.#cache.set(buildSectionRenderingURL(sectionId, new URL(url)), sectionHTML);
+    }
+
+    return sections;
+  }
+
+  /**
+   * Drops cached section HTML, so that it's fetched again the next time it's rendered. Without a
+   * filter, the whole cache is dropped.
+   * @param {Object} [filter] - Entries matching every given property are dropped
+   * @param {string} [filter.sectionId] - The section ID
+   * @param {RegExp} [filter.url] - A pattern tested against the page URL the section was rendered for
+   */
+  invalidate({ sectionId, url } = {}) {
+    this.#cache.invalidate((entry, entryURL) => {
+      entryURL.searchParams.delete('section_id');
+
+      return (!sectionId || entry.sectionId === normalizeSectionId(sectionId)) && (!url || url.test(entryURL.href));
+    });
+  }
+
+  /**
+   * Renders the sections of the page showing the cart again, after it changed without a cart
+   * update event, e.g. in another tab
+   * @returns {Promise<Record<string, string | null>>} The rendered HTML by section ID
+   */
+  renderCartSections() {
+    this.#invalidateCartSections();
+
+    /** @type {Set<string>} */
+    const sectionIds = new Set();
+    for (const element of document.querySelectorAll(CART_ELEMENT_NAMES.join(', '))) {
+      const section = element.closest('.shopify-section');
+      if (section) sectionIds.add(normalizeSectionId(section.id));
+    }
+
+    return this.renderSections(Array.from(sectionIds), { cache: false });
+  }
+
+  /**
+   * Drops the cached sections showing the cart: those of the cart page, those rendered by the cart
+   * operation and those with cart elements
+   * @param {Event} [event] - The cart or discount update event
+   */
+  #invalidateCartSections = (event) => {
+    const { sections } = /** @type {CustomEvent | undefined} */ (event)?.detail?.data ?? {};
+    const updatedSectionIds = Object.keys(sections ?? {});
+    const cartPath = new URL(Theme.routes.cart_url, window.location.origin).pathname;
+
+    this.#cache.invalidate(
+      (entry, entryURL) =>
+        entryURL.pathname === cartPath || updatedSectionIds.includes(entry.sectionId) || CART_ELEMENTS.test(entry.html)
+    );
+  };
+
   /**
    * Aborts an existing morph for a section
    * @param {string} sectionId - The section ID
@@ -69,13 +427,15 @@ class SectionRenderer {
    * @param {string} sectionId - The section ID
    * @param {boolean} useCache - Whether to use the cache
    * @param {URL} url - The URL to render the section for
+   * @param {boolean} persist - Whether the fetched HTML is kept across page loads, for the facets and pages of a
+   * collection. Sections showing the cart never are, since it may change in another tab.
    * @returns {Promise<string>} The rendered section HTML
    */
-  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href)) {
+  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href), persist = false) {
     const sectionUrl = buildSectionRenderingURL(sectionId, url);
 
     let pendingPromise = this.#pendingPromises.get(sectionUrl);
-    if (pendingPromise) return pendingPromise;
+    if (pendingPromise) return (await pendingPromise) ?? '';
 
     if (useCache) {
       const cachedHTML = this.#cache.get(sectionUrl);
@@ -83,17 +443,22 @@ class SectionRenderer {
       if (cachedHTML) return cachedHTML;
     }
 
-    pendingPromise = fetch(sectionUrl).then((response) => {
-      return response.text();
+    pendingPromise = fetch(sectionUrl).then(async (response) => {
+      const html = await response.text();
+
+      // Error pages aren't cached, so that the next render retries
+      if (response.ok) this.#cache.set(sectionUrl, html, { persist: persist && !CART_ELEMENTS.test(html) });
+
+      return html;
     });
 
     this.#pendingPromises.set(sectionUrl, pendingPromise);
 
-    const sectionHTML = await pendingPromise;
-    this.#pendingPromises.delete(sectionUrl);
-
-    this.#cache.set(sectionUrl, sectionHTML);
-    return sectionHTML;
+    try {
+      return (await pendingPromise) ?? '';
+    } finally {
+      this.#pendingPromises.delete(sectionUrl);
+    }
   }
 
   /**
@@ -102,7 +467,7 @@ class SectionRenderer {
   #cachePageSections() {
     for (const section of document.querySelectorAll('.shopify-section')) {
       const url = buildSectionRenderingURL(section.id);
-      if (this.#cache.get(url)) return;
+      if (this.#cache.has(url)) return;
       if (containsShadowRoot(section)) return;
 
       this.#cache.set(url, section.outerHTML);
@@ -112,6 +477,11 @@ class SectionRenderer {
 
 const SECTION_ID_PREFIX = 'shopify-section-';
 
+/**
+ * The number of sections the Section Rendering API renders in one request
+ */
+const MAX_SECTIONS_PER_REQUEST = 5;
+
 /**
  * Builds a section rendering URL
  * @param {string} sectionId - The section ID
@@ -125,6 +495,20 @@ function buildSectionRenderingURL(sectionId, url = new URL(window.location.href)
   return url.toString();
 }
 
+/**
+ * Builds a URL rendering several sections with the `sections` parameter
+ * @param {string[]} sectionIds - The section IDs
+ * @param {URL} url - The URL to render the sections for
+ * @returns {string} The section rendering URL
+ */
+function buildSectionsRenderingURL(sectionIds, url) {
+  url.searchParams.delete('section_id');
+  url.searchParams.set('sections', sectionIds.map(normalizeSectionId).join(','));
+  url.searchParams.sort();
+
+  return url.toString();
+}
+
 /**
  * Builds a section selector
  * @param {string} sectionId - The section ID
@@ -143,6 +527,18 @@ function normalizeSectionId(sectionId) {
   return sectionId.replace(new RegExp(`^${SECTION_ID_PREFIX}`), '');
 }
 
+/**
+ * The session storage, unless the browser blocks it
+ * @returns {Storage | null}
+ */
+function getSessionStorage() {
+  try {
+    return window.sessionStorage;
+  } catch (_) {
+    return null;
+  }
+}
+
 /**
  * Checks if an element contains a shadow root
  * @param {Element} element - The element to check
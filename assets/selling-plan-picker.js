@@ -0,0 +1,148 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, SellingPlanUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { formatPrice } from '@theme/utilities';
+
+/**
+ * @typedef {import('@theme/events').VariantResource} VariantResource
+ */
+
+/**
+ * A custom element that lets the shopper buy a product once or with one of its selling plans.
+ * Only the `selling_plan` select of the group picked is enabled, so it's the one submitted with the product form.
+ *
+ * @typedef {object} SellingPlanPickerRefs
+ * @property {HTMLScriptElement} variantJson - The selected variant.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the prices.
+ * @property {HTMLElement} [oneTimePrice] - The one-time price, absent when the product requires a selling plan.
+ * @property {HTMLSelectElement[]} [selects] - The selling plans of each group.
+ *
+ * @extends {Component<SellingPlanPickerRefs>}
+ */
+class SellingPlanPicker extends Component {
+  requiredRefs = ['variantJson', 'moneyFormat'];
+
+  /** @type {VariantResource | null} */
+  #variant = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#variant = JSON.parse(this.refs.variantJson.textContent || 'null');
+    this.closest('.shopify-section, dialog')?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+
+    // The price is rendered without the selling plan of the URL
+    if (this.#selectedSelect) this.selectPlan();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.closest('.shopify-section, dialog')?.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+  }
+
+  /**
+   * Enables the selling plans of the group picked, the one-time purchase has none.
+   * @param {Event} event - The change event of a group radio.
+   */
+  selectGroup = (event) => {
+    if (!(event.target instanceof HTMLInputElement)) return;
+
+    const groupId = event.target.value;
+
+    for (const select of this.refs.selects ?? []) {
+      select.disabled = select.dataset.groupId !== groupId;
+    }
+
+    this.selectPlan();
+  };
+
+  /**
+   * Lets the price follow the selling plan picked.
+   */
+  selectPlan = () => {
+    const sellingPlanId = Number(this.#selectedSelect?.value);
+    const allocation =
+      this.#variant?.selling_plan_allocations?.find(({ selling_plan_id }) => selling_plan_id === sellingPlanId) ?? null;
+
+    this.dispatchEvent(
+      new SellingPlanUpdateEvent(allocation, this.id, {
+        productId: this.dataset.productId ?? '',
+        variant: this.#variant,
+      })
+    );
+  };
+
+  /**
+   * Keeps the prices of the selling plans in line with the selected variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      // The server has rendered the picker of the new product
+      this.#variant = JSON.parse(this.refs.variantJson.textContent || 'null');
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    } else {
+      this.#variant = event.detail.resource;
+      this.#render();
+    }
+
+    if (this.#selectedSelect) this.selectPlan();
+  };
+
+  /**
+   * Renders the price of each selling plan, and disables the ones the variant isn't sold with.
+   */
+  #render() {
+    const { moneyFormat, oneTimePrice, selects = [] } = this.refs;
+    const { optionText = '', optionSavingsText = '' } = this.dataset;
+    const format = moneyFormat.content.textContent?.trim() || '{{amount}}';
+    const currency = moneyFormat.dataset.currency ?? '';
+    const allocations = this.#variant?.selling_plan_allocations ?? [];
+
+    if (oneTimePrice && this.#variant) {
+      oneTimePrice.textContent = formatPrice(this.#variant.price, format, currency);
+    }
+
+    for (const select of selects) {
+      for (const option of select.options) {
+        const allocation = allocations.find(({ selling_plan_id }) => selling_plan_id === Number(option.value));
+        const name = option.dataset.planName ?? '';
+
+        option.disabled = !allocation;
+
+        if (!allocation) {
+          option.textContent = name;
+          continue;
+        }
+
+        const { price, compare_at_price } = allocation;
+        const savings =
+          compare_at_price > price ? Math.floor(((compare_at_price - price) * 100) / compare_at_price) : 0;
+
+        option.textContent = (savings > 0 ? optionSavingsText : optionText)
+          .replace('[name]', name)
+          .replace('[price]', formatPrice(price, format, currency))
+          .replace('[savings]', String(savings));
+      }
+
+      // Keep a selling plan the variant is sold with
+      if (select.selectedOptions[0]?.disabled) {
+        const option = Array.from(select.options).find(({ disabled }) => !disabled);
+        if (option) option.selected = true;
+      }
+    }
+  }
+
+  /**
+   * The select of the group picked, absent for the one-time purchase.
+   * @returns {HTMLSelectElement | undefined}
+   */
+  get #selectedSelect() {
+    return this.refs.selects?.find(({ disabled }) => !disabled);
+  }
+}
+
+if (!customElements.get('selling-plan-picker')) {
+  customElements.define('selling-plan-picker', SellingPlanPicker);
+}
@@ -236,6 +236,74 @@ export function formatMoney(value) {
   return valueWithNoSpaces;
 }
 
+/**
+ * Formats an amount like the `money` Liquid filters do
+ * @param {number} amount - The amount in cents (hundredths of one major currency unit)
+ * @param {string} format - The money format, e.g. `${{amount}}`
+ * @param {string} currency - The ISO code of the currency, for its precision and the `currency` placeholder
+ * @returns {string} The formatted amount
+ */
+export function formatPrice(amount, format, currency) {
+  return format.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    let thousandsSeparator = ',';
+    let decimalSeparator = '.';
+    let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+
+    if (placeholder === 'amount') {
+      // Check first since it's the most common, use defaults.
+    } else if (placeholder === 'amount_no_decimals') {
+      precision = 0;
+    } else if (placeholder === 'amount_with_comma_separator') {
+      thousandsSeparator = '.';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
+      // Weirdly, this is correct. It uses amount_with_comma_separator's
+      // behaviour but removes decimals, resulting in an unintuitive
+      // output that can't possibly include commas, despite the name.
+      thousandsSeparator = '.';
+      precision = 0;
+    } else if (placeholder === 'amount_no_decimals_with_space_separator') {
+      thousandsSeparator = ' ';
+      precision = 0;
+    } else if (placeholder === 'amount_with_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_with_period_and_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = '.';
+    } else if (placeholder === 'amount_with_apostrophe_separator') {
+      thousandsSeparator = "'";
+      decimalSeparator = '.';
+    }
+
+    return formatCents(amount, thousandsSeparator, decimalSeparator, precision);
+  });
+}
+
+/**
+ * Formats money in cents
+ * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
+ * @param {string} thousandsSeparator - The thousands separator
+ * @param {string} decimalSeparator - The decimal separator
+ * @param {number} precision - The precision
+ * @returns {string} The formatted money value
+ */
+function formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
+  const roundedNumber = (moneyValue / 100).toFixed(precision);
+
+  let [a, b] = roundedNumber.split('.');
+  if (!a) a = '0';
+  if (!b) b = '';
+
+  // Split by groups of 3 digits
+  a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+
+  return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+}
+
 /**
  * Check if the document is ready and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
@@ -572,3 +640,56 @@ Theme.utilities = {
   ...Theme.utilities,
   scheduler: scheduler,
 };
+
+/**
+ * Default currency decimals used in most currenies
+ * @constant {number}
+ */
+const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal precision for currencies that have a non-default precision
+ * @type {Record<string, number>}
+ */
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  MRO: 5,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XAG: 0,
+  XAU: 0,
+  XBA: 0,
+  XBB: 0,
+  XBC: 0,
+  XBD: 0,
+  XDR: 0,
+  XOF: 0,
+  XPD: 0,
+  XPF: 0,
+  XPT: 0,
+  XSU: 0,
+  XTS: 0,
+  XUA: 0,
+};
@@ -2,6 +2,11 @@ import { Component } from '@theme/component';
 import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
 
+/**
+ * A variant, as embedded in the picker.
+ * @typedef {import('@theme/events').VariantResource & { options: string[] }} Variant
+ */
+
 /**
  * A custom element that manages a variant picker.
  *
@@ -16,10 +21,35 @@ export default class VariantPicker extends Component {
   /** @type {AbortController | undefined} */
   #abortController;
 
+  /** @type {AbortController | undefined} */
+  #historyAbortController;
+
   connectedCallback() {
     super.connectedCallback();
 
     this.addEventListener('change', this.variantChanged.bind(this));
+
+    // Only the picker of the product in the URL follows the back and forward buttons
+    if (this.#isOnProductPage && this.dataset.templateProductMatch === 'true') {
+      this.#historyAbortController = new AbortController();
+      const { signal } = this.#historyAbortController;
+
+      window.addEventListener('popstate', this.#restoreVariant, { signal });
+      // A page restored from the back/forward cache may come back on another history entry than the one it left on
+      window.addEventListener(
+        'pageshow',
+        (event) => {
+          if (event.persisted) this.#restoreVariant();
+        },
+        { signal }
+      );
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#historyAbortController?.abort();
   }
 
   /**
@@ -32,10 +62,7 @@ export default class VariantPicker extends Component {
     this.updateSelectedOption(event.target);
     this.dispatchEvent(new VariantSelectedEvent({ id: event.target.dataset.optionValueId ?? '' }));
 
-    const isOnProductPage =
-      Theme.template.name === 'product' &&
-      !event.target.closest('product-card') &&
-      !event.target.closest('quick-add-dialog');
+    const isOnProductPage = this.#isOnProductPage;
 
     // Morph the entire main content for combined listings child products, because changing the product
     // might also change other sections depending on recommendations, metafields, etc.
@@ -43,7 +70,9 @@ export default class VariantPicker extends Component {
     const newUrl = event.target.dataset.connectedProductUrl;
     const loadsNewProduct = isOnProductPage && !!newUrl && newUrl !== currentUrl;
 
-    this.fetchUpdatedSection(this.buildRequestUrl(event.target), loadsNewProduct);
+    if (loadsNewProduct || !this.#renderVariant()) {
+      this.fetchUpdatedSection(this.buildRequestUrl(event.target), loadsNewProduct);
+    }
 
     const url = new URL(window.location.href);
 
@@ -70,10 +99,80 @@ export default class VariantPicker extends Component {
     }
 
     if (url.href !== window.location.href) {
-      history.replaceState({}, '', url.toString());
+      if (isOnProductPage && this.dataset.history === 'push') {
+        history.pushState({}, '', url.toString());
+      } else {
+        history.replaceState({}, '', url.toString());
+      }
     }
   }
 
+  /**
+   * Selects the variant of the URL, after the shopper went back or forward to it.
+   */
+  #restoreVariant = () => {
+    const currentPath = new URL(this.dataset.productUrl ?? '', window.location.origin).pathname;
+
+    // Another product of a combined listing
+    if (window.location.pathname !== currentPath) {
+      this.fetchUpdatedSection(window.location.href, true);
+      return;
+    }
+
+    const variantId = Number(new URL(window.location.href).searchParams.get('variant')) || null;
+    const variantJson = this.querySelector('script[type="application/json"]:not([data-variants])');
+    const currentVariant = /** @type {Variant | null} */ (JSON.parse(variantJson?.textContent || 'null'));
+    const variants = this.variants;
+
+    if (!variants) {
+      // Without a variant in the URL, the product page shows the one the server picks
+      if (!variantId) {
+        this.fetchUpdatedSection(currentPath);
+      } else if (variantId !== currentVariant?.id) {
+        this.fetchUpdatedSection(`${currentPath}?variant=${variantId}`);
+      }
+      return;
+    }
+
+    const variant = variantId
+      ? variants.find((candidate) => candidate.id === variantId)
+      : (variants.find((candidate) => candidate.available) ?? variants[0]);
+    if (!variant) return;
+
+    // The browser may have restored the inputs as they were when the shopper left, so they are always reset
+    this.#optionElements.forEach((optionElement, position) => {
+      const value = variant.options[position];
+      const select = optionElement.querySelector('select');
+
+      if (select) {
+        select.value = value ?? '';
+        this.updateSelectedOption(select);
+        return;
+      }
+
+      for (const input of optionElement.querySelectorAll('input[data-option-value-id]')) {
+        if (input instanceof HTMLInputElement && input.value === value) this.updateSelectedOption(input);
+      }
+    });
+
+    if (variant.id === currentVariant?.id) return;
+
+    const { selectedOption } = this;
+    if (!this.#renderVariant() && selectedOption) {
+      this.fetchUpdatedSection(this.buildRequestUrl(selectedOption));
+    }
+  };
+
+  /**
+   * Whether the picker is the one of the product page, which keeps the selected variant in the URL.
+   * @returns {boolean}
+   */
+  get #isOnProductPage() {
+    return (
+      Theme.template.name === 'product' && !this.closest('product-card, quick-add-dialog, bundle-builder-component')
+    );
+  }
+
   /**
    * Updates the selected option.
    * @param {string | Element} target - The target element.
@@ -105,6 +204,116 @@ export default class VariantPicker extends Component {
     }
   }
 
+  /**
+   * Switches to the selected variant using the variants embedded in the picker, without waiting for the server.
+   * @returns {boolean} Whether the variant was rendered, the server renders it otherwise.
+   */
+  #renderVariant() {
+    // The cards and the quick add dialog read more than the picker from the server response
+    if (this.closest('product-card, quick-add-component, quick-add-dialog, swatches-variant-picker-component')) {
+      return false;
+    }
+
+    // The options of a combined listing can load another product
+    if (this.querySelector('[data-connected-product-url]:not([data-connected-product-url=""])')) return false;
+
+    const variants = this.variants;
+    const variantJson = this.querySelector('script[type="application/json"]:not([data-variants])');
+    if (!variants || !variantJson) return false;
+
+    const selectedValues = this.#optionElements.map(getSelectedValue);
+    const variant = findVariant(variants, selectedValues);
+
+    // The media gallery is only rendered by the server, the bundle builder shows the variant image itself
+    const previousVariant = /** @type {Variant | null} */ (JSON.parse(variantJson.textContent || 'null'));
+    const featuredMediaId = variant?.featured_media?.id;
+    const rendersMedia = !this.closest('bundle-builder-component');
+    if (rendersMedia && featuredMediaId && featuredMediaId !== previousVariant?.featured_media?.id) return false;
+
+    // A server response still on its way would undo the selection
+    this.#abortController?.abort();
+    this.#pendingRequestUrl = undefined;
+
+    this.#renderOptions(variants, selectedValues);
+    variantJson.textContent = JSON.stringify(variant);
+
+    if (this.selectedOptionId) {
+      this.dispatchEvent(
+        new VariantUpdateEvent(variant, this.selectedOptionId, {
+          productId: this.dataset.productId ?? '',
+        })
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Marks the option values that don't make an available variant with the selected values, as the server does: a
+   * value is available when a variant with it and the values selected for the previous options is available.
+   * @param {Variant[]} variants - The variants of the product.
+   * @param {string[]} selectedValues - The selected values, in the order of the options.
+   */
+  #renderOptions(variants, selectedValues) {
+    this.#optionElements.forEach((optionElement, position) => {
+      const swatchValue = optionElement.querySelector('.variant-option__swatch-value');
+      if (swatchValue) swatchValue.textContent = selectedValues[position] ?? '';
+
+      const select = optionElement.querySelector('select');
+
+      for (const input of optionElement.querySelectorAll('input[data-option-value-id], option[data-option-value-id]')) {
+        if (!(input instanceof HTMLInputElement || input instanceof HTMLOptionElement)) continue;
+
+        const values = [...selectedValues];
+        values[position] = input.value;
+
+        const available = variants.some(
+          (candidate) =>
+            candidate.available &&
+            candidate.options[position] === input.value &&
+            selectedValues.slice(0, position).every((value, index) => candidate.options[index] === value)
+        );
+        // Like the server, the value of a combination that isn't sold has no variant
+        input.dataset.variantId = String(findVariant(variants, values)?.id ?? '');
+
+        if (input instanceof HTMLOptionElement) {
+          const unavailableText = select?.dataset.unavailableText;
+          input.textContent = available || !unavailableText ? input.value : `${input.value} - ${unavailableText}`;
+          continue;
+        }
+
+        input.dataset.optionAvailable = String(available);
+        if (available) {
+          input.removeAttribute('aria-disabled');
+        } else {
+          input.setAttribute('aria-disabled', 'true');
+        }
+
+        const label = input.closest('label');
+        if (label) renderStrikethrough(label, !available);
+      }
+    });
+  }
+
+  /**
+   * Gets the variants embedded in the picker.
+   * @returns {Variant[] | null} The variants, or `null` when the picker leaves them to the server.
+   */
+  get variants() {
+    const textContent = this.querySelector('script[data-variants]')?.textContent;
+    if (!textContent) return null;
+
+    return JSON.parse(textContent);
+  }
+
+  /**
+   * The elements of the options, in the order of the options.
+   * @returns {HTMLElement[]}
+   */
+  get #optionElements() {
+    return Array.from(this.querySelectorAll('.variant-option'), (element) => /** @type {HTMLElement} */ (element));
+  }
+
   /**
    * Builds the request URL.
    * @param {HTMLElement} selectedOption - The selected option.
@@ -288,6 +497,58 @@ export default class VariantPicker extends Component {
   }
 }
 
+/**
+ * @param {Variant[]} variants - The variants of the product.
+ * @param {string[]} values - The option values, in the order of the options.
+ * @returns {Variant | null} The variant with these option values, or `null` when the product has none.
+ */
+function findVariant(variants, values) {
+  return variants.find((variant) => variant.options.every((value, index) => value === values[index])) ?? null;
+}
+
+/**
+ * @param {HTMLElement} optionElement - The element of an option.
+ * @returns {string} The value selected for the option.
+ */
+function getSelectedValue(optionElement) {
+  const selected = optionElement.querySelector('select, input:checked');
+
+  return selected instanceof HTMLSelectElement || selected instanceof HTMLInputElement ? selected.value : '';
+}
+
+/**
+ * Strikes through the label of an unavailable value, like the `strikethrough-variant` snippet.
+ * @param {HTMLLabelElement} label - The label of the value.
+ * @param {boolean} unavailable - Whether the value is unavailable.
+ */
+function renderStrikethrough(label, unavailable) {
+  const strikethrough = label.querySelector(':scope > svg');
+
+  if (!unavailable) {
+    strikethrough?.remove();
+    return;
+  }
+
+  if (strikethrough) return;
+
+  const svgNamespace = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNamespace, 'svg');
+  svg.setAttribute('width', '100%');
+  svg.setAttribute('height', '100%');
+  svg.setAttribute('viewBox', '0 0 100 46');
+  svg.setAttribute('preserveAspectRatio', 'xMidYMid slice');
+
+  const line = document.createElementNS(svgNamespace, 'line');
+  line.setAttribute('x1', '100');
+  line.setAttribute('y1', '0');
+  line.setAttribute('x2', '0');
+  line.setAttribute('y2', '46');
+  line.setAttribute('vector-effect', 'non-scaling-stroke');
+
+  svg.append(line);
+  label.append(svg);
+}
+
 if (!customElements.get('variant-picker')) {
   customElements.define('variant-picker', VariantPicker);
 }
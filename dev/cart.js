@@ -0,0 +1,597 @@
+const crypto = require('crypto');
+const express = require('express');
+const { Drop } = require('liquidjs');
+const { parseBody, parseCookies } = require('./utils');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('./store').VariantDrop} VariantDrop
+ */
+
+/**
+ * @typedef {Object} CartLine
+ * @property {string} key - The line item key, `{variant_id}:{hash}`
+ * @property {VariantDrop} variant - The variant
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number | null} sellingPlan - The selling plan ID
+ */
+
+/**
+ * @typedef {(req: import('express').Request, cart: Cart, sectionIds: string[], pathname: string) => Promise<Record<string, string | null>>} SectionsRenderer
+ */
+
+const CART_COOKIE = 'cart';
+
+/**
+ * An error answered with Shopify's `{ status, message, description }` cart error body.
+ */
+class CartError extends Error {
+  /**
+   * @param {number} status - The HTTP status
+   * @param {string} message - The human readable message
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * A line of the cart, `cart.items[]` in Liquid and in the Ajax API.
+ */
+class LineItemDrop extends Drop {
+  /**
+   * @param {CartLine} line - The cart line
+   * @param {number} index - The 0-based position in the cart
+   */
+  constructor(line, index) {
+    super();
+    const { variant, quantity, properties } = line;
+    const product = variant.product;
+
+    this.id = variant.id;
+    this.key = line.key;
+    this.index = index;
+    this.quantity = quantity;
+    this.properties = properties;
+    this.variant = variant;
+    this.variant_id = variant.id;
+    this.product = product;
+    this.product_id = product.id;
+    this.title = variant.name;
+    this.product_title = product.title;
+    this.variant_title = product.has_only_default_variant ? null : variant.title;
+    this.sku = variant.sku;
+    this.vendor = product.vendor;
+    this.product_type = product.type;
+    this.handle = product.handle;
+    this.url = variant.url;
+    this.image = variant.featured_image ?? product.featured_image;
+    this.price = variant.price;
+    this.original_price = variant.price;
+    this.final_price = variant.price;
+    this.line_price = variant.price * quantity;
+    this.original_line_price = this.line_price;
+    this.final_line_price = this.line_price;
+    this.total_discount = 0;
+    this.discounts = [];
+    this.line_level_discount_allocations = [];
+    this.line_level_total_discount = 0;
+    this.grams = variant.weight;
+    this.requires_shipping = variant.requires_shipping;
+    this.taxable = variant.taxable;
+    this.gift_card = false;
+    this.unit_price = variant.unit_price;
+    this.unit_price_measurement = variant.unit_price_measurement;
+    this.selling_plan_allocation = null;
+    this.item_components = [];
+    this.quantity_rule = variant.quantity_rule;
+    this.options_with_values = product.options.map((name, i) => ({ name, value: variant.options[i] ?? '' }));
+  }
+
+  /**
+   * The line item as returned by the Ajax API.
+   */
+  toJSON() {
+    const image = this.image;
+
+    return {
+      id: this.id,
+      properties: this.properties,
+      quantity: this.quantity,
+      variant_id: this.variant_id,
+      key: this.key,
+      title: this.title,
+      price: this.price,
+      original_price: this.original_price,
+      presentment_price: this.price / 100,
+      discounted_price: this.final_price,
+      line_price: this.line_price,
+      original_line_price: this.original_line_price,
+      total_discount: this.total_discount,
+      discounts: this.discounts,
+      sku: this.sku,
+      grams: this.grams,
+      vendor: this.vendor,
+      taxable: this.taxable,
+      product_id: this.product_id,
+      product_has_only_default_variant: this.product.has_only_default_variant,
+      gift_card: this.gift_card,
+      final_price: this.final_price,
+      final_line_price: this.final_line_price,
+      url: this.url,
+      featured_image: image
+        ? { aspect_ratio: image.aspect_ratio, alt: image.alt, height: image.height, url: image.src, width: image.width }
+        : null,
+      image: image?.src ?? null,
+      handle: this.handle,
+      requires_shipping: this.requires_shipping,
+      product_type: this.product_type,
+      product_title: this.product_title,
+      product_description: this.product.description,
+      variant_title: this.variant_title,
+      variant_options: this.variant.options,
+      options_with_values: this.options_with_values,
+      line_level_discount_allocations: this.line_level_discount_allocations,
+      line_level_total_discount: this.line_level_total_discount,
+      quantity_rule: this.quantity_rule,
+      has_components: false,
+    };
+  }
+}
+
+/**
+ * The cart of a visitor, `cart` in Liquid. Mutations follow the rules of Shopify's Ajax API.
+ */
+class Cart extends Drop {
+  /** @type {CartLine[]} */
+  lines = [];
+
+  /** @type {string[]} */
+  discountCodes = [];
+
+  /** @type {Record<string, string>} */
+  attributes = {};
+
+  note = '';
+
+  /**
+   * @param {Store} store - The fixture catalog
+   * @param {string} token - The cart token
+   */
+  constructor(store, token) {
+    super();
+    this.store = store;
+    this.token = token;
+    this.currency = store.getCountry().currency;
+    this.taxes_included = false;
+    this.duties_included = false;
+  }
+
+  get items() {
+    return this.lines.map((line, index) => new LineItemDrop(line, index));
+  }
+
+  get item_count() {
+    return this.lines.reduce((count, line) => count + line.quantity, 0);
+  }
+
+  get 'empty?'() {
+    return this.lines.length === 0;
+  }
+
+  get items_subtotal_price() {
+    return this.lines.reduce((total, line) => total + line.variant.price * line.quantity, 0);
+  }
+
+  get original_total_price() {
+    return this.items_subtotal_price;
+  }
+
+  get total_discount() {
+    return this.cart_level_discount_applications.reduce(
+      (total, application) => total + application.total_allocated_amount,
+      0
+    );
+  }
+
+  get total_price() {
+    return Math.max(0, this.items_subtotal_price - this.total_discount);
+  }
+
+  get total_weight() {
+    return this.lines.reduce((total, line) => total + line.variant.weight * line.quantity, 0);
+  }
+
+  get requires_shipping() {
+    return this.lines.some((line) => line.variant.requires_shipping);
+  }
+
+  /**
+   * The codes entered by the visitor. Codes that don't exist or whose conditions aren't met are
+   * kept, but aren't applicable.
+   * @returns {{ code: string, applicable: boolean }[]}
+   */
+  get discount_codes() {
+    return this.discountCodes.map((code) => {
+      const discount = this.store.getDiscount(code);
+      return { code, applicable: Boolean(discount) && this.items_subtotal_price >= discount?.minimum_subtotal };
+    });
+  }
+
+  /**
+   * The applied order discounts. Shipping discounts are applicable but only apply at checkout, so
+   * they don't show up here.
+   * @returns {Record<string, any>[]}
+   */
+  get cart_level_discount_applications() {
+    let remaining = this.items_subtotal_price;
+
+    return this.discount_codes
+      .filter(({ applicable }) => applicable)
+      .map(({ code }) => /** @type {Record<string, any>} */ (this.store.getDiscount(code)))
+      .filter((discount) => discount.type !== 'shipping')
+      .map((discount) => {
+        const amount =
+          discount.type === 'percentage' ? Math.round((remaining * discount.value) / 100) : Math.min(discount.value, remaining);
+        remaining -= amount;
+
+        return {
+          type: 'discount_code',
+          key: discount.code,
+          title: discount.code,
+          description: discount.title,
+          value: discount.type === 'percentage' ? discount.value : discount.value / 100,
+          created_at: '2025-01-01T00:00:00Z',
+          value_type: discount.type,
+          allocation_method: 'across',
+          target_selection: 'all',
+          target_type: 'line_item',
+          total_allocated_amount: amount,
+        };
+      });
+  }
+
+  get discount_applications() {
+    return this.cart_level_discount_applications;
+  }
+
+  /**
+   * Adds a variant, merging it with an existing line that has the same properties. When the
+   * inventory doesn't cover the whole quantity, the available quantity is still added and a
+   * `CartError` is thrown afterwards, like Shopify does.
+   *
+   * @param {number | string} variantId - The variant ID
+   * @param {number} quantity - The quantity to add
+   * @param {{ properties?: Record<string, string>, sellingPlan?: number | null }} [options]
+   * @returns {CartLine} The added line
+   */
+  add(variantId, quantity, { properties = {}, sellingPlan = null } = {}) {
+    const variant = this.store.getVariant(variantId);
+    if (!variant) throw new CartError(404, 'Cannot find variant');
+    if (!Number.isInteger(quantity) || quantity < 1) throw new CartError(422, 'Quantity must be a positive number');
+    if (!variant.available) throw new CartError(422, `The product '${variant.name}' is already sold out.`);
+
+    const key = lineKey(variant, properties, sellingPlan);
+    let line = this.lines.find((candidate) => candidate.key === key);
+
+    if (!line) {
+      line = { key, variant, quantity: 0, properties, sellingPlan };
+      this.lines.unshift(line);
+    }
+
+    const maximum = this.#maximumQuantity(variant, line);
+    const added = Math.min(quantity, maximum - line.quantity);
+    line.quantity += Math.max(0, added);
+
+    if (line.quantity === 0) this.lines.splice(this.lines.indexOf(line), 1);
+    if (added < quantity) throw new CartError(422, `All ${maximum} ${variant.name} are in your cart.`);
+
+    return line;
+  }
+
+  /**
+   * Sets the quantity of a line, removing it at 0.
+   *
+   * @param {CartLine} line - The line
+   * @param {number} quantity - The new quantity
+   * @param {{ clamp?: boolean }} [options] - Whether to lower quantities above the inventory instead of failing
+   */
+  setQuantity(line, quantity, { clamp = false } = {}) {
+    if (!Number.isInteger(quantity) || quantity < 0) throw new CartError(422, 'Quantity must be a positive number');
+
+    const maximum = this.#maximumQuantity(line.variant, line);
+    if (quantity > maximum && !clamp) {
+      throw new CartError(422, `You can only add ${maximum} of ${line.variant.name} to your cart.`);
+    }
+
+    line.quantity = Math.min(quantity, maximum);
+    if (line.quantity === 0) this.lines.splice(this.lines.indexOf(line), 1);
+  }
+
+  /**
+   * Finds a line by its 1-based position, its key, or the ID of its variant.
+   *
+   * @param {{ line?: number | string, id?: number | string }} params - The `line` or `id` parameter
+   * @returns {CartLine}
+   */
+  findLine({ line, id }) {
+    const found =
+      line != null && line !== ''
+        ? this.lines[Number(line) - 1]
+        : this.lines.find((candidate) => candidate.key === String(id)) ??
+          this.lines.find((candidate) => String(candidate.variant.id) === String(id));
+
+    if (!found) throw new CartError(400, 'Cannot find the line item to update');
+    return found;
+  }
+
+  clear() {
+    this.lines = [];
+    this.discountCodes = [];
+    this.attributes = {};
+    this.note = '';
+  }
+
+  /**
+   * The highest quantity a line can have, from the inventory and the quantity rules.
+   * @param {VariantDrop} variant - The variant
+   * @param {CartLine} line - The line being changed, other lines of the variant count against the inventory
+   * @returns {number}
+   */
+  #maximumQuantity(variant, line) {
+    const elsewhere = this.lines
+      .filter((candidate) => candidate !== line && candidate.variant === variant)
+      .reduce((total, candidate) => total + candidate.quantity, 0);
+    const tracked = variant.inventory_management === 'shopify' && variant.inventory_policy === 'deny';
+    const inventory = tracked ? Math.max(0, variant.inventory_quantity - elsewhere) : Infinity;
+
+    return Math.min(inventory, variant.quantity_rule.max ?? Infinity);
+  }
+
+  /**
+   * The cart as returned by `/cart.js`.
+   */
+  toJSON() {
+    return {
+      token: this.token,
+      note: this.note,
+      attributes: this.attributes,
+      original_total_price: this.original_total_price,
+      total_price: this.total_price,
+      total_discount: this.total_discount,
+      total_weight: this.total_weight,
+      item_count: this.item_count,
+      items: this.items,
+      requires_shipping: this.requires_shipping,
+      currency: this.currency.iso_code,
+      items_subtotal_price: this.items_subtotal_price,
+      cart_level_discount_applications: this.cart_level_discount_applications,
+      discount_codes: this.discount_codes,
+    };
+  }
+}
+
+/**
+ * Builds the key of a line: lines of the same variant with different properties or selling plans
+ * are kept apart.
+ *
+ * @param {VariantDrop} variant
+ * @param {Record<string, string>} properties
+ * @param {number | null} sellingPlan
+ * @returns {string}
+ */
+function lineKey(variant, properties, sellingPlan) {
+  const hash = crypto.createHash('md5').update(JSON.stringify({ properties, sellingPlan })).digest('hex');
+  return `${variant.id}:${hash}`;
+}
+
+/**
+ * Reads the cart of the request's session, creating the session cookie for new visitors.
+ *
+ * @param {Store} store - The fixture catalog
+ * @returns {import('express').RequestHandler}
+ */
+function cartSession(store) {
+  /** @type {Map<string, Cart>} */
+  const carts = new Map();
+
+  return (req, res, next) => {
+    let token = parseCookies(req)[CART_COOKIE];
+    if (!token || !carts.has(token)) {
+      token = token || crypto.randomBytes(16).toString('hex');
+      carts.set(token, new Cart(store, token));
+      res.append('Set-Cookie', `${CART_COOKIE}=${token}; Path=/; SameSite=Lax`);
+    }
+
+    res.locals.cart = carts.get(token);
+    next();
+  };
+}
+
+/**
+ * Creates the router of the Ajax cart API: `/cart.js`, `/cart/add`, `/cart/change`, `/cart/update`
+ * and `/cart/clear`, each with and without the `.js` suffix.
+ *
+ * @param {{ renderSections: SectionsRenderer }} options - Renders the sections requested with `sections`
+ * @returns {import('express').Router}
+ */
+function createCartApi({ renderSections }) {
+  const router = express.Router();
+  const multipart = express.raw({ type: 'multipart/form-data', limit: '1mb' });
+
+  router.use(['/cart/:action', '/cart.js'], express.json(), express.urlencoded({ extended: true }), multipart, parseBody);
+
+  router.get('/cart.js', (req, res) => {
+    res.json(res.locals.cart);
+  });
+
+  router.post(/^\/cart\/add(\.js)?$/, (req, res) => {
+    /** @type {Cart} */
+    const cart = res.locals.cart;
+    const body = req.body;
+    const items = Array.isArray(body.items) ? body.items : body.items ? Object.values(body.items) : [body];
+
+    return respond(req, res, renderSections, () => {
+      const added = items.map((/** @type {any} */ item) =>
+        cart.add(item.id, item.quantity == null ? 1 : Number(item.quantity), {
+          properties: item.properties ?? {},
+          sellingPlan: item.selling_plan ? Number(item.selling_plan) : null,
+        })
+      );
+
+      const addedItems = cart.items.filter((item) => added.some((line) => line.key === item.key));
+      return body.items ? { items: addedItems } : addedItems[0];
+    });
+  });
+
+  router.post(/^\/cart\/change(\.js)?$/, (req, res) => {
+    /** @type {Cart} */
+    const cart = res.locals.cart;
+    const { line, id, quantity, properties, selling_plan: sellingPlan } = req.body;
+
+    return respond(req, res, renderSections, () => {
+      const found = cart.findLine({ line, id });
+
+      if (properties || sellingPlan !== undefined) {
+        found.properties = properties ?? found.properties;
+        found.sellingPlan = sellingPlan === undefined ? found.sellingPlan : sellingPlan ? Number(sellingPlan) : null;
+        found.key = lineKey(found.variant, found.properties, found.sellingPlan);
+      }
+
+      if (quantity != null) cart.setQuantity(found, Number(quantity));
+      return cart;
+    });
+  });
+
+  router.post(/^\/cart\/update(\.js)?$/, (req, res) => {
+    /** @type {Cart} */
+    const cart = res.locals.cart;
+    const { updates, note, attributes, discount } = req.body;
+
+    return respond(req, res, renderSections, () => {
+      if (Array.isArray(updates)) {
+        const lines = [...cart.lines];
+        updates.forEach((quantity, index) => {
+          const line = lines[index];
+          if (line) cart.setQuantity(line, Number(quantity), { clamp: true });
+        });
+      } else if (updates && typeof updates === 'object') {
+        for (const [id, quantity] of Object.entries(updates)) {
+          const line = cart.lines.find((candidate) => candidate.key === id || String(candidate.variant.id) === id);
+
+          if (line) {
+            cart.setQuantity(line, Number(quantity), { clamp: true });
+          } else if (Number(quantity) > 0) {
+            addClamped(cart, id, Number(quantity));
+          }
+        }
+      }
+
+      if (typeof note === 'string') cart.note = note;
+
+      if (attributes && typeof attributes === 'object') {
+        for (const [name, value] of Object.entries(attributes)) {
+          if (value === '' || value == null) {
+            delete cart.attributes[name];
+          } else {
+            cart.attributes[name] = String(value);
+          }
+        }
+      }
+
+      if (typeof discount === 'string') {
+        cart.discountCodes = [...new Set(discount.split(',').map((code) => code.trim()).filter(Boolean))];
+      }
+
+      return cart;
+    });
+  });
+
+  router.post(/^\/cart\/clear(\.js)?$/, (req, res) => {
+    return respond(req, res, renderSections, () => {
+      res.locals.cart.clear();
+      return res.locals.cart;
+    });
+  });
+
+  // A malformed JSON body is answered like the other cart errors rather than with a stack trace
+  router.use(['/cart/:action', '/cart.js'], (error, req, res, next) => {
+    if (!(error instanceof SyntaxError) || error.type !== 'entity.parse.failed') return next(error);
+
+    const message = 'Bad request';
+    res.status(400).json({ status: 400, message, description: 'The request body is not valid JSON', errors: message });
+  });
+
+  return router;
+}
+
+/**
+ * Adds a variant through `/cart/update`, which adds what the inventory allows without failing.
+ * @param {Cart} cart
+ * @param {string} id
+ * @param {number} quantity
+ */
+function addClamped(cart, id, quantity) {
+  try {
+    cart.add(id, quantity);
+  } catch (error) {
+    if (!(error instanceof CartError) || error.status === 404) throw error;
+  }
+}
+
+/**
+ * Runs a cart action and answers with its result, the cart errors Shopify returns, or a redirect
+ * to the cart page for plain form posts.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {SectionsRenderer} renderSections
+ * @param {() => any} action - Mutates the cart and returns the response body
+ */
+async function respond(req, res, renderSections, action) {
+  const wantsJSON = req.path.endsWith('.js') || /json|javascript/.test(req.get('accept') ?? '');
+
+  /** @type {any} */
+  let body;
+  try {
+    body = action();
+  } catch (error) {
+    if (!(error instanceof CartError)) throw error;
+
+    const message = error.message;
+    if (!wantsJSON) return res.redirect(303, '/cart');
+
+    // `errors` is what the cart items component reads, `message` is what the product form reads
+    return res.status(error.status).json({ status: error.status, message, description: message, errors: message });
+  }
+
+  if (!wantsJSON) return res.redirect(303, '/cart');
+
+  body = JSON.parse(JSON.stringify(body));
+
+  const sectionIds = sectionsParam(req.body.sections);
+  if (sectionIds.length) {
+    const referrer = req.get('referer');
+    const pathname = req.body.sections_url || (referrer ? new URL(referrer).pathname : '/');
+
+    body.sections = await renderSections(req, res.locals.cart, sectionIds, pathname);
+  }
+
+  res.json(body);
+}
+
+/**
+ * Reads the `sections` parameter, which can be a comma separated string, an array, or repeated.
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function sectionsParam(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const ids = values.flatMap((item) => (typeof item === 'string' ? item.split(',') : []));
+
+  return [...new Set(ids.map((id) => id.trim()).filter(Boolean))];
+}
+
+module.exports = { Cart, CartError, LineItemDrop, cartSession, createCartApi };
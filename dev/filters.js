@@ -0,0 +1,286 @@
+const { handleize } = require('./utils');
+
+/**
+ * @typedef {import('./store').ProductDrop} ProductDrop
+ */
+
+/**
+ * @typedef {Object} FilterDefinition
+ * @property {string} label - The filter label
+ * @property {string} param_name - The query parameter, e.g. `filter.p.vendor`
+ * @property {'list' | 'price_range'} type - The filter type
+ * @property {(product: ProductDrop) => string[]} [values] - The values of a product, for list filters
+ * @property {(value: string) => string} [label_for] - The label of a value
+ * @property {(value: string) => Record<string, any> | null} [swatch_for] - The swatch of a value
+ */
+
+const SORTERS = {
+  /** @type {(a: ProductDrop, b: ProductDrop) => number} */
+  'title-ascending': (a, b) => a.title.localeCompare(b.title),
+  /** @type {(a: ProductDrop, b: ProductDrop) => number} */
+  'title-descending': (a, b) => b.title.localeCompare(a.title),
+  /** @type {(a: ProductDrop, b: ProductDrop) => number} */
+  'price-ascending': (a, b) => a.price - b.price,
+  /** @type {(a: ProductDrop, b: ProductDrop) => number} */
+  'price-descending': (a, b) => b.price - a.price,
+  /** @type {(a: ProductDrop, b: ProductDrop) => number} */
+  'created-ascending': (a, b) => Date.parse(a.created_at) - Date.parse(b.created_at),
+  /** @type {(a: ProductDrop, b: ProductDrop) => number} */
+  'created-descending': (a, b) => Date.parse(b.created_at) - Date.parse(a.created_at),
+};
+
+/**
+ * Applies the `filter.*` parameters of a request to a list of products and builds the `filters`
+ * of the page, with the counts and URLs that Shopify's storefront filtering returns.
+ *
+ * @param {ProductDrop[]} products - The products of the collection or search
+ * @param {string[]} names - The filters enabled for the list, see `dev/fixtures/README.md`
+ * @param {string} url - The URL of the page, including its query
+ * @returns {{ products: ProductDrop[], filters: Record<string, any>[] }}
+ */
+function filterProducts(products, names, url) {
+  const current = new URL(url, 'http://localhost');
+  current.searchParams.delete('page');
+  current.searchParams.delete('section_id');
+
+  const definitions = names.map((name) => createDefinition(name, products)).filter((definition) => definition !== null);
+
+  /** @type {Map<FilterDefinition, (product: ProductDrop) => boolean>} */
+  const predicates = new Map();
+  for (const definition of definitions) {
+    const predicate = createPredicate(definition, current.searchParams);
+    if (predicate) predicates.set(definition, predicate);
+  }
+
+  /**
+   * @param {FilterDefinition} [except] - A filter to ignore, so that its own counts aren't narrowed by itself
+   */
+  const matching = (except) =>
+    products.filter((product) =>
+      [...predicates].every(([definition, predicate]) => definition === except || predicate(product))
+    );
+
+  const filters = definitions.map((definition) =>
+    definition.type === 'price_range'
+      ? createPriceFilter(definition, products, current)
+      : createListFilter(definition, matching(definition), current)
+  );
+
+  return { products: matching(), filters };
+}
+
+/**
+ * Sorts products by a `sort_by` value. Manual, best selling and relevance keep the catalog order.
+ *
+ * @param {ProductDrop[]} products - The products
+ * @param {string} sortBy - The sort order
+ * @returns {ProductDrop[]}
+ */
+function sortProducts(products, sortBy) {
+  const sorter = SORTERS[/** @type {keyof typeof SORTERS} */ (sortBy)];
+
+  return sorter ? [...products].sort(sorter) : products;
+}
+
+/**
+ * @param {string} name - The filter name from the fixtures
+ * @param {ProductDrop[]} products - The products, to look up option swatches
+ * @returns {FilterDefinition | null}
+ */
+function createDefinition(name, products) {
+  switch (name) {
+    case 'availability':
+      return {
+        label: 'Availability',
+        param_name: 'filter.v.availability',
+        type: 'list',
+        values: (product) => [product.available ? '1' : '0'],
+        label_for: (value) => (value === '1' ? 'In stock' : 'Out of stock'),
+      };
+    case 'price':
+      return { label: 'Price', param_name: 'filter.v.price', type: 'price_range' };
+    case 'vendor':
+      return { label: 'Vendor', param_name: 'filter.p.vendor', type: 'list', values: (product) => [product.vendor] };
+    case 'product_type':
+      return {
+        label: 'Product type',
+        param_name: 'filter.p.product_type',
+        type: 'list',
+        values: (product) => [product.type],
+      };
+    case 'tag':
+      return { label: 'Tags', param_name: 'filter.p.tag', type: 'list', values: (product) => product.tags };
+  }
+
+  if (name.startsWith('option:')) {
+    const option = name.slice('option:'.length);
+
+    return {
+      label: option,
+      param_name: `filter.v.option.${handleize(option)}`,
+      type: 'list',
+      values: (product) => {
+        const index = product.options.indexOf(option);
+        return index === -1 ? [] : product.variants.map((variant) => variant.options[index] ?? '');
+      },
+      swatch_for: (value) => findSwatch(products, option, value),
+    };
+  }
+
+  if (name.startsWith('metafield:')) {
+    const [namespace = '', key = ''] = name.slice('metafield:'.length).split('.');
+
+    return {
+      label: key.replace(/_/g, ' ').replace(/^\w/, (letter) => letter.toUpperCase()),
+      param_name: `filter.p.m.${namespace}.${key}`,
+      type: 'list',
+      values: (product) => {
+        const metafield = product.metafields[namespace]?.[key];
+        if (!metafield) return [];
+
+        return (Array.isArray(metafield.value) ? metafield.value : [metafield.value]).map(String);
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * @param {FilterDefinition} definition
+ * @param {URLSearchParams} params - The query of the page
+ * @returns {((product: ProductDrop) => boolean) | null} Null when the filter isn't active
+ */
+function createPredicate(definition, params) {
+  if (definition.type === 'price_range') {
+    const min = parsePrice(params.get(`${definition.param_name}.gte`));
+    const max = parsePrice(params.get(`${definition.param_name}.lte`));
+    if (min == null && max == null) return null;
+
+    return (product) =>
+      product.variants.some(
+        (variant) => (min == null || variant.price >= min) && (max == null || variant.price <= max)
+      );
+  }
+
+  const active = params.getAll(definition.param_name);
+  if (!active.length || !definition.values) return null;
+
+  const values = definition.values;
+  return (product) => values(product).some((value) => active.includes(value));
+}
+
+/**
+ * @param {FilterDefinition} definition
+ * @param {ProductDrop[]} products - The products matching the other active filters
+ * @param {URL} current - The URL of the page
+ */
+function createListFilter(definition, products, current) {
+  const active = current.searchParams.getAll(definition.param_name);
+  const values = definition.values ?? (() => []);
+
+  /** @type {Map<string, number>} */
+  const counts = new Map();
+  for (const product of products) {
+    for (const value of new Set(values(product))) {
+      if (value) counts.set(value, (counts.get(value) ?? 0) + 1);
+    }
+  }
+  for (const value of active) {
+    if (!counts.has(value)) counts.set(value, 0);
+  }
+
+  const filterValues = [...counts].map(([value, count]) => ({
+    label: definition.label_for?.(value) ?? value,
+    value,
+    count,
+    active: active.includes(value),
+    param_name: definition.param_name,
+    url_to_add: withParams(current, (params) => params.append(definition.param_name, value)),
+    url_to_remove: withParams(current, (params) => params.delete(definition.param_name, value)),
+    swatch: definition.swatch_for?.(value) ?? null,
+    image: null,
+  }));
+
+  return {
+    label: definition.label,
+    param_name: definition.param_name,
+    type: 'list',
+    presentation: filterValues.some((value) => value.swatch) ? 'swatch' : 'text',
+    values: filterValues,
+    active_values: filterValues.filter((value) => value.active),
+    inactive_values: filterValues.filter((value) => !value.active),
+    url_to_remove: withParams(current, (params) => params.delete(definition.param_name)),
+  };
+}
+
+/**
+ * @param {FilterDefinition} definition
+ * @param {ProductDrop[]} products - All the products of the list, the range doesn't narrow with other filters
+ * @param {URL} current - The URL of the page
+ */
+function createPriceFilter(definition, products, current) {
+  const min = `${definition.param_name}.gte`;
+  const max = `${definition.param_name}.lte`;
+
+  return {
+    label: definition.label,
+    param_name: definition.param_name,
+    type: 'price_range',
+    presentation: null,
+    min_value: { param_name: min, value: parsePrice(current.searchParams.get(min)) },
+    max_value: { param_name: max, value: parsePrice(current.searchParams.get(max)) },
+    range_max: Math.max(0, ...products.map((product) => product.price_max)),
+    active_values: [],
+    url_to_remove: withParams(current, (params) => {
+      params.delete(min);
+      params.delete(max);
+    }),
+  };
+}
+
+/**
+ * Finds the swatch declared for an option value by any product.
+ * @param {ProductDrop[]} products
+ * @param {string} option - The option name
+ * @param {string} value - The option value
+ * @returns {Record<string, any> | null}
+ */
+function findSwatch(products, option, value) {
+  for (const product of products) {
+    const index = product.options.indexOf(option);
+    /** @type {import('./store').OptionDefinition[]} */
+    const definitions = /** @type {any} */ (product).optionDefinitions;
+    const swatch = definitions[index]?.values?.find((definition) => definition.name === value)?.swatch;
+
+    if (swatch) return swatch;
+  }
+
+  return null;
+}
+
+/**
+ * Parses a price parameter, which the storefront sends in the currency unit, e.g. `12.50`.
+ * @param {string | null} value
+ * @returns {number | null} The price in cents
+ */
+function parsePrice(value) {
+  if (!value) return null;
+
+  const price = Number.parseFloat(value.replace(',', '.'));
+  return Number.isFinite(price) ? Math.round(price * 100) : null;
+}
+
+/**
+ * @param {URL} url
+ * @param {(params: URLSearchParams) => void} change
+ * @returns {string} The path and query of the changed URL
+ */
+function withParams(url, change) {
+  const copy = new URL(url);
+  change(copy.searchParams);
+
+  return `${copy.pathname}${copy.search}`;
+}
+
+module.exports = { filterProducts, sortProducts };
@@ -0,0 +1,456 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { handleize } = require('./utils');
+
+const FIXTURES_DIRECTORY = path.join(__dirname, 'fixtures');
+const EXTENSIONS = ['.json', '.yml', '.yaml'];
+
+const TOP_LEVEL_KEYS = [
+  'shop',
+  'products',
+  'collections',
+  'filters',
+  'menus',
+  'pages',
+  'blogs',
+  'markets',
+  'discounts',
+];
+const FILTERS = ['availability', 'price', 'vendor', 'product_type', 'tag'];
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'shipping'];
+const MAX_VARIANTS = 2048;
+const MAX_OPTIONS = 3;
+
+/**
+ * Thrown when a fixture file can't be read or doesn't follow the fixture format.
+ */
+class FixtureError extends Error {
+  /**
+   * @param {string} file - The fixture file
+   * @param {string[]} problems - One message per problem, prefixed with the path of the value
+   */
+  constructor(file, problems) {
+    const list = problems.map((problem) => `  - ${problem}`).join('\n');
+
+    super(`Invalid fixtures in ${path.relative(process.cwd(), file)}:\n${list}`);
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Finds the file of a fixture set: a set name such as `large-variants`, which is looked up in
+ * `dev/fixtures/`, or a path to a JSON or YAML file.
+ *
+ * @param {string} name - The set name or file path
+ * @returns {string} The absolute path of the file
+ */
+function resolveFixtureFile(name) {
+  const candidates = path.extname(name)
+    ? [path.resolve(name)]
+    : EXTENSIONS.map((extension) => path.join(FIXTURES_DIRECTORY, `${name}${extension}`));
+  const file = candidates.find((candidate) => fs.existsSync(candidate));
+
+  if (!file) {
+    const available = listFixtureSets().join(', ');
+    throw new FixtureError(candidates[0] ?? name, [`Fixture set "${name}" not found. Available sets: ${available}`]);
+  }
+
+  return file;
+}
+
+/**
+ * Lists the fixture sets bundled in `dev/fixtures/`.
+ * @returns {string[]}
+ */
+function listFixtureSets() {
+  return fs
+    .readdirSync(FIXTURES_DIRECTORY)
+    .filter((file) => EXTENSIONS.includes(path.extname(file)))
+    .map((file) => path.basename(file, path.extname(file)));
+}
+
+/**
+ * Reads and validates a fixture set.
+ *
+ * @param {string} name - The set name or file path
+ * @returns {{ file: string, data: Record<string, any> }}
+ */
+function readFixtures(name) {
+  const file = resolveFixtureFile(name);
+  const source = fs.readFileSync(file, 'utf8');
+
+  /** @type {any} */
+  let data;
+  try {
+    data = path.extname(file) === '.json' ? JSON.parse(source) : YAML.parse(source);
+  } catch (error) {
+    throw new FixtureError(file, [/** @type {Error} */ (error).message]);
+  }
+
+  const problems = validateFixtures(data);
+  if (problems.length) throw new FixtureError(file, problems);
+
+  return { file, data };
+}
+
+/**
+ * Checks fixture data against the fixture format (see `dev/fixtures/README.md`).
+ *
+ * @param {any} data - The parsed fixture file
+ * @returns {string[]} The problems found, empty when the data is valid
+ */
+function validateFixtures(data) {
+  /** @type {string[]} */
+  const problems = [];
+
+  /**
+   * @param {boolean} condition
+   * @param {string} at
+   * @param {string} message
+   */
+  const check = (condition, at, message) => {
+    if (!condition) problems.push(`${at}: ${message}`);
+    return condition;
+  };
+
+  if (!check(isObject(data), 'fixtures', 'must be an object')) return problems;
+
+  for (const key of Object.keys(data)) {
+    check(TOP_LEVEL_KEYS.includes(key), key, `unknown key, expected one of ${TOP_LEVEL_KEYS.join(', ')}`);
+  }
+
+  for (const key of ['products', 'collections', 'filters', 'menus', 'pages', 'blogs', 'markets', 'discounts']) {
+    if (data[key] !== undefined) check(Array.isArray(data[key]), key, 'must be an array');
+  }
+  if (data.shop !== undefined) check(isObject(data.shop), 'shop', 'must be an object');
+
+  const products = Array.isArray(data.products) ? data.products : [];
+  const productHandles = unique(products, 'products', problems);
+
+  products.forEach((product, index) => validateProduct(product, `products[${index}]`, productHandles, check));
+
+  const collections = Array.isArray(data.collections) ? data.collections : [];
+  unique(collections, 'collections', problems);
+  collections.forEach((collection, index) => {
+    const at = `collections[${index}]`;
+    if (!check(isObject(collection), at, 'must be an object')) return;
+
+    check(
+      typeof collection.title === 'string' || typeof collection.handle === 'string',
+      at,
+      'needs a title or a handle'
+    );
+    for (const handle of collection.products ?? []) {
+      check(productHandles.has(handle), `${at}.products`, `unknown product "${handle}"`);
+    }
+    validateFilters(collection.filters, `${at}.filters`, check);
+    validateMetafields(collection.metafields, `${at}.metafields`, check);
+  });
+
+  validateFilters(data.filters, 'filters', check);
+
+  (Array.isArray(data.menus) ? data.menus : []).forEach((menu, index) => {
+    const at = `menus[${index}]`;
+    if (!check(isObject(menu), at, 'must be an object')) return;
+
+    check(typeof menu.handle === 'string', at, 'needs a handle');
+    validateLinks(menu.links ?? [], `${at}.links`, 1, check);
+  });
+
+  const pages = Array.isArray(data.pages) ? data.pages : [];
+  unique(pages, 'pages', problems);
+  pages.forEach((page, index) => {
+    check(isObject(page) && typeof page.title === 'string', `pages[${index}]`, 'needs a title');
+  });
+
+  const blogs = Array.isArray(data.blogs) ? data.blogs : [];
+  unique(blogs, 'blogs', problems);
+  blogs.forEach((blog, index) => {
+    const at = `blogs[${index}]`;
+    if (!check(isObject(blog) && typeof blog.title === 'string', at, 'needs a title')) return;
+
+    unique(blog.articles ?? [], `${at}.articles`, problems);
+    (blog.articles ?? []).forEach((/** @type {any} */ article, articleIndex) => {
+      const articleAt = `${at}.articles[${articleIndex}]`;
+      if (!check(isObject(article) && typeof article.title === 'string', articleAt, 'needs a title')) return;
+
+      if (article.published_at !== undefined) {
+        check(!Number.isNaN(Date.parse(article.published_at)), `${articleAt}.published_at`, 'must be a date');
+      }
+      if (article.image !== undefined) validateImage(article.image, `${articleAt}.image`, check);
+    });
+  });
+
+  const markets = Array.isArray(data.markets) ? data.markets : [];
+  unique(markets, 'markets', problems);
+  markets.forEach((market, index) => {
+    const at = `markets[${index}]`;
+    if (!check(isObject(market), at, 'must be an object')) return;
+
+    check(typeof market.handle === 'string', at, 'needs a handle');
+    check(/^[A-Z]{2}$/.test(market.country ?? ''), `${at}.country`, 'must be a two letter country code');
+    check(/^[A-Z]{3}$/.test(market.currency ?? ''), `${at}.currency`, 'must be a three letter currency code');
+  });
+  check(markets.filter((market) => market?.primary).length <= 1, 'markets', 'only one market can be primary');
+
+  const discounts = Array.isArray(data.discounts) ? data.discounts : [];
+  discounts.forEach((discount, index) => {
+    const at = `discounts[${index}]`;
+    if (!check(isObject(discount) && typeof discount.code === 'string', at, 'needs a code')) return;
+
+    check(
+      DISCOUNT_TYPES.includes(discount.type ?? 'percentage'),
+      `${at}.type`,
+      `must be one of ${DISCOUNT_TYPES.join(', ')}`
+    );
+    if (discount.value !== undefined) check(isAmount(discount.value), `${at}.value`, 'must be a positive number');
+  });
+
+  return problems;
+}
+
+/**
+ * @typedef {(condition: boolean, at: string, message: string) => boolean} Check
+ */
+
+/**
+ * @param {any} product
+ * @param {string} at
+ * @param {Set<string>} productHandles
+ * @param {Check} check
+ */
+function validateProduct(product, at, productHandles, check) {
+  if (!check(isObject(product), at, 'must be an object')) return;
+
+  check(typeof product.title === 'string', at, 'needs a title');
+
+  const images = product.images ?? product.media ?? [];
+  if (check(Array.isArray(images), `${at}.images`, 'must be an array')) {
+    images.forEach((/** @type {any} */ image, index) => validateImage(image, `${at}.images[${index}]`, check));
+  }
+
+  const options = product.options ?? [];
+  if (!check(Array.isArray(options), `${at}.options`, 'must be an array')) return;
+  check(options.length <= MAX_OPTIONS, `${at}.options`, `can't have more than ${MAX_OPTIONS} options`);
+
+  const names = options.map((/** @type {any} */ option) => (typeof option === 'string' ? option : option?.name));
+  check(new Set(names).size === names.length, `${at}.options`, 'option names must be unique');
+
+  /** @type {(Set<string> | null)[]} */
+  const declaredValues = options.map((/** @type {any} */ option, index) => {
+    const optionAt = `${at}.options[${index}]`;
+    if (typeof option === 'string') return null;
+    if (!check(isObject(option) && typeof option.name === 'string', optionAt, 'must be a name or { name, values }')) {
+      return null;
+    }
+    if (option.values === undefined) return null;
+    const nonEmpty = Array.isArray(option.values) && option.values.length > 0;
+    if (!check(nonEmpty, `${optionAt}.values`, 'must be a non-empty array')) return null;
+
+    const values = option.values.map((/** @type {any} */ value) => String(isObject(value) ? value.name : value));
+    check(new Set(values).size === values.length, `${optionAt}.values`, 'values must be unique');
+
+    option.values.forEach((/** @type {any} */ value, valueIndex) => {
+      const valueAt = `${optionAt}.values[${valueIndex}]`;
+      if (!isObject(value)) return;
+
+      check(typeof value.name === 'string', valueAt, 'must be a string or { name, swatch, product }');
+      if (value.swatch !== undefined) {
+        const { color, image } = isObject(value.swatch) ? value.swatch : {};
+        check(typeof color === 'string' || image !== undefined, `${valueAt}.swatch`, 'must have a color or an image');
+        if (image !== undefined) validateImage(image, `${valueAt}.swatch.image`, check);
+      }
+      if (value.product !== undefined) {
+        check(productHandles.has(value.product), `${valueAt}.product`, `unknown product "${value.product}"`);
+      }
+    });
+
+    return new Set(values);
+  });
+
+  const variants = product.variants;
+  if (variants === undefined) {
+    const generated = declaredValues.reduce((count, values) => count * (values?.size ?? 1), 1);
+
+    check(
+      options.length === 0 || declaredValues.every(Boolean),
+      `${at}.variants`,
+      'are required unless every option lists its values'
+    );
+    check(generated <= MAX_VARIANTS, `${at}.options`, `generate ${generated} variants, more than ${MAX_VARIANTS}`);
+    check(
+      isAmount(product.price),
+      `${at}.price`,
+      'is required when variants are generated and must be a positive number'
+    );
+    return;
+  }
+
+  if (!check(Array.isArray(variants) && variants.length > 0, `${at}.variants`, 'must be a non-empty array')) return;
+  check(variants.length <= MAX_VARIANTS, `${at}.variants`, `can't have more than ${MAX_VARIANTS} variants`);
+
+  const combinations = new Set();
+  variants.forEach((/** @type {any} */ variant, index) => {
+    const variantAt = `${at}.variants[${index}]`;
+    if (!check(isObject(variant), variantAt, 'must be an object')) return;
+
+    const values = variant.options ?? (options.length ? undefined : ['Default Title']);
+    const expected = Math.max(1, options.length);
+    const valid = Array.isArray(values) && values.length === expected;
+
+    if (check(valid, `${variantAt}.options`, `must have ${expected} value(s), one per option`)) {
+      values.forEach((/** @type {any} */ value, valueIndex) => {
+        const declared = declaredValues[valueIndex];
+        if (declared) {
+          check(
+            declared.has(String(value)),
+            `${variantAt}.options[${valueIndex}]`,
+            `"${value}" isn't a value of ${names[valueIndex]}`
+          );
+        }
+      });
+
+      const key = values.join(' / ');
+      check(!combinations.has(key), `${variantAt}.options`, `duplicates the variant "${key}"`);
+      combinations.add(key);
+    }
+
+    check(
+      isAmount(variant.price ?? product.price),
+      `${variantAt}.price`,
+      'is required (in cents) and must be a positive number'
+    );
+    if (variant.compare_at_price != null) {
+      check(isAmount(variant.compare_at_price), `${variantAt}.compare_at_price`, 'must be a positive number');
+    }
+    if (variant.inventory_quantity !== undefined) {
+      check(Number.isInteger(variant.inventory_quantity), `${variantAt}.inventory_quantity`, 'must be an integer');
+    }
+    if (variant.inventory_policy !== undefined) {
+      check(
+        ['deny', 'continue'].includes(variant.inventory_policy),
+        `${variantAt}.inventory_policy`,
+        'must be deny or continue'
+      );
+    }
+    if (variant.image !== undefined) {
+      check(
+        Number.isInteger(variant.image) && variant.image >= 0 && variant.image < images.length,
+        `${variantAt}.image`,
+        'must be the index of a product image'
+      );
+    }
+    validateMetafields(variant.metafields, `${variantAt}.metafields`, check);
+  });
+
+  validateMetafields(product.metafields, `${at}.metafields`, check);
+}
+
+/**
+ * @param {any} image
+ * @param {string} at
+ * @param {Check} check
+ */
+function validateImage(image, at, check) {
+  check(
+    typeof image === 'string' || (isObject(image) && typeof image.src === 'string'),
+    at,
+    'must be a URL or { src, alt, width, height }'
+  );
+}
+
+/**
+ * @param {any} metafields
+ * @param {string} at
+ * @param {Check} check
+ */
+function validateMetafields(metafields, at, check) {
+  if (metafields === undefined) return;
+  if (!check(isObject(metafields), at, 'must map namespaces to keys')) return;
+
+  for (const [namespace, keys] of Object.entries(metafields)) {
+    check(isObject(keys), `${at}.${namespace}`, 'must map keys to values');
+  }
+}
+
+/**
+ * @param {any} filters
+ * @param {string} at
+ * @param {Check} check
+ */
+function validateFilters(filters, at, check) {
+  if (filters === undefined || !check(Array.isArray(filters), at, 'must be an array')) return;
+
+  filters.forEach((filter, index) => {
+    check(
+      typeof filter === 'string' && (FILTERS.includes(filter) || /^(option|metafield):.+/.test(filter)),
+      `${at}[${index}]`,
+      `must be one of ${FILTERS.join(', ')}, option:<name> or metafield:<namespace>.<key>`
+    );
+  });
+}
+
+/**
+ * @param {any[]} links
+ * @param {string} at
+ * @param {number} depth
+ * @param {Check} check
+ */
+function validateLinks(links, at, depth, check) {
+  if (!check(Array.isArray(links), at, 'must be an array')) return;
+  check(depth <= 3, at, 'menus can only be nested three levels deep');
+
+  links.forEach((link, index) => {
+    const linkAt = `${at}[${index}]`;
+    if (
+      !check(
+        isObject(link) && typeof link.title === 'string' && typeof link.url === 'string',
+        linkAt,
+        'needs a title and a url'
+      )
+    )
+      return;
+    if (link.links) validateLinks(link.links, `${linkAt}.links`, depth + 1, check);
+  });
+}
+
+/**
+ * Reports resources whose handles clash.
+ * @param {any[]} resources
+ * @param {string} at
+ * @param {string[]} problems
+ * @returns {Set<string>} The handles
+ */
+function unique(resources, at, problems) {
+  const handles = new Set();
+
+  resources.forEach((resource, index) => {
+    if (!isObject(resource)) return;
+
+    const handle = resource.handle ?? handleize(resource.title ?? '');
+    if (handles.has(handle)) problems.push(`${at}[${index}]: duplicates the handle "${handle}"`);
+    handles.add(handle);
+  });
+
+  return handles;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+module.exports = { FixtureError, readFixtures, validateFixtures, listFixtureSets };
@@ -0,0 +1,213 @@
+const { Drop } = require('liquidjs');
+
+/**
+ * A color setting value, e.g. `settings.color_schemes[0].settings.background`.
+ */
+class ColorDrop extends Drop {
+  /**
+   * @param {string} value - A hex color such as `#000000b5`
+   */
+  constructor(value) {
+    super();
+    const hex = String(value || '#000000').replace('#', '');
+    const expanded = hex.length <= 4 ? [...hex].map((char) => char + char).join('') : hex;
+
+    this.hex = `#${expanded.slice(0, 6)}`;
+    this.red = parseInt(expanded.slice(0, 2), 16) || 0;
+    this.green = parseInt(expanded.slice(2, 4), 16) || 0;
+    this.blue = parseInt(expanded.slice(4, 6), 16) || 0;
+    this.alpha = expanded.length === 8 ? Math.round((parseInt(expanded.slice(6, 8), 16) / 255) * 100) / 100 : 1;
+
+    const [hue, saturation, lightness] = toHSL(this.red, this.green, this.blue);
+    this.hue = hue;
+    this.saturation = saturation;
+    this.lightness = lightness;
+  }
+
+  get rgb() {
+    return `${this.red} ${this.green} ${this.blue}`;
+  }
+
+  get rgba() {
+    return `${this.rgb} / ${this.alpha.toFixed(2)}`;
+  }
+
+  /**
+   * The perceived brightness of the color, as computed by the `color_brightness` filter.
+   * @returns {number}
+   */
+  get brightness() {
+    return (this.red * 299 + this.green * 587 + this.blue * 114) / 1000;
+  }
+
+  valueOf() {
+    if (this.alpha === 1) return this.hex;
+
+    return `rgba(${this.red}, ${this.green}, ${this.blue}, ${this.alpha})`;
+  }
+
+  toString() {
+    return String(this.valueOf());
+  }
+}
+
+/**
+ * Converts an RGB color to HSL.
+ * @param {number} red
+ * @param {number} green
+ * @param {number} blue
+ * @returns {[number, number, number]} The hue in degrees, saturation and lightness in percent
+ */
+function toHSL(red, green, blue) {
+  const r = red / 255;
+  const g = green / 255;
+  const b = blue / 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+
+  if (max === min) return [0, 0, Math.round(lightness * 100)];
+
+  const delta = max - min;
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  let hue = max === r ? (g - b) / delta + (g < b ? 6 : 0) : max === g ? (b - r) / delta + 2 : (r - g) / delta + 4;
+  hue *= 60;
+
+  return [Math.round(hue), Math.round(saturation * 100), Math.round(lightness * 100)];
+}
+
+/**
+ * A font picker setting value, e.g. `settings.type_body_font`.
+ *
+ * The dev server can't reach the Shopify font library, so every font reports itself as a system
+ * font. The theme then skips the font preloads and `@font-face` rules and falls back to locally
+ * installed families.
+ */
+class FontDrop extends Drop {
+  /**
+   * @param {string} handle - A font handle such as `inter_n4`
+   */
+  constructor(handle) {
+    super();
+    const [, name = 'sans-serif', style = 'n', weight = '4'] = String(handle).match(/^(.+)_([ino])(\d)$/) ?? [];
+
+    this.handle = handle;
+    this.family = name
+      .split('_')
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+    this.style = style === 'i' ? 'italic' : style === 'o' ? 'oblique' : 'normal';
+    this.weight = Number(weight) * 100;
+    this.fallback_families = /serif|garamond|times|georgia/i.test(name) && !/sans/i.test(name) ? 'serif' : 'sans-serif';
+    this['system?'] = true;
+  }
+
+  /**
+   * Returns a variant of the font, as the `font_modify` filter does.
+   * @param {string} property - `weight` or `style`
+   * @param {string} value - The new value
+   * @returns {FontDrop}
+   */
+  modify(property, value) {
+    const name = this.handle.replace(/_[ino]\d$/, '');
+    let style = this.style.charAt(0);
+    let weight = this.weight / 100;
+
+    if (property === 'style') style = value === 'italic' ? 'i' : value === 'oblique' ? 'o' : 'n';
+    if (property === 'weight') {
+      if (value === 'bold' || value === 'bolder') weight = Math.max(7, weight);
+      else if (value === 'lighter') weight = Math.max(1, weight - 3);
+      else if (value === 'normal') weight = 4;
+      else if (/^[+-]\d+$/.test(value)) weight = Math.min(9, Math.max(1, weight + Number(value) / 100));
+      else if (/^\d+$/.test(value)) weight = Number(value) / 100;
+    }
+
+    return new FontDrop(`${name}_${style}${weight}`);
+  }
+
+  valueOf() {
+    return this.handle;
+  }
+
+  toString() {
+    return this.handle;
+  }
+}
+
+/**
+ * A color scheme, as found in a `color_scheme_group` setting or referenced by a `color_scheme` setting.
+ */
+class ColorSchemeDrop extends Drop {
+  /**
+   * @param {string} id - The scheme id
+   * @param {Record<string, string>} settings - The raw scheme settings
+   */
+  constructor(id, settings) {
+    super();
+    this.id = id;
+    this.settings = Object.fromEntries(
+      Object.entries(settings).map(([key, value]) => [
+        key,
+        typeof value === 'string' && value.startsWith('#') ? new ColorDrop(value) : value,
+      ])
+    );
+  }
+
+  valueOf() {
+    return this.id;
+  }
+
+  toString() {
+    return this.id;
+  }
+}
+
+/**
+ * The `template` object. Outputs as `name` or `name.suffix`.
+ */
+class TemplateDrop extends Drop {
+  /**
+   * @param {string} name - The template type, e.g. `product`
+   * @param {string | null} [suffix] - The alternate template suffix
+   */
+  constructor(name, suffix = null) {
+    super();
+    this.name = name;
+    this.suffix = suffix;
+    this.directory = null;
+  }
+
+  valueOf() {
+    return this.suffix ? `${this.name}.${this.suffix}` : this.name;
+  }
+
+  toString() {
+    return String(this.valueOf());
+  }
+}
+
+/**
+ * A metafield, e.g. `product.metafields.custom.care`. Outputs as its value.
+ */
+class MetafieldDrop extends Drop {
+  /**
+   * @param {string} type - The metafield type, e.g. `single_line_text_field`
+   * @param {any} value - The value
+   */
+  constructor(type, value) {
+    super();
+    this.type = type;
+    this.value = value;
+    this.list = type.startsWith('list.');
+  }
+
+  valueOf() {
+    return this.value;
+  }
+
+  toString() {
+    return typeof this.value === 'object' ? JSON.stringify(this.value) : String(this.value);
+  }
+}
+
+module.exports = { ColorDrop, FontDrop, ColorSchemeDrop, TemplateDrop, MetafieldDrop };
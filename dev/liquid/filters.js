@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const { toValue } = require('liquidjs');
+const { ColorDrop, FontDrop } = require('./drops');
+const { escapeHTML, formatMoney, handleize } = require('../utils');
+
+/**
+ * @typedef {import('liquidjs').Liquid} Liquid
+ * @typedef {import('../theme').Theme} Theme
+ */
+
+/**
+ * Registers the Shopify specific filters used by the theme.
+ *
+ * Filters that depend on Shopify infrastructure the dev server doesn't have (payment terms,
+ * accelerated checkout, the font library) render nothing rather than failing the page.
+ *
+ * @param {Liquid} engine - The Liquid engine
+ * @param {Theme} theme - The theme being rendered
+ */
+function registerFilters(engine, theme) {
+  /**
+   * Reads a value from the render context's globals.
+   * @param {any} filter - The filter `this` binding
+   * @param {string} name - The global name
+   * @returns {any}
+   */
+  const global = (filter, name) => filter.context.globals[name];
+
+  const money = (/** @type {any} */ filter, /** @type {unknown} */ cents, /** @type {string} */ formatName) => {
+    if (cents == null || cents === '') return '';
+    const shop = global(filter, 'shop') ?? {};
+
+    return formatMoney(Number(toValue(cents)), shop[formatName] ?? shop.money_format ?? '${{amount}}');
+  };
+
+  engine.registerFilter('t', function (key, ...args) {
+    return theme.translate(String(key ?? ''), Object.fromEntries(args), global(this, 'request')?.locale?.iso_code);
+  });
+  engine.registerFilter('translate', function (key, ...args) {
+    return theme.translate(String(key ?? ''), Object.fromEntries(args), global(this, 'request')?.locale?.iso_code);
+  });
+
+  engine.registerFilter('money', function (cents) {
+    return money(this, cents, 'money_format');
+  });
+  engine.registerFilter('money_with_currency', function (cents) {
+    return money(this, cents, 'money_with_currency_format');
+  });
+  engine.registerFilter('money_without_currency', (cents) => {
+    if (cents == null || cents === '') return '';
+    return formatMoney(Number(toValue(cents)), '{{amount}}');
+  });
+  engine.registerFilter('money_without_trailing_zeros', function (cents) {
+    return money(this, cents, 'money_format').replace(/[.,]00(?=\D*$)/, '');
+  });
+
+  engine.registerFilter('asset_url', (name) => theme.assetUrl(String(name)));
+  engine.registerFilter('asset_img_url', (name) => theme.assetUrl(String(name)));
+  engine.registerFilter('shopify_asset_url', (name) => `https://cdn.shopify.com/shopifycloud/storefront/assets/${name}`);
+  engine.registerFilter('global_asset_url', (name) => `https://cdn.shopify.com/s/global/${name}`);
+  engine.registerFilter('file_url', (name) => `/files/${name}`);
+  engine.registerFilter('inline_asset_content', (name) => {
+    const file = path.join(theme.root, 'assets', path.basename(String(name)));
+
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  });
+
+  engine.registerFilter('image_url', (image, ...args) => {
+    const src = imageSource(image);
+    if (!src) return '';
+
+    const options = Object.fromEntries(args);
+    const url = new URL(src, 'http://dev.local');
+    for (const key of ['width', 'height', 'crop', 'format']) {
+      if (options[key] != null) url.searchParams.set(key, String(options[key]));
+    }
+
+    return url.host === 'dev.local' ? `${url.pathname}${url.search}` : url.toString();
+  });
+  engine.registerFilter('img_url', (image) => imageSource(image) ?? '');
+  engine.registerFilter('image_tag', (src, ...args) => {
+    const options = Object.fromEntries(args);
+    const url = new URL(String(src), 'http://dev.local');
+    const attributes = {
+      src: String(src),
+      alt: options.alt ?? '',
+      width: options.width ?? url.searchParams.get('width') ?? undefined,
+      height: options.height ?? url.searchParams.get('height') ?? undefined,
+      ...omit(options, ['alt', 'width', 'height', 'widths', 'preload']),
+    };
+
+    if (options.widths) {
+      attributes.srcset = String(options.widths)
+        .split(',')
+        .map((width) => {
+          url.searchParams.set('width', width.trim());
+          return `${url.host === 'dev.local' ? url.pathname + url.search : url} ${width.trim()}w`;
+        })
+        .join(', ');
+    }
+
+    return `<img ${toAttributes(attributes)}>`;
+  });
+  engine.registerFilter('placeholder_svg_tag', (name, className = '') => {
+    return `<svg class="${escapeHTML(className)}" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 525 525" data-placeholder="${escapeHTML(name)}"><rect width="525" height="525" fill="currentColor" opacity="0.08"/></svg>`;
+  });
+  engine.registerFilter('video_tag', (video, ...args) => {
+    const options = Object.fromEntries(args);
+    const source = video?.sources?.[0]?.url ?? '';
+    const booleans = ['autoplay', 'loop', 'muted', 'controls', 'playsinline'].filter((name) => options[name]);
+
+    return `<video ${toAttributes({ class: options.class, poster: imageSource(video?.preview_image) })} ${booleans.join(
+      ' '
+    )}><source src="${escapeHTML(source)}" type="${escapeHTML(video?.sources?.[0]?.mime_type ?? 'video/mp4')}"></video>`;
+  });
+  engine.registerFilter('external_video_url', (video, ...args) => {
+    const params = new URLSearchParams(Object.entries(Object.fromEntries(args)).map(([k, v]) => [k, String(v)]));
+    if (video?.host === 'youtube') return `https://www.youtube.com/embed/${video.external_id}?${params}`;
+    if (video?.host === 'vimeo') return `https://player.vimeo.com/video/${video.external_id}?${params}`;
+    return '';
+  });
+  engine.registerFilter('external_video_tag', (url) => (url ? `<iframe src="${escapeHTML(url)}" allowfullscreen></iframe>` : ''));
+  engine.registerFilter('media_tag', (media) => (media ? `<img src="${escapeHTML(imageSource(media))}" alt="">` : ''));
+  engine.registerFilter('model_viewer_tag', () => '');
+
+  engine.registerFilter('preload_tag', (url, ...args) => {
+    return `<link ${toAttributes({ href: url, rel: 'preload', ...Object.fromEntries(args) })}>`;
+  });
+  engine.registerFilter('stylesheet_tag', (url, ...args) => {
+    return `<link ${toAttributes({ href: url, rel: 'stylesheet', type: 'text/css', media: 'all', ...Object.fromEntries(args) })}>`;
+  });
+  engine.registerFilter('script_tag', (url) => `<script src="${escapeHTML(url)}" type="text/javascript"></script>`);
+  engine.registerFilter('link_to', (text, url, title) => {
+    return `<a ${toAttributes({ href: url, title })}>${text}</a>`;
+  });
+  engine.registerFilter('time_tag', (date, ...args) => {
+    const value = new Date(toValue(date));
+    if (isNaN(value.getTime())) return '';
+
+    const { format } = Object.fromEntries(args);
+    const text =
+      format === 'date'
+        ? value.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+        : value.toLocaleString('en-US');
+
+    return `<time datetime="${value.toISOString()}">${escapeHTML(text)}</time>`;
+  });
+
+  engine.registerFilter('font_face', () => '');
+  engine.registerFilter('font_url', () => '');
+  engine.registerFilter('font_modify', (font, property, value) => {
+    const drop = font instanceof FontDrop ? font : new FontDrop(String(font));
+
+    return drop.modify(String(property), String(value));
+  });
+
+  engine.registerFilter('color_brightness', (color) => toColor(color).brightness);
+  engine.registerFilter('color_modify', (color, property, value) => {
+    const drop = toColor(color);
+    const channels = { red: drop.red, green: drop.green, blue: drop.blue, alpha: drop.alpha };
+
+    if (property in channels) /** @type {any} */ (channels)[property] = Number(value);
+
+    const alpha = Math.round(channels.alpha * 255)
+      .toString(16)
+      .padStart(2, '0');
+    const hex = [channels.red, channels.green, channels.blue].map((channel) => channel.toString(16).padStart(2, '0'));
+
+    return new ColorDrop(`#${hex.join('')}${channels.alpha === 1 ? '' : alpha}`);
+  });
+  engine.registerFilter('color_to_rgb', (color) => {
+    const drop = toColor(color);
+    return drop.alpha === 1 ? `rgb(${drop.red}, ${drop.green}, ${drop.blue})` : String(drop);
+  });
+  engine.registerFilter('color_to_hex', (color) => toColor(color).hex);
+
+  engine.registerFilter('handleize', (value) => handleize(toValue(value)));
+  engine.registerFilter('handle', (value) => handleize(toValue(value)));
+  engine.registerFilter('camelize', (value) =>
+    String(value).replace(/[-_\s]+(.)?/g, (_, char) => (char ? char.toUpperCase() : ''))
+  );
+  engine.registerFilter('pluralize', (count, singular, plural) => (Number(count) === 1 ? singular : plural));
+  engine.registerFilter('url_escape', (value) => encodeURI(String(value ?? '')));
+  engine.registerFilter('url_param_escape', (value) => encodeURIComponent(String(value ?? '')));
+  engine.registerFilter('within', (url) => url);
+  engine.registerFilter('md5', (value) => require('crypto').createHash('md5').update(String(value)).digest('hex'));
+  engine.registerFilter('sha1', (value) => require('crypto').createHash('sha1').update(String(value)).digest('hex'));
+  engine.registerFilter('weight_with_unit', (grams) => `${(Number(grams) / 1000).toFixed(2)} kg`);
+
+  engine.registerFilter('structured_data', (resource) => {
+    if (!resource?.title) return '';
+
+    const data = { '@context': 'http://schema.org/', '@type': resource.variants ? 'Product' : 'Article', name: resource.title };
+    return JSON.stringify(data);
+  });
+  engine.registerFilter('default_pagination', (paginate) => {
+    if (!paginate?.parts?.length) return '';
+
+    return paginate.parts
+      .map((/** @type {{ is_link: boolean, url: string, title: string }} */ part) =>
+        part.is_link ? `<a href="${escapeHTML(part.url)}">${part.title}</a>` : `<span class="page current">${part.title}</span>`
+      )
+      .join(' ');
+  });
+  engine.registerFilter('format_address', (address) => {
+    if (!address) return '';
+
+    return `<p>${[address.address1, address.city, address.country].filter(Boolean).map(escapeHTML).join('<br>')}</p>`;
+  });
+  engine.registerFilter('unit_price_with_measurement', function (cents, measurement) {
+    const reference = measurement?.reference_value === 1 ? '' : measurement?.reference_value ?? '';
+    return `${money(this, cents, 'money_format')}/${reference}${measurement?.reference_unit ?? ''}`;
+  });
+
+  for (const name of ['payment_terms', 'payment_button', 'payment_type_svg_tag', 'login_button', 'avatar', 'metafield_tag']) {
+    engine.registerFilter(name, () => '');
+  }
+  engine.registerFilter('payment_type_img_url', (type) => `https://cdn.shopify.com/shopifycloud/checkout/${type}.svg`);
+  engine.registerFilter('metafield_text', (metafield) => String(toValue(metafield?.value ?? metafield ?? '')));
+}
+
+/**
+ * Gets the URL of an image-like resource.
+ * @param {any} image - An image, media, variant or product object or a URL string
+ * @returns {string | undefined}
+ */
+function imageSource(image) {
+  image = toValue(image);
+
+  if (!image) return undefined;
+  if (typeof image === 'string') return image;
+  if (image.src) return String(image.src);
+  if (image.preview_image) return imageSource(image.preview_image);
+  if (image.featured_media) return imageSource(image.featured_media);
+  if (image.featured_image) return imageSource(image.featured_image);
+  if (image.image) return imageSource(image.image);
+
+  return undefined;
+}
+
+/**
+ * Coerces a color value to a ColorDrop.
+ * @param {unknown} color
+ * @returns {ColorDrop}
+ */
+function toColor(color) {
+  return color instanceof ColorDrop ? color : new ColorDrop(String(toValue(color) ?? ''));
+}
+
+/**
+ * Renders an object as HTML attributes, skipping nullish values.
+ * @param {Record<string, unknown>} attributes
+ * @returns {string}
+ */
+function toAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value != null && value !== false)
+    .map(([name, value]) => (value === true ? name : `${name}="${escapeHTML(toValue(value))}"`))
+    .join(' ');
+}
+
+/**
+ * Returns a copy of an object without some keys.
+ * @param {Record<string, unknown>} object
+ * @param {string[]} keys
+ * @returns {Record<string, unknown>}
+ */
+function omit(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+module.exports = { registerFilters, imageSource, toAttributes };
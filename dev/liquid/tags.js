@@ -0,0 +1,446 @@
+const { Drop, Tag, Value, evalToken, toValue } = require('liquidjs');
+const { escapeHTML } = require('../utils');
+const { toAttributes } = require('./filters');
+
+/**
+ * @typedef {import('liquidjs').Liquid} Liquid
+ * @typedef {import('liquidjs').Context} Context
+ * @typedef {import('liquidjs').TagToken} TagToken
+ * @typedef {import('liquidjs').TopLevelToken} TopLevelToken
+ * @typedef {import('liquidjs').Template} Template
+ * @typedef {import('../theme').Theme} Theme
+ * @typedef {import('../theme').RenderState} RenderState
+ * @typedef {import('../theme').RenderNode} RenderNode
+ */
+
+/**
+ * The key under which the render state is stored in the Liquid globals, and the current section or
+ * block node in the Liquid scope. Symbols can't be reached from Liquid code.
+ */
+const RENDER_STATE = Symbol('renderState');
+
+/**
+ * Gets the render state of the request.
+ * @param {Context} ctx - The Liquid context
+ * @returns {RenderState}
+ */
+function getState(ctx) {
+  return /** @type {any} */ (ctx.globals)[RENDER_STATE];
+}
+
+/**
+ * Gets the section or block whose file is being rendered.
+ * @param {Context} ctx - The Liquid context
+ * @returns {RenderNode | undefined}
+ */
+function getNode(ctx) {
+  return /** @type {any} */ (ctx.environments)[RENDER_STATE];
+}
+
+/**
+ * Consumes the tokens of a block tag up to its end tag.
+ * @param {TagToken} token - The opening tag token
+ * @param {TopLevelToken[]} remainTokens - The remaining tokens
+ * @returns {TopLevelToken[]} The tokens between the opening and end tags
+ */
+function consumeUntilEnd(token, remainTokens) {
+  /** @type {TopLevelToken[]} */
+  const body = [];
+  const endName = `end${token.name}`;
+
+  while (remainTokens.length) {
+    const next = /** @type {TopLevelToken} */ (remainTokens.shift());
+    if (next.kind === 4 /* TokenKind.Tag */ && /** @type {TagToken} */ (next).name === endName) return body;
+    body.push(next);
+  }
+
+  throw new Error(`tag ${token.getText()} not closed`);
+}
+
+/**
+ * Parses Shopify style tag arguments: positional values followed by `key: value` pairs. Unlike
+ * LiquidJS hashes, keys may contain dots and dashes (`closest.product: product`, `data-type: 'x'`).
+ *
+ * @param {import('liquidjs').Tokenizer} tokenizer - The tag tokenizer, positioned at the arguments
+ * @returns {{ positional: any[], named: [string, any][] }} The unevaluated value tokens
+ */
+function parseArguments(tokenizer) {
+  const positional = [];
+  /** @type {[string, any][]} */
+  const named = [];
+
+  while (true) {
+    tokenizer.skipBlank();
+    if (tokenizer.peek() === ',') tokenizer.advance();
+    tokenizer.skipBlank();
+    if (tokenizer.end()) break;
+
+    const rest = tokenizer.input.slice(tokenizer.p, tokenizer.N);
+    const key = rest.match(/^([\w.-]+)\s*:(?!:)/);
+
+    if (key?.[1]) {
+      tokenizer.p += key[0].length;
+      named.push([key[1], tokenizer.readValue()]);
+      continue;
+    }
+
+    const value = tokenizer.readValue();
+    if (!value) break;
+    positional.push(value);
+  }
+
+  return { positional, named };
+}
+
+/**
+ * Evaluates parsed arguments.
+ * @param {{ positional: any[], named: [string, any][] }} args - The parsed arguments
+ * @param {Context} ctx - The Liquid context
+ * @returns {Generator<unknown, { positional: any[], named: Record<string, any> }, any>}
+ */
+function* evaluateArguments(args, ctx) {
+  const positional = [];
+  /** @type {Record<string, any>} */
+  const named = {};
+
+  for (const token of args.positional) positional.push(yield evalToken(token, ctx));
+  for (const [key, token] of args.named) named[key] = yield evalToken(token, ctx);
+
+  return { positional, named };
+}
+
+/**
+ * Registers the Shopify specific tags used by the theme.
+ * @param {Liquid} engine - The Liquid engine
+ * @param {Theme} theme - The theme being rendered
+ */
+function registerTags(engine, theme) {
+  /**
+   * Tags whose contents Shopify extracts at upload time. The content of `stylesheet` and
+   * `javascript` is served by the compiled assets routes instead.
+   */
+  class SilentBlockTag extends Tag {
+    /**
+     * @param {TagToken} token
+     * @param {TopLevelToken[]} remainTokens
+     * @param {Liquid} liquid
+     */
+    constructor(token, remainTokens, liquid) {
+      super(token, remainTokens, liquid);
+      consumeUntilEnd(token, remainTokens);
+    }
+
+    render() {}
+  }
+
+  for (const name of ['schema', 'doc', 'stylesheet', 'javascript']) {
+    engine.registerTag(name, SilentBlockTag);
+  }
+
+  engine.registerTag(
+    'style',
+    class extends Tag {
+      /** @type {Template[]} */
+      templates;
+
+      /**
+       * @param {TagToken} token
+       * @param {TopLevelToken[]} remainTokens
+       * @param {Liquid} liquid
+       */
+      constructor(token, remainTokens, liquid) {
+        super(token, remainTokens, liquid);
+        this.templates = liquid.parser.parseTokens(consumeUntilEnd(token, remainTokens));
+      }
+
+      /**
+       * @param {Context} ctx
+       * @param {import('liquidjs').Emitter} emitter
+       */
+      *render(ctx, emitter) {
+        emitter.write('<style data-shopify>');
+        yield this.liquid.renderer.renderTemplates(this.templates, ctx, emitter);
+        emitter.write('</style>');
+      }
+    }
+  );
+
+  engine.registerTag(
+    'layout',
+    class extends Tag {
+      /**
+       * @param {TagToken} token
+       * @param {TopLevelToken[]} remainTokens
+       * @param {Liquid} liquid
+       */
+      constructor(token, remainTokens, liquid) {
+        super(token, remainTokens, liquid);
+        this.value = this.tokenizer.readValue();
+      }
+
+      /** @param {Context} ctx */
+      *render(ctx) {
+        const value = this.value ? yield evalToken(this.value, ctx) : 'none';
+        getState(ctx).layout = value == null || value === 'none' ? false : String(value);
+      }
+    }
+  );
+
+  engine.registerTag(
+    'sections',
+    class extends Tag {
+      /**
+       * @param {TagToken} token
+       * @param {TopLevelToken[]} remainTokens
+       * @param {Liquid} liquid
+       */
+      constructor(token, remainTokens, liquid) {
+        super(token, remainTokens, liquid);
+        this.value = this.tokenizer.readValue();
+      }
+
+      /**
+       * @param {Context} ctx
+       * @param {import('liquidjs').Emitter} emitter
+       */
+      *render(ctx, emitter) {
+        const name = String(yield evalToken(this.value, ctx));
+        emitter.write(yield theme.renderSectionGroup(name, getState(ctx)));
+      }
+    }
+  );
+
+  engine.registerTag(
+    'section',
+    class extends Tag {
+      /**
+       * @param {TagToken} token
+       * @param {TopLevelToken[]} remainTokens
+       * @param {Liquid} liquid
+       */
+      constructor(token, remainTokens, liquid) {
+        super(token, remainTokens, liquid);
+        this.value = this.tokenizer.readValue();
+      }
+
+      /**
+       * @param {Context} ctx
+       * @param {import('liquidjs').Emitter} emitter
+       */
+      *render(ctx, emitter) {
+        const type = String(yield evalToken(this.value, ctx));
+        emitter.write(yield theme.renderSection(type, { type }, getState(ctx)));
+      }
+    }
+  );
+
+  engine.registerTag(
+    'content_for',
+    class extends Tag {
+      /**
+       * @param {TagToken} token
+       * @param {TopLevelToken[]} remainTokens
+       * @param {Liquid} liquid
+       */
+      constructor(token, remainTokens, liquid) {
+        super(token, remainTokens, liquid);
+        this.args = parseArguments(this.tokenizer);
+      }
+
+      /**
+       * @param {Context} ctx
+       * @param {import('liquidjs').Emitter} emitter
+       */
+      *render(ctx, emitter) {
+        const { positional, named } = yield* evaluateArguments(this.args, ctx);
+        const state = getState(ctx);
+        const node = getNode(ctx);
+        if (!node) return;
+
+        if (positional[0] === 'blocks') {
+          for (const id of node.blockOrder) {
+            const block = node.blocks[id];
+            if (!block || block.static || block.disabled) continue;
+
+            emitter.write(yield theme.renderBlock(id, block, state, node));
+          }
+        } else if (positional[0] === 'block') {
+          const { type, id, ...variables } = named;
+          const saved = node.blocks[id];
+          const block = saved?.type === type ? saved : { type, settings: {}, static: true };
+          if (block.disabled) return;
+
+          emitter.write(yield theme.renderBlock(String(id), block, state, node, variables));
+        }
+      }
+    }
+  );
+
+  engine.registerTag(
+    'form',
+    class extends Tag {
+      /** @type {Template[]} */
+      templates;
+
+      /**
+       * @param {TagToken} token
+       * @param {TopLevelToken[]} remainTokens
+       * @param {Liquid} liquid
+       */
+      constructor(token, remainTokens, liquid) {
+        super(token, remainTokens, liquid);
+        this.args = parseArguments(this.tokenizer);
+        this.templates = liquid.parser.parseTokens(consumeUntilEnd(token, remainTokens));
+      }
+
+      /**
+       * @param {Context} ctx
+       * @param {import('liquidjs').Emitter} emitter
+       */
+      *render(ctx, emitter) {
+        const { positional, named } = yield* evaluateArguments(this.args, ctx);
+        const [type, resource] = positional;
+        const { return_to: returnTo, ...attributes } = named;
+        const form = FORMS[type] ?? { action: '/' };
+        const action = typeof form.action === 'function' ? form.action(resource) : form.action;
+
+        emitter.write(
+          `<form ${toAttributes({
+            method: 'post',
+            action,
+            'accept-charset': 'UTF-8',
+            enctype: form.enctype,
+            ...attributes,
+          })}>`
+        );
+        emitter.write(`<input type="hidden" name="form_type" value="${escapeHTML(type)}">`);
+        emitter.write('<input type="hidden" name="utf8" value="✓">');
+        if (returnTo) emitter.write(`<input type="hidden" name="return_to" value="${escapeHTML(returnTo)}">`);
+
+        ctx.push({ form: { errors: null, 'posted_successfully?': false, id: attributes.id ?? '' } });
+        yield this.liquid.renderer.renderTemplates(this.templates, ctx, emitter);
+        ctx.pop();
+
+        emitter.write('</form>');
+      }
+    }
+  );
+
+  engine.registerTag(
+    'paginate',
+    class extends Tag {
+      /** @type {Template[]} */
+      templates;
+
+      /**
+       * @param {TagToken} token
+       * @param {TopLevelToken[]} remainTokens
+       * @param {Liquid} liquid
+       */
+      constructor(token, remainTokens, liquid) {
+        super(token, remainTokens, liquid);
+        const [, expression = '', pageSize = '50'] = token.args.match(/^\s*(.+?)\s+by\s+(.+?)\s*$/) ?? [];
+
+        this.path = expression.split('.');
+        this.collection = new Value(expression, liquid);
+        this.pageSize = new Value(pageSize.replace(/,.*$/, ''), liquid);
+        this.templates = liquid.parser.parseTokens(consumeUntilEnd(token, remainTokens));
+      }
+
+      /**
+       * @param {Context} ctx
+       * @param {import('liquidjs').Emitter} emitter
+       */
+      *render(ctx, emitter) {
+        const items = toValue(yield this.collection.value(ctx)) ?? [];
+        const pageSize = Math.max(1, Number(yield this.pageSize.value(ctx)) || 50);
+        const { globals, query } = getState(ctx);
+        const pages = Math.max(1, Math.ceil(items.length / pageSize));
+        const currentPage = Math.min(pages, Math.max(1, Number(query.page) || 1));
+        const offset = (currentPage - 1) * pageSize;
+
+        /**
+         * @param {number} page
+         * @returns {string}
+         */
+        const pageUrl = (page) => {
+          const url = new URL(globals.request?.path ?? '/', 'http://dev.local');
+          for (const [key, value] of Object.entries(query)) {
+            for (const item of [value].flat()) url.searchParams.append(key, String(item));
+          }
+          url.searchParams.set('page', String(page));
+          return `${url.pathname}${url.search}`;
+        };
+
+        const paginate = {
+          current_page: currentPage,
+          current_offset: offset,
+          items: items.length,
+          page_size: pageSize,
+          pages,
+          previous: currentPage > 1 ? { title: '&laquo; Previous', url: pageUrl(currentPage - 1), is_link: true } : null,
+          next: currentPage < pages ? { title: 'Next &raquo;', url: pageUrl(currentPage + 1), is_link: true } : null,
+          parts: Array.from({ length: pages }, (_, i) => ({
+            title: i + 1,
+            url: pageUrl(i + 1),
+            is_link: i + 1 !== currentPage,
+          })),
+        };
+
+        ctx.push({ paginate, ...replacePath(ctx, this.path, items.slice(offset, offset + pageSize)) });
+        yield this.liquid.renderer.renderTemplates(this.templates, ctx, emitter);
+        ctx.pop();
+      }
+    }
+  );
+}
+
+/**
+ * Builds a scope that shadows the root of a variable path, with the value at the path replaced.
+ * Used by `paginate` so that `collection.products` returns the current page inside the tag.
+ *
+ * @param {Context} ctx - The Liquid context
+ * @param {string[]} path - The variable path, e.g. `['collection', 'products']`
+ * @param {unknown} value - The replacement value
+ * @returns {Record<string, any>}
+ */
+function replacePath(ctx, path, value) {
+  const [root, ...rest] = path;
+  if (!root) return {};
+
+  /**
+   * @param {any} object
+   * @param {string[]} keys
+   * @returns {any}
+   */
+  const replace = (object, keys) => {
+    const [key, ...remaining] = keys;
+    if (!key) return value;
+
+    // Plain objects are copied since LiquidJS only reads their own properties, drops keep their getters
+    if (!(object instanceof Drop)) return { ...object, [key]: replace(object?.[key], remaining) };
+
+    const copy = Object.create(object);
+    Object.defineProperty(copy, key, { value: replace(object[key], remaining), enumerable: true });
+    return copy;
+  };
+
+  return { [root]: replace(ctx.getSync([root]), rest) };
+}
+
+/**
+ * The `form` tag types and where they post to.
+ * @type {Record<string, { action: string | ((resource: any) => string), enctype?: string }>}
+ */
+const FORMS = {
+  product: { action: '/cart/add', enctype: 'multipart/form-data' },
+  cart: { action: '/cart' },
+  contact: { action: '/contact#contact_form' },
+  customer: { action: '/contact#newsletter' },
+  localization: { action: '/localization', enctype: 'multipart/form-data' },
+  new_comment: { action: (article) => `${article?.url ?? ''}/comments` },
+  storefront_password: { action: '/password' },
+  customer_login: { action: '/account/login' },
+};
+
+module.exports = { registerTags, RENDER_STATE };
@@ -0,0 +1,152 @@
+// The dev server's live reload client, injected with `content_for_header` (see dev/live-reload.js)
+
+import { morphSection, sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * The attributes holding the open state of dialogs, drawers, popovers and disclosures, as tracked by
+ * the theme editor's state manager in `assets/theme-editor.js`.
+ */
+const TRACKED_ATTRIBUTES = ['open', 'aria-expanded'];
+
+const SECTION_ID_PREFIX = 'shopify-section-';
+
+/** @type {string | undefined} */
+let serverId;
+
+/**
+ * Stylesheet copies that haven't loaded yet, dropped when the file changes again in the meantime.
+ * @type {WeakSet<HTMLLinkElement>}
+ */
+const loadingStylesheets = new WeakSet();
+
+const events = new EventSource('/__dev/live-reload');
+
+events.addEventListener('hello', (event) => {
+  const { server } = JSON.parse(event.data);
+
+  // The server restarted, e.g. after a change to the fixtures or the dev server itself
+  if (serverId && serverId !== server) window.location.reload();
+  serverId = server;
+});
+
+events.addEventListener('message', (event) => {
+  const message = JSON.parse(event.data);
+
+  // Cached sections, kept in the session storage too, were rendered from the previous files
+  sectionRenderer.invalidate();
+
+  switch (message.type) {
+    case 'stylesheet':
+      swapStylesheet(message.url);
+      break;
+    case 'section':
+      renderSections(message.section).catch((error) => {
+        console.error(error);
+        window.location.reload();
+      });
+      break;
+    default:
+      window.location.reload();
+  }
+});
+
+/**
+ * Loads a new copy of a stylesheet and removes the old one once it has loaded, so that the page is
+ * never unstyled.
+ * @param {string} url - The path of the stylesheet, e.g. `/assets/base.css`
+ */
+function swapStylesheet(url) {
+  /** @type {NodeListOf<HTMLLinkElement>} */
+  const links = document.querySelectorAll('link[rel="stylesheet"]');
+
+  for (const link of links) {
+    const href = new URL(link.href, window.location.href);
+    if (href.origin !== window.location.origin || href.pathname !== url) continue;
+
+    if (loadingStylesheets.has(link)) {
+      link.remove();
+      continue;
+    }
+
+    const copy = /** @type {HTMLLinkElement} */ (link.cloneNode());
+    href.searchParams.set('live-reload', Date.now().toString());
+    copy.href = href.toString();
+    copy.addEventListener('load', () => {
+      loadingStylesheets.delete(copy);
+      link.remove();
+    });
+    copy.addEventListener('error', () => copy.remove());
+    loadingStylesheets.add(copy);
+    link.after(copy);
+  }
+}
+
+/**
+ * Re-renders the sections of a changed section file.
+ * @param {string} type - The section type, i.e. the file name in `sections/`
+ */
+async function renderSections(type) {
+  /** @type {NodeListOf<HTMLElement>} */
+  const sections = document.querySelectorAll(`.shopify-section[data-section-type="${CSS.escape(type)}"]`);
+
+  for (const section of sections) {
+    const sectionId = section.id.slice(SECTION_ID_PREFIX.length);
+    const html = await sectionRenderer.getSectionHTML(sectionId, false);
+
+    await morphSection(sectionId, preserveOpenState(section, html));
+  }
+}
+
+/**
+ * Carries the open state of the elements of a section over to its new markup. Without it, morphing
+ * removes the `open` attribute of dialogs and drawers, which closes them.
+ *
+ * @param {HTMLElement} section - The section element on the page
+ * @param {string} html - The section rendering response
+ * @returns {string} The response with the open state of the current elements
+ */
+function preserveOpenState(section, html) {
+  const fragment = new DOMParser().parseFromString(html, 'text/html');
+  const newSection = fragment.getElementById(section.id);
+  if (!newSection) return html;
+
+  for (const element of section.querySelectorAll('[open], [aria-expanded="true"]')) {
+    const newElement = findCounterpart(element, section, newSection);
+    if (!newElement) continue;
+
+    for (const attribute of TRACKED_ATTRIBUTES) {
+      const value = element.getAttribute(attribute);
+      if (value !== null) newElement.setAttribute(attribute, value);
+    }
+  }
+
+  return fragment.documentElement.outerHTML;
+}
+
+/**
+ * Finds the element matching an element of the current section in the new markup: by ID when it has
+ * one, otherwise by its position in the section.
+ *
+ * @param {Element} element - The element on the page
+ * @param {Element} section - The section element on the page
+ * @param {Element} newSection - The section element in the new markup
+ * @returns {Element | null}
+ */
+function findCounterpart(element, section, newSection) {
+  if (element.id) {
+    const newElement = newSection.querySelector(`#${CSS.escape(element.id)}`);
+    return newElement?.tagName === element.tagName ? newElement : null;
+  }
+
+  /** @type {number[]} */
+  const path = [];
+  for (let current = element; current !== section && current.parentElement; current = current.parentElement) {
+    path.unshift(Array.prototype.indexOf.call(current.parentElement.children, current));
+  }
+
+  /** @type {Element | undefined} */
+  let newElement = newSection;
+  for (const index of path) newElement = newElement?.children[index];
+
+  return newElement?.tagName === element.tagName ? newElement : null;
+}
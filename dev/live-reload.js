@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { THEME_DIRECTORIES } = require('./theme');
+const { extractAssetTag } = require('./utils');
+
+/**
+ * @typedef {{ type: 'stylesheet', url: string }
+ *   | { type: 'section', section: string }
+ *   | { type: 'reload', file: string }} LiveReloadMessage
+ */
+
+/**
+ * The path of the event stream the browser listens to.
+ */
+const EVENTS_PATH = '/__dev/live-reload';
+
+/**
+ * The path of the browser script, injected with `content_for_header`.
+ */
+const CLIENT_PATH = '/__dev/live-reload.js';
+
+/**
+ * Editors write a file in several steps (truncate, write, rename), each firing a watch event.
+ */
+const DEBOUNCE_DELAY = 50;
+
+/**
+ * Comments sent to idle streams, so that proxies don't close them.
+ */
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Identifies this server process, so that browsers reload when they reconnect to a restarted server.
+ */
+const SERVER_ID = Date.now().toString(36);
+
+/**
+ * Watches the theme files and tells the open pages what changed over Server-Sent Events: stylesheets
+ * are swapped, sections re-rendered in place, and anything else reloads the page.
+ *
+ * @param {{ root: string, onChange: (file: string) => void }} options - The theme root, and a
+ *   callback run before the pages are notified, e.g. to drop the cached templates
+ * @returns {import('express').Router}
+ */
+function createLiveReload({ root, onChange }) {
+  const router = express.Router();
+  /** @type {Set<import('express').Response>} */
+  const clients = new Set();
+  /** @type {Map<string, string>} */
+  const sources = new Map();
+  /** @type {Map<string, NodeJS.Timeout>} */
+  const timers = new Map();
+
+  /**
+   * @param {LiveReloadMessage} message
+   */
+  const broadcast = (message) => {
+    for (const client of clients) client.write(`data: ${JSON.stringify(message)}\n\n`);
+  };
+
+  for (const directory of ['assets', ...THEME_DIRECTORIES]) {
+    for (const file of fs.readdirSync(path.join(root, directory)).filter((name) => name.endsWith('.liquid'))) {
+      sources.set(`${directory}/${file}`, readSource(path.join(root, directory, file)) ?? '');
+    }
+
+    fs.watch(path.join(root, directory), (event, file) => {
+      // Skips the swap and backup files of editors
+      if (!file || file.startsWith('.') || file.endsWith('~')) return;
+
+      const name = `${directory}/${file}`;
+      clearTimeout(timers.get(name));
+      timers.set(
+        name,
+        setTimeout(() => {
+          timers.delete(name);
+
+          const previous = sources.get(name);
+          const current = readSource(path.join(root, name));
+          if (current === (previous ?? null)) return;
+          if (name.endsWith('.liquid')) sources.set(name, current ?? '');
+
+          onChange(name);
+          describeChange(name, previous ?? null, current).forEach(broadcast);
+        }, DEBOUNCE_DELAY)
+      );
+    });
+  }
+
+  setInterval(() => {
+    for (const client of clients) client.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL).unref();
+
+  router.get(EVENTS_PATH, (req, res) => {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    res.write(`retry: 1000\nevent: hello\ndata: ${JSON.stringify({ server: SERVER_ID })}\n\n`);
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  });
+
+  router.get(CLIENT_PATH, (req, res) => {
+    res.set('Cache-Control', 'no-cache');
+    res.sendFile(path.join(__dirname, 'live-reload-client.js'));
+  });
+
+  return router;
+}
+
+/**
+ * Works out how the pages should apply a change.
+ *
+ * - Assets: stylesheets are swapped, other assets (scripts, images) reload the page.
+ * - Sections, blocks and snippets: a change limited to the `{% stylesheet %}` tag swaps the compiled
+ *   stylesheet and a section change re-renders the section. Changes to `{% javascript %}` tags, and to
+ *   blocks and snippets, which any section can render, reload the page.
+ * - Layouts, templates, settings and locales reload the page.
+ *
+ * @param {string} name - The file path from the theme root, e.g. `sections/header.liquid`
+ * @param {string | null} previous - The source before the change, for Liquid files
+ * @param {string | null} current - The source after the change, null when the file was removed
+ * @returns {LiveReloadMessage[]}
+ */
+function describeChange(name, previous, current) {
+  const [directory, file = ''] = name.split('/');
+  const reload = [/** @type {LiveReloadMessage} */ ({ type: 'reload', file: name })];
+
+  if (directory === 'assets') {
+    return file.endsWith('.css') && current !== null ? [{ type: 'stylesheet', url: `/assets/${file}` }] : reload;
+  }
+
+  if (!['sections', 'blocks', 'snippets'].includes(directory ?? '') || previous === null || current === null) {
+    return reload;
+  }
+
+  if (extractAssetTag(previous, 'javascript') !== extractAssetTag(current, 'javascript')) return reload;
+
+  /** @type {LiveReloadMessage[]} */
+  const messages = [];
+  if (extractAssetTag(previous, 'stylesheet') !== extractAssetTag(current, 'stylesheet')) {
+    messages.push({ type: 'stylesheet', url: '/compiled_assets/styles.css' });
+  }
+
+  if (withoutStylesheet(previous) !== withoutStylesheet(current)) {
+    if (directory !== 'sections') return reload;
+
+    messages.push({ type: 'section', section: path.basename(file, '.liquid') });
+  }
+
+  return messages;
+}
+
+/**
+ * @param {string} file
+ * @returns {string | null} The file content, null when it doesn't exist
+ */
+function readSource(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} source - A Liquid source
+ * @returns {string} The source without its `{% stylesheet %}` tag content
+ */
+function withoutStylesheet(source) {
+  return source.replace(/(\{%-?\s*stylesheet\s*-?%\})[\s\S]*?(\{%-?\s*endstylesheet\s*-?%\})/, '$1$2');
+}
+
+module.exports = { createLiveReload, CLIENT_PATH };
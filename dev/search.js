@@ -0,0 +1,543 @@
+const { filterProducts, sortProducts } = require('./filters');
+const { escapeHTML } = require('./utils');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('./store').ProductDrop} ProductDrop
+ */
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {Record<string, any>} resource - The product, collection, page or article
+ * @property {Record<string, string>} fields - The searchable text by field name, e.g. `{ title, vendor }`
+ */
+
+/**
+ * @typedef {Object} Matcher
+ * @property {(fields: Record<string, string>) => number} score - Scores a document, 0 when it doesn't match
+ * @property {(text: string) => string} highlight - Wraps the matched parts of a text in `<mark>`, escaped
+ */
+
+const PREDICTIVE_TYPES = ['query', 'product', 'collection', 'page', 'article'];
+const SEARCH_TYPES = ['product', 'page', 'article'];
+
+/**
+ * The fields predictive search looks in by default, as listed for `resources[options][fields]`.
+ */
+const PREDICTIVE_FIELDS = [
+  'author',
+  'body',
+  'product_type',
+  'tag',
+  'title',
+  'variants.barcode',
+  'variants.sku',
+  'variants.title',
+  'vendor',
+];
+
+const MAX_PREDICTIVE_LIMIT = 10;
+
+const SEARCH_SORT_OPTIONS = [
+  { value: 'relevance', name: 'Relevance' },
+  { value: 'price-ascending', name: 'Price, low to high' },
+  { value: 'price-descending', name: 'Price, high to low' },
+];
+
+/**
+ * Searches the catalog the way the storefront search does, then applies the filters and the sort
+ * order to the products found. Supports `type`, `options[prefix]=last` and `id:` terms joined with
+ * `OR`, which the predictive search uses to look up recently viewed products.
+ *
+ * @param {Store} store - The fixture catalog
+ * @param {string} url - The URL of the page, including its query
+ * @param {Record<string, any>} query - The query parameters
+ * @returns {Record<string, any>} The `search` object
+ */
+function search(store, url, query) {
+  const terms = typeof query.q === 'string' ? query.q.trim() : '';
+  const types = parseTypes(query.type ?? query['resources[type]'], SEARCH_TYPES, SEARCH_TYPES);
+  const ids = idTerms(terms);
+  const matcher = createMatcher(terms, { prefix: query['options[prefix]'] === 'last' });
+
+  /** @type {ProductDrop[]} */
+  let found = [];
+  /** @type {Record<string, any>[]} */
+  let others = [];
+
+  if (ids) {
+    found = store.products.filter((product) => ids.includes(String(product.id)));
+  } else if (matcher) {
+    const documents = catalogDocuments(store, types);
+    const matches = rank(documents, matcher);
+
+    found = /** @type {ProductDrop[]} */ (matches.filter((resource) => resource.object_type === 'product'));
+    others = matches.filter((resource) => resource.object_type !== 'product');
+  }
+
+  const { products, filters } = filterProducts(found, store.filters, url);
+  const sortBy = typeof query.sort_by === 'string' ? query.sort_by : '';
+  const results = [...sortProducts(products, sortBy), ...others];
+
+  return {
+    performed: terms.length > 0,
+    terms,
+    results,
+    results_count: results.length,
+    types,
+    filters: found.length ? filters : [],
+    sort_options: SEARCH_SORT_OPTIONS,
+    sort_by: sortBy,
+    default_sort_by: 'relevance',
+  };
+}
+
+/**
+ * Builds the `predictive_search` object for the `/search/suggest` parameters: `q`, `resources[type]`,
+ * `resources[limit]`, `resources[limit_scope]`, `resources[options][unavailable_products]` and
+ * `resources[options][fields]`. The last word of the query matches as a prefix, and words of five
+ * letters or more tolerate a typo (two from nine letters).
+ *
+ * @param {Store} store - The fixture catalog
+ * @param {Record<string, any>} query - The query parameters
+ * @returns {{ performed: boolean, terms: string, types: string[], resources: Record<string, any[]> }}
+ */
+function predictiveSearch(store, query) {
+  const terms = typeof query.q === 'string' ? query.q.trim() : '';
+  const types = parseTypes(query['resources[type]'], PREDICTIVE_TYPES, PREDICTIVE_TYPES);
+  const limit = Math.min(MAX_PREDICTIVE_LIMIT, Number(query['resources[limit]']) || MAX_PREDICTIVE_LIMIT);
+  const limitEach = query['resources[limit_scope]'] === 'each';
+  const unavailable = query['resources[options][unavailable_products]'] ?? 'last';
+  const fields = parseTypes(query['resources[options][fields]'], PREDICTIVE_FIELDS, PREDICTIVE_FIELDS);
+  const matcher = createMatcher(terms, { prefix: true, fields });
+
+  /** @type {Record<string, any[]>} */
+  const resources = { queries: [], products: [], collections: [], pages: [], articles: [] };
+  if (!matcher) return { performed: false, terms, types, resources };
+
+  let remaining = limit;
+  for (const type of types) {
+    const take = limitEach ? limit : remaining;
+    if (take <= 0) break;
+
+    /** @type {Record<string, any>[]} */
+    let matches;
+    if (type === 'query') {
+      matches = suggestQueries(store, terms, matcher);
+    } else {
+      matches = rank(catalogDocuments(store, [type]), matcher);
+    }
+
+    if (type === 'product') {
+      if (unavailable === 'hide') matches = matches.filter((product) => product.available);
+      if (unavailable === 'last') matches = [...matches].sort((a, b) => Number(b.available) - Number(a.available));
+    }
+
+    const key = type === 'query' ? 'queries' : `${type}s`;
+    resources[key] = matches.slice(0, take);
+    remaining -= resources[key].length;
+  }
+
+  return { performed: true, terms, types, resources };
+}
+
+/**
+ * Serializes a `predictive_search` object as the `/search/suggest.json` response.
+ *
+ * @param {ReturnType<typeof predictiveSearch>} result - The predictive search
+ * @returns {{ resources: { results: Record<string, any[]> } }}
+ */
+function predictiveSearchJSON(result) {
+  /** @type {Record<string, any[]>} */
+  const results = {};
+
+  for (const type of result.types) {
+    const key = type === 'query' ? 'queries' : `${type}s`;
+    const resources = result.resources[key] ?? [];
+
+    switch (type) {
+      case 'product':
+        results[key] = resources.map(productJSON);
+        break;
+      case 'collection':
+        results[key] = resources.map((collection) => ({
+          body: collection.description,
+          featured_image: imageJSON(collection.featured_image),
+          handle: collection.handle,
+          id: collection.id,
+          title: collection.title,
+          url: collection.url,
+        }));
+        break;
+      case 'page':
+        results[key] = resources.map((page) => ({
+          author: '',
+          body: page.content,
+          handle: page.handle,
+          id: page.id,
+          published_at: null,
+          title: page.title,
+          url: page.url,
+        }));
+        break;
+      case 'article':
+        results[key] = resources.map((article) => ({
+          author: article.author,
+          body: article.content,
+          featured_image: imageJSON(article.image),
+          handle: article.handle,
+          id: article.id,
+          image: article.image?.src ?? null,
+          published_at: article.published_at,
+          summary_html: article.excerpt,
+          tags: article.tags,
+          title: article.title,
+          url: article.url,
+        }));
+        break;
+      default:
+        results[key] = resources;
+    }
+  }
+
+  return { resources: { results } };
+}
+
+/**
+ * @param {ProductDrop} product
+ */
+function productJSON(product) {
+  return {
+    available: product.available,
+    body: product.description,
+    compare_at_price_max: toDecimal(product.compare_at_price_max),
+    compare_at_price_min: toDecimal(product.compare_at_price_min),
+    featured_image: imageJSON(product.featured_image),
+    handle: product.handle,
+    id: product.id,
+    image: product.featured_image?.src ?? null,
+    price: toDecimal(product.price),
+    price_max: toDecimal(product.price_max),
+    price_min: toDecimal(product.price_min),
+    tags: product.tags,
+    title: product.title,
+    type: product.type,
+    url: product.url,
+    variants: product.variants.map((variant) => ({
+      available: variant.available,
+      compare_at_price: variant.compare_at_price == null ? null : toDecimal(variant.compare_at_price),
+      featured_image: imageJSON(variant.featured_image),
+      id: variant.id,
+      image: variant.featured_image?.src ?? null,
+      price: toDecimal(variant.price),
+      title: variant.title,
+      url: variant.url,
+    })),
+    vendor: product.vendor,
+  };
+}
+
+/**
+ * @param {import('./store').Image | null | undefined} image
+ */
+function imageJSON(image) {
+  return {
+    alt: image?.alt ?? null,
+    aspect_ratio: image?.aspect_ratio ?? 0,
+    height: image?.height ?? 0,
+    url: image?.src ?? null,
+    width: image?.width ?? 0,
+  };
+}
+
+/**
+ * @param {number} cents
+ * @returns {string} The amount in the currency unit, e.g. `24.00`
+ */
+function toDecimal(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+/**
+ * Suggests search queries completing the terms, from product titles, types, vendors and tags and
+ * collection titles.
+ *
+ * @param {Store} store - The fixture catalog
+ * @param {string} terms - The search terms
+ * @param {Matcher} matcher - The matcher for the terms
+ * @returns {{ text: string, styled_text: string, url: string }[]}
+ */
+function suggestQueries(store, terms, matcher) {
+  const phrases = new Set(
+    [
+      ...store.products.flatMap((product) => [product.title, product.type, product.vendor, ...product.tags]),
+      ...store.collections.map((collection) => collection.title),
+    ]
+      .filter(Boolean)
+      .map((phrase) => phrase.toLowerCase())
+  );
+
+  return rank(
+    [...phrases].map((text) => ({ resource: { text }, fields: { title: text } })),
+    matcher
+  ).map(({ text }, index) => {
+    const params = new URLSearchParams({ q: text, _pos: String(index + 1), _psq: terms, _ss: 'e', _v: '1.0' });
+
+    return { text, styled_text: matcher.highlight(text), url: `/search?${params}` };
+  });
+}
+
+/**
+ * @param {Store} store - The fixture catalog
+ * @param {string[]} types - The resource types to include
+ * @returns {SearchDocument[]}
+ */
+function catalogDocuments(store, types) {
+  /** @type {SearchDocument[]} */
+  const documents = [];
+
+  if (types.includes('product')) {
+    for (const product of store.products) {
+      documents.push({
+        resource: product,
+        fields: {
+          title: product.title,
+          product_type: product.type,
+          vendor: product.vendor,
+          tag: product.tags.join(' '),
+          body: stripTags(product.description),
+          'variants.title': product.variants.map((variant) => variant.title).join(' '),
+          'variants.sku': product.variants.map((variant) => variant.sku).join(' '),
+          'variants.barcode': product.variants.map((variant) => variant.barcode).join(' '),
+        },
+      });
+    }
+  }
+
+  if (types.includes('collection')) {
+    for (const collection of store.collections) {
+      documents.push({
+        resource: collection,
+        fields: { title: collection.title, body: stripTags(collection.description) },
+      });
+    }
+  }
+
+  if (types.includes('page')) {
+    for (const page of store.pages) {
+      documents.push({ resource: page, fields: { title: page.title, body: stripTags(page.content) } });
+    }
+  }
+
+  if (types.includes('article')) {
+    for (const article of store.blogs.flatMap((blog) => blog.articles)) {
+      documents.push({
+        resource: article,
+        fields: {
+          title: article.title,
+          author: article.author,
+          tag: article.tags.join(' '),
+          body: stripTags(article.content),
+        },
+      });
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * Keeps the documents matching the terms, best matches first.
+ * @param {SearchDocument[]} documents
+ * @param {Matcher} matcher
+ * @returns {Record<string, any>[]} The resources
+ */
+function rank(documents, matcher) {
+  return documents
+    .map((document, index) => ({ document, index, score: matcher.score(document.fields) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ document }) => document.resource);
+}
+
+/**
+ * Creates the matcher of a query. Every word of the query must match a word of the document: exactly,
+ * as a prefix for the last word when `prefix` is set, or with typos. Words found in titles count more.
+ *
+ * @param {string} terms - The search terms, alternatives may be joined with `OR`
+ * @param {{ prefix: boolean, fields?: string[] }} options - Whether the last word matches as a
+ *   prefix, and the fields to search, all of them by default
+ * @returns {Matcher | null} Null when the terms have no words
+ */
+function createMatcher(terms, { prefix, fields }) {
+  const alternatives = terms
+    .split(/\s+OR\s+/)
+    .map((alternative) => tokenize(alternative))
+    .filter((words) => words.length);
+  if (!alternatives.length) return null;
+
+  /**
+   * @param {string[]} words - The words of an alternative
+   * @param {string[]} tokens - The words of a field
+   * @returns {number[]} The quality of the best match of each word: 3 exact, 2 prefix, 1 with typos, 0 none
+   */
+  const matchWords = (words, tokens) =>
+    words.map((word, index) => {
+      const asPrefix = prefix && index === words.length - 1;
+      return Math.max(0, ...tokens.map((token) => matchWord(word, token, asPrefix)));
+    });
+
+  return {
+    score(documentFields) {
+      const entries = Object.entries(documentFields).filter(([field]) => !fields || fields.includes(field));
+      const tokenized = entries.map(([field, text]) => /** @type {const} */ ([field, tokenize(text)]));
+
+      return Math.max(
+        ...alternatives.map((words) => {
+          const best = words.map(() => 0);
+
+          for (const [field, tokens] of tokenized) {
+            const weight = field === 'title' ? 4 : 1;
+            matchWords(words, tokens).forEach((quality, index) => {
+              best[index] = Math.max(best[index] ?? 0, quality * weight);
+            });
+          }
+
+          return best.every(Boolean) ? best.reduce((sum, value) => sum + value, 0) : 0;
+        })
+      );
+    },
+
+    highlight(text) {
+      const words = alternatives.flat();
+
+      return text
+        .split(/(\s+)/)
+        .map((part) => {
+          const word = words.find((candidate) => normalize(part).startsWith(candidate));
+          if (!word) return escapeHTML(part);
+
+          return `<mark>${escapeHTML(part.slice(0, word.length))}</mark>${escapeHTML(part.slice(word.length))}`;
+        })
+        .join('');
+    },
+  };
+}
+
+/**
+ * @param {string} word - A word of the query
+ * @param {string} token - A word of the document
+ * @param {boolean} asPrefix - Whether the word may be the start of the token
+ * @returns {number} 3 for an exact match, 2 for a prefix, 1 with typos, 0 otherwise
+ */
+function matchWord(word, token, asPrefix) {
+  if (token === word) return 3;
+  if (asPrefix && token.startsWith(word)) return 2;
+
+  const typos = word.length >= 9 ? 2 : word.length >= 5 ? 1 : 0;
+  if (!typos) return 0;
+
+  if (!asPrefix) return editDistance(word, token) <= typos ? 1 : 0;
+
+  // A prefix with typos may be shorter or longer than the word, e.g. `blnket` for `blanket`
+  for (let length = word.length - typos; length <= word.length + typos; length++) {
+    if (length <= token.length && editDistance(word, token.slice(0, length)) <= typos) return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * The number of insertions, deletions, substitutions and transpositions of adjacent letters that
+ * turn one word into another.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  /** @type {number[][]} */
+  const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const row = /** @type {number[]} */ (distances[i]);
+      const previous = /** @type {number[]} */ (distances[i - 1]);
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+      row[j] = Math.min(
+        /** @type {number} */ (previous[j]) + 1,
+        /** @type {number} */ (row[j - 1]) + 1,
+        /** @type {number} */ (previous[j - 1]) + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(/** @type {number} */ (row[j]), /** @type {number} */ (distances[i - 2]?.[j - 2]) + 1);
+      }
+    }
+  }
+
+  return /** @type {number} */ (distances[a.length]?.[b.length]);
+}
+
+/**
+ * Reads the IDs of a query made of `id:` terms only, e.g. `id:1 OR id:2`.
+ * @param {string} terms
+ * @returns {string[] | null}
+ */
+function idTerms(terms) {
+  const parts = terms.split(/\s+OR\s+/).filter(Boolean);
+  if (!parts.length || !parts.every((part) => /^id:\d+$/.test(part))) return null;
+
+  return parts.map((part) => part.slice('id:'.length));
+}
+
+/**
+ * Parses a comma separated list parameter, keeping the known values.
+ * @param {unknown} value - The parameter
+ * @param {string[]} known - The accepted values
+ * @param {string[]} fallback - The values when the parameter is missing
+ * @returns {string[]}
+ */
+function parseTypes(value, known, fallback) {
+  if (typeof value !== 'string' || !value.trim()) return fallback;
+
+  return value
+    .split(',')
+    .map((type) => type.trim())
+    .filter((type) => known.includes(type));
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} The normalized words of a text
+ */
+function tokenize(text) {
+  return normalize(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Lowercases a text and removes its accents.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * @param {string} html
+ * @returns {string}
+ */
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, ' ');
+}
+
+module.exports = { search, predictiveSearch, predictiveSearchJSON };
@@ -0,0 +1,919 @@
+const { Drop } = require('liquidjs');
+const { ColorDrop, MetafieldDrop } = require('./liquid/drops');
+const { readFixtures } = require('./fixtures');
+const { handleize } = require('./utils');
+
+/**
+ * @typedef {Object} ImageFixture
+ * @property {string} src - The image URL
+ * @property {string} [alt] - The alt text
+ * @property {number} [width] - The intrinsic width
+ * @property {number} [height] - The intrinsic height
+ */
+
+/**
+ * @typedef {Object} Image
+ * @property {number} id
+ * @property {string} src
+ * @property {string} alt
+ * @property {number} width
+ * @property {number} height
+ * @property {number} aspect_ratio
+ * @property {string} media_type
+ * @property {Image} preview_image
+ * @property {number} position
+ */
+
+/**
+ * @typedef {Object} OptionValueDefinition
+ * @property {string} name - The value
+ * @property {{ color: ColorDrop | null, image: Image | null } | null} swatch - The swatch shown by swatch pickers
+ * @property {string | null} product - The handle of the product the value links to, in combined listings
+ */
+
+/**
+ * @typedef {Object} OptionDefinition
+ * @property {string} name - The option name
+ * @property {OptionValueDefinition[] | null} values - The declared values, in display order
+ */
+
+const PRODUCT_ID_OFFSET = 8000000000;
+const VARIANT_ID_OFFSET = 43000000000;
+const OPTION_VALUE_ID_OFFSET = 2000000000;
+const COLLECTION_ID_OFFSET = 400000000;
+const MEDIA_ID_OFFSET = 30000000000;
+const ARTICLE_ID_OFFSET = 550000000000;
+const BLOG_ID_OFFSET = 90000000000;
+
+/**
+ * A product variant.
+ */
+class VariantDrop extends Drop {
+  /** @type {ProductDrop} */
+  #product;
+
+  /**
+   * @param {ProductDrop} product - The product the variant belongs to
+   * @param {any} fixture - The variant fixture
+   * @param {number} index - The position of the variant in the product
+   */
+  constructor(product, fixture, index) {
+    super();
+    this.#product = product;
+
+    /** @type {string[]} */
+    const options = (fixture.options ?? ['Default Title']).map(String);
+    const inventoryManagement = fixture.inventory_management === undefined ? 'shopify' : fixture.inventory_management;
+    const inventoryQuantity = fixture.inventory_quantity ?? 10;
+    const inventoryPolicy = fixture.inventory_policy ?? 'deny';
+
+    this.id = fixture.id ?? VARIANT_ID_OFFSET + product.id * 10000 + index;
+    this.title = fixture.title ?? options.join(' / ');
+    this.options = options;
+    this.option1 = options[0] ?? null;
+    this.option2 = options[1] ?? null;
+    this.option3 = options[2] ?? null;
+    this.price = fixture.price ?? 0;
+    this.compare_at_price = fixture.compare_at_price ?? null;
+    this.sku = fixture.sku ?? '';
+    this.barcode = fixture.barcode ?? '';
+    this.weight = fixture.weight ?? 0;
+    this.requires_shipping = fixture.requires_shipping ?? true;
+    this.taxable = fixture.taxable ?? true;
+    this.inventory_management = inventoryManagement;
+    this.inventory_policy = inventoryPolicy;
+    this.inventory_quantity = inventoryQuantity;
+    this.available =
+      fixture.available ?? (!inventoryManagement || inventoryPolicy === 'continue' || inventoryQuantity > 0);
+    this.quantity_rule = {
+      min: fixture.quantity_rule?.min ?? 1,
+      max: fixture.quantity_rule?.max ?? null,
+      increment: fixture.quantity_rule?.increment ?? 1,
+    };
+    this.unit_price = fixture.unit_price ?? null;
+    this.unit_price_measurement = fixture.unit_price_measurement ?? null;
+    this.store_availabilities = [];
+    this.selling_plan_allocations = [];
+    this.metafields = createMetafields(fixture.metafields);
+    this.featured_media = fixture.image == null ? null : product.media[fixture.image] ?? null;
+  }
+
+  get product() {
+    return this.#product;
+  }
+
+  get featured_image() {
+    return this.featured_media?.preview_image ?? null;
+  }
+
+  get image() {
+    return this.featured_image;
+  }
+
+  get url() {
+    return `${this.#product.url}?variant=${this.id}`;
+  }
+
+  get name() {
+    return this.#product.has_only_default_variant ? this.#product.title : `${this.#product.title} - ${this.title}`;
+  }
+
+  get public_title() {
+    return this.#product.has_only_default_variant ? null : this.title;
+  }
+
+  get selected() {
+    return this.#product.selected_variant?.id === this.id;
+  }
+
+  get matched() {
+    return true;
+  }
+
+  get 'incoming?'() {
+    return false;
+  }
+
+  /**
+   * The variant as it appears in Shopify's JSON representations.
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      option1: this.option1,
+      option2: this.option2,
+      option3: this.option3,
+      sku: this.sku,
+      requires_shipping: this.requires_shipping,
+      taxable: this.taxable,
+      featured_image: this.featured_image,
+      available: this.available,
+      name: this.name,
+      public_title: this.public_title,
+      options: this.options,
+      price: this.price,
+      weight: this.weight,
+      compare_at_price: this.compare_at_price,
+      inventory_management: this.inventory_management,
+      barcode: this.barcode,
+      featured_media: this.featured_media,
+      requires_selling_plan: false,
+      selling_plan_allocations: [],
+      quantity_rule: this.quantity_rule,
+    };
+  }
+}
+
+/**
+ * A value of a product option, as found in `product.options_with_values[].values`.
+ * Outputs as its name.
+ */
+class ProductOptionValueDrop extends Drop {
+  /**
+   * @param {ProductDrop} product - The product
+   * @param {number} position - The 1-based option position
+   * @param {OptionValueDefinition} definition - The value
+   * @param {number} id - The option value ID
+   */
+  constructor(product, position, definition, id) {
+    super();
+    this.product = product;
+    this.position = position;
+    this.name = definition.name;
+    this.id = id;
+    this.swatch = definition.swatch;
+    this.product_url = definition.product ? `/products/${definition.product}` : null;
+  }
+
+  /**
+   * The variant that would be selected when choosing this value, keeping the other selected options.
+   * @returns {VariantDrop | null}
+   */
+  get variant() {
+    const selected = this.product.selected_or_first_available_variant?.options ?? [];
+    const wanted = [...selected];
+    wanted[this.position - 1] = this.name;
+
+    return (
+      this.product.variants.find((variant) => variant.options.every((value, index) => value === wanted[index])) ??
+      this.product.variants.find((variant) => variant.options[this.position - 1] === this.name) ??
+      null
+    );
+  }
+
+  get selected() {
+    return this.product.selected_or_first_available_variant?.options[this.position - 1] === this.name;
+  }
+
+  /**
+   * Whether a variant that is available exists with this value and the values selected for the previous options.
+   * @returns {boolean}
+   */
+  get available() {
+    const selected = this.product.selected_or_first_available_variant?.options ?? [];
+    const linked = !this.product.variants.some((variant) => variant.options[this.position - 1] === this.name);
+
+    // The availability of a value of another product of a combined listing is left to that product
+    if (linked && this.product_url) return true;
+
+    return this.product.variants.some(
+      (variant) =>
+        variant.available &&
+        variant.options[this.position - 1] === this.name &&
+        selected.slice(0, this.position - 1).every((value, index) => variant.options[index] === value)
+    );
+  }
+
+  get size() {
+    return this.name.length;
+  }
+
+  valueOf() {
+    return this.name;
+  }
+
+  toString() {
+    return this.name;
+  }
+
+  toJSON() {
+    return this.name;
+  }
+}
+
+/**
+ * A product. Instances are shared between requests, use `withSelectedVariant` to get a copy scoped
+ * to a request that selected a variant.
+ */
+class ProductDrop extends Drop {
+  /** @type {VariantDrop | null} */
+  selected_variant = null;
+
+  /**
+   * @param {any} fixture - The product fixture
+   * @param {number} index - The position of the product in the catalog
+   */
+  constructor(fixture, index) {
+    super();
+
+    this.id = fixture.id ?? PRODUCT_ID_OFFSET + index + 1;
+    this.handle = fixture.handle ?? handleize(fixture.title);
+    this.title = fixture.title;
+    this.description = fixture.description ?? '';
+    this.content = this.description;
+    this.vendor = fixture.vendor ?? '';
+    this.type = fixture.product_type ?? fixture.type ?? '';
+    this.tags = fixture.tags ?? [];
+    this.template_suffix = fixture.template_suffix ?? null;
+    this.published_at = fixture.published_at ?? '2025-01-01T00:00:00Z';
+    this.created_at = this.published_at;
+    this.metafields = createMetafields(fixture.metafields);
+    this.object_type = 'product';
+    this.requires_selling_plan = false;
+    this.selling_plan_groups = [];
+    this.gift_card = false;
+    this['gift_card?'] = false;
+    this['quantity_price_breaks_configured?'] = false;
+
+    /** @type {Image[]} */
+    this.media = (fixture.images ?? fixture.media ?? []).map((/** @type {ImageFixture} */ image, i) =>
+      createImage(image, MEDIA_ID_OFFSET + this.id * 10 + i, i + 1)
+    );
+    this.images = this.media.map((media) => media.preview_image);
+
+    /** @type {OptionDefinition[]} */
+    const optionDefinitions = (fixture.options ?? ['Title']).map((/** @type {any} */ option) =>
+      createOptionDefinition(option, this.id)
+    );
+
+    /** @type {string[]} */
+    this.options = optionDefinitions.map((option) => option.name);
+
+    /** @type {VariantDrop[]} */
+    this.variants = (fixture.variants ?? generateVariants(fixture, optionDefinitions)).map(
+      (/** @type {any} */ variant, /** @type {number} */ i) =>
+        new VariantDrop(this, { price: fixture.price, compare_at_price: fixture.compare_at_price, ...variant }, i)
+    );
+
+    /** @type {Map<string, number>} */
+    const optionValueIds = new Map();
+    optionDefinitions.forEach((option, position) => {
+      const names = [
+        ...(option.values ?? []).map((value) => value.name),
+        ...this.variants.map((variant) => variant.options[position]),
+      ];
+
+      for (const name of names) {
+        const key = `${position}:${name}`;
+        if (!optionValueIds.has(key)) {
+          optionValueIds.set(key, OPTION_VALUE_ID_OFFSET + this.id * 10000 + optionValueIds.size);
+        }
+      }
+    });
+
+    // Not private fields so that copies made by `withSelectedVariant` can read them
+    Object.defineProperty(this, 'optionValueIds', { value: optionValueIds, enumerable: false });
+    Object.defineProperty(this, 'optionDefinitions', { value: optionDefinitions, enumerable: false });
+  }
+
+  get url() {
+    return `/products/${this.handle}`;
+  }
+
+  get available() {
+    return this.variants.some((variant) => variant.available);
+  }
+
+  get variants_count() {
+    return this.variants.length;
+  }
+
+  get has_only_default_variant() {
+    return this.variants.length === 1 && this.variants[0]?.title === 'Default Title';
+  }
+
+  get first_available_variant() {
+    return this.variants.find((variant) => variant.available) ?? this.variants[0] ?? null;
+  }
+
+  get selected_or_first_available_variant() {
+    return this.selected_variant ?? this.first_available_variant;
+  }
+
+  get featured_media() {
+    return this.media[0] ?? null;
+  }
+
+  get featured_image() {
+    return this.images[0] ?? null;
+  }
+
+  get price() {
+    return this.price_min;
+  }
+
+  get price_min() {
+    return Math.min(...this.variants.map((variant) => variant.price));
+  }
+
+  get price_max() {
+    return Math.max(...this.variants.map((variant) => variant.price));
+  }
+
+  get price_varies() {
+    return this.price_min !== this.price_max;
+  }
+
+  get compare_at_price() {
+    return this.compare_at_price_min || null;
+  }
+
+  get compare_at_price_min() {
+    const prices = this.variants.map((variant) => variant.compare_at_price ?? 0).filter(Boolean);
+    return prices.length ? Math.min(...prices) : 0;
+  }
+
+  get compare_at_price_max() {
+    return Math.max(0, ...this.variants.map((variant) => variant.compare_at_price ?? 0));
+  }
+
+  get compare_at_price_varies() {
+    return this.compare_at_price_min !== this.compare_at_price_max;
+  }
+
+  get options_by_name() {
+    return Object.fromEntries(this.options_with_values.map((option) => [option.name, option]));
+  }
+
+  get options_with_values() {
+    const selected = this.selected_or_first_available_variant;
+
+    /** @type {OptionDefinition[]} */
+    const definitions = /** @type {any} */ (this).optionDefinitions;
+
+    return this.options.map((name, index) => {
+      const position = index + 1;
+      const used = new Set(this.variants.map((variant) => variant.options[index] ?? ''));
+      // Values linking to another product (combined listings) are listed even though no variant uses them here
+      const declared = definitions[index]?.values?.filter((value) => used.has(value.name) || value.product) ?? [];
+      const undeclared = [...used]
+        .filter((value) => !declared.some((definition) => definition.name === value))
+        .map((value) => ({ name: value, swatch: null, product: null }));
+      const values = [...declared, ...undeclared].map(
+        (value) => new ProductOptionValueDrop(this, position, value, this.optionValueId(index, value.name))
+      );
+
+      return {
+        name,
+        position,
+        values,
+        selected_value: selected?.options[index] ?? null,
+      };
+    });
+  }
+
+  /**
+   * Gets the ID of an option value.
+   * @param {number} index - The 0-based option index
+   * @param {string} value - The option value
+   * @returns {number}
+   */
+  optionValueId(index, value) {
+    return /** @type {Map<string, number>} */ (/** @type {any} */ (this).optionValueIds).get(`${index}:${value}`) ?? 0;
+  }
+
+  /**
+   * Finds the variant matching a set of option value IDs, as sent by the variant picker through
+   * the `option_values` query parameter.
+   * @param {number[]} optionValueIds - The option value IDs
+   * @returns {VariantDrop | undefined}
+   */
+  variantForOptionValues(optionValueIds) {
+    return this.variants.find((variant) =>
+      optionValueIds.every((id, index) => this.optionValueId(index, variant.options[index] ?? '') === id)
+    );
+  }
+
+  /**
+   * Returns a copy of the product with a selected variant.
+   * @param {VariantDrop | undefined} variant - The selected variant
+   * @returns {ProductDrop}
+   */
+  withSelectedVariant(variant) {
+    const product = Object.create(this);
+    product.selected_variant = variant ?? null;
+
+    return product;
+  }
+
+  /**
+   * The product as returned by the `/products/{handle}.js` endpoint.
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      handle: this.handle,
+      description: this.description,
+      published_at: this.published_at,
+      created_at: this.created_at,
+      vendor: this.vendor,
+      type: this.type,
+      tags: this.tags,
+      price: this.price,
+      price_min: this.price_min,
+      price_max: this.price_max,
+      available: this.available,
+      price_varies: this.price_varies,
+      compare_at_price: this.compare_at_price,
+      compare_at_price_min: this.compare_at_price_min,
+      compare_at_price_max: this.compare_at_price_max,
+      compare_at_price_varies: this.compare_at_price_varies,
+      variants: this.variants,
+      images: this.images.map((image) => image.src),
+      featured_image: this.featured_image?.src ?? null,
+      options: this.options_with_values.map(({ name, position, values }) => ({ name, position, values })),
+      url: this.url,
+      media: this.media,
+      requires_selling_plan: false,
+      selling_plan_groups: [],
+    };
+  }
+}
+
+/**
+ * Creates an image object from a fixture.
+ * @param {ImageFixture | string} fixture - The image fixture or URL
+ * @param {number} id - The media ID
+ * @param {number} position - The 1-based position in the product media
+ * @returns {Image}
+ */
+function createImage(fixture, id, position = 1) {
+  const { src, alt = '', width = 1200, height = 1500 } = typeof fixture === 'string' ? { src: fixture } : fixture;
+  /** @type {any} */
+  const image = { id, src, alt, width, height, aspect_ratio: width / height, media_type: 'image', position };
+  Object.defineProperty(image, 'preview_image', { value: image, enumerable: false });
+
+  return image;
+}
+
+const REGION_NAMES = new Intl.DisplayNames(['en'], { type: 'region' });
+const CURRENCY_NAMES = new Intl.DisplayNames(['en'], { type: 'currency' });
+
+/**
+ * Creates a currency object such as `localization.country.currency`.
+ * @param {string} isoCode - The ISO 4217 code
+ * @returns {{ iso_code: string, name: string, symbol: string }}
+ */
+function createCurrency(isoCode) {
+  const symbol =
+    new Intl.NumberFormat('en', { style: 'currency', currency: isoCode, currencyDisplay: 'narrowSymbol' })
+      .formatToParts(0)
+      .find((part) => part.type === 'currency')?.value ?? isoCode;
+
+  return { iso_code: isoCode, name: CURRENCY_NAMES.of(isoCode) ?? isoCode, symbol };
+}
+
+/**
+ * Normalizes a product option fixture, either a name or `{ name, values }`.
+ * @param {string | { name: string, values?: any[] }} fixture - The option fixture
+ * @param {number} productId - The product ID, used for swatch image IDs
+ * @returns {OptionDefinition}
+ */
+function createOptionDefinition(fixture, productId) {
+  if (typeof fixture === 'string') return { name: fixture, values: null };
+
+  const values = fixture.values?.map((value, index) => {
+    if (typeof value !== 'object') return { name: String(value), swatch: null, product: null };
+
+    const { color, image } = value.swatch ?? {};
+    const swatch = value.swatch
+      ? {
+          color: color ? new ColorDrop(color) : null,
+          image: image ? createImage(image, MEDIA_ID_OFFSET + productId * 10 + 9000 + index) : null,
+        }
+      : null;
+
+    return { name: String(value.name), swatch, product: value.product ?? null };
+  });
+
+  return { name: fixture.name, values: values ?? null };
+}
+
+/**
+ * Generates one variant per combination of option values, for products that don't list variants.
+ * @param {any} fixture - The product fixture
+ * @param {OptionDefinition[]} options - The options
+ * @returns {any[]} The variant fixtures
+ */
+function generateVariants(fixture, options) {
+  if (!options.length || options.some((option) => !option.values)) return [{}];
+
+  /** @type {string[][]} */
+  let combinations = [[]];
+  for (const option of options) {
+    combinations = combinations.flatMap((combination) =>
+      (option.values ?? []).map((value) => [...combination, value.name])
+    );
+  }
+
+  return combinations.map((values) => ({
+    options: values,
+    inventory_quantity: fixture.inventory_quantity,
+    sku: fixture.sku ? `${fixture.sku}-${values.map((value) => handleize(value)).join('-')}` : undefined,
+  }));
+}
+
+/**
+ * Creates the metafields of a resource from `{ namespace: { key: value } }`. Values are either
+ * plain, with the type inferred, or `{ type, value }`.
+ *
+ * @param {Record<string, Record<string, any>> | undefined} fixture - The metafields fixture
+ * @returns {Record<string, Record<string, MetafieldDrop>>}
+ */
+function createMetafields(fixture = {}) {
+  return Object.fromEntries(
+    Object.entries(fixture).map(([namespace, keys]) => [
+      namespace,
+      Object.fromEntries(
+        Object.entries(keys).map(([key, value]) => {
+          const typed = value && typeof value === 'object' && typeof value.type === 'string' && 'value' in value;
+          const [type, raw] = typed ? [value.type, value.value] : [metafieldType(value), value];
+
+          return [key, new MetafieldDrop(type, raw)];
+        })
+      ),
+    ])
+  );
+}
+
+/**
+ * Infers the type of an untyped metafield value.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function metafieldType(value) {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'number_integer' : 'number_decimal';
+  if (typeof value === 'string') return value.includes('\n') ? 'multi_line_text_field' : 'single_line_text_field';
+  return 'json';
+}
+
+/**
+ * The fixture catalog of the dev server.
+ */
+class Store {
+  /**
+   * @param {Record<string, any>} fixture - The validated fixture data, see `dev/fixtures/README.md`
+   */
+  constructor(fixture) {
+    this.shop = {
+      name: 'Dwell',
+      email: 'hello@example.com',
+      description: '',
+      currency: 'USD',
+      money_format: '${{amount}}',
+      money_with_currency_format: '${{amount}} USD',
+      customer_accounts_enabled: false,
+      enabled_payment_types: ['visa', 'master', 'american_express', 'paypal'],
+      policies: [],
+      shipping_policy: null,
+      features: {},
+      ...fixture.shop,
+    };
+    this.shop.url = this.shop.url ?? '';
+    this.shop.products_count = (fixture.products ?? []).length;
+
+    /** @type {ProductDrop[]} */
+    this.products = (fixture.products ?? []).map((/** @type {any} */ product, index) => new ProductDrop(product, index));
+
+    /** @type {string[]} The filters of collections that don't define theirs, and of search */
+    this.filters = fixture.filters ?? ['availability', 'price', 'vendor', 'product_type'];
+
+    /** @type {Record<string, any>[]} */
+    this.collections = (fixture.collections ?? []).map((/** @type {any} */ collection, index) =>
+      this.#createCollection(collection, index)
+    );
+
+    if (!this.collections.some((collection) => collection.handle === 'all')) {
+      this.collections.push(
+        this.#createCollection({ handle: 'all', title: 'Products', products: this.products.map((p) => p.handle) }, -1)
+      );
+    }
+
+    /** @type {Record<string, any>} */
+    this.menus = Object.fromEntries(
+      (fixture.menus ?? []).map((/** @type {any} */ menu) => [menu.handle, this.#createMenu(menu)])
+    );
+
+    /** @type {Record<string, any>[]} */
+    this.discounts = (fixture.discounts ?? []).map((/** @type {any} */ discount) => ({
+      code: String(discount.code),
+      type: discount.type ?? 'percentage',
+      value: discount.value ?? 0,
+      minimum_subtotal: discount.minimum_subtotal ?? 0,
+      title: discount.title ?? String(discount.code),
+    }));
+
+    /** @type {Record<string, any>[]} */
+    this.pages = (fixture.pages ?? []).map((/** @type {any} */ page, index) => ({
+      id: index + 1,
+      handle: page.handle ?? handleize(page.title),
+      title: page.title,
+      content: page.content ?? '',
+      template_suffix: page.template_suffix ?? null,
+      object_type: 'page',
+      url: `/pages/${page.handle ?? handleize(page.title)}`,
+      metafields: createMetafields(page.metafields),
+    }));
+
+    /** @type {Record<string, any>[]} */
+    this.blogs = (fixture.blogs ?? []).map((/** @type {any} */ blog, index) => this.#createBlog(blog, index));
+
+    const markets = fixture.markets?.length
+      ? fixture.markets
+      : [{ handle: 'us', country: 'US', currency: this.shop.currency, primary: true }];
+
+    /** @type {Record<string, any>[]} The countries of the markets, as found in `localization.available_countries` */
+    this.countries = markets.map((/** @type {any} */ market, /** @type {number} */ index) => ({
+      iso_code: market.country,
+      name: market.name ?? REGION_NAMES.of(market.country) ?? market.country,
+      currency: createCurrency(market.currency),
+      unit_system: ['US', 'LR', 'MM'].includes(market.country) ? 'imperial' : 'metric',
+      market: { id: index + 1, handle: market.handle },
+      'popular?': Boolean(market.popular ?? market.primary),
+      primary: Boolean(market.primary),
+    }));
+  }
+
+  /**
+   * @param {string} handle
+   * @returns {ProductDrop | undefined}
+   */
+  getProduct(handle) {
+    return this.products.find((product) => product.handle === handle);
+  }
+
+  /**
+   * @param {number | string} id - The variant ID
+   * @returns {VariantDrop | undefined}
+   */
+  getVariant(id) {
+    for (const product of this.products) {
+      const variant = product.variants.find((candidate) => String(candidate.id) === String(id));
+      if (variant) return variant;
+    }
+  }
+
+  /**
+   * Finds a discount code, ignoring case as Shopify does.
+   * @param {string} code
+   * @returns {Record<string, any> | undefined}
+   */
+  getDiscount(code) {
+    return this.discounts.find((discount) => discount.code.toLowerCase() === code.toLowerCase());
+  }
+
+  /**
+   * @param {string} handle
+   * @returns {Record<string, any> | undefined}
+   */
+  getCollection(handle) {
+    return this.collections.find((collection) => collection.handle === handle);
+  }
+
+  /**
+   * @param {string} handle
+   * @returns {Record<string, any> | undefined}
+   */
+  getPage(handle) {
+    return this.pages.find((page) => page.handle === handle);
+  }
+
+  /**
+   * @param {string} handle
+   * @returns {Record<string, any> | undefined}
+   */
+  getMenu(handle) {
+    return this.menus[handle];
+  }
+
+  /**
+   * @param {string} handle
+   * @returns {Record<string, any> | undefined}
+   */
+  getBlog(handle) {
+    return this.blogs.find((blog) => blog.handle === handle);
+  }
+
+  /**
+   * Finds the country of a market by its ISO code, falling back to the primary market.
+   * @param {string} [isoCode]
+   * @returns {Record<string, any>}
+   */
+  getCountry(isoCode) {
+    return (
+      this.countries.find((country) => country.iso_code === isoCode) ??
+      this.countries.find((country) => country.primary) ??
+      this.countries[0]
+    );
+  }
+
+  /**
+   * Resolves an `image_picker` setting value such as `shopify://shop_images/logo.png`.
+   * The dev server has no access to the shop's files, so these resolve to nothing.
+   * @param {string} _reference
+   * @returns {null}
+   */
+  getImage(_reference) {
+    return null;
+  }
+
+  /**
+   * @param {any} fixture
+   * @param {number} index
+   */
+  #createCollection(fixture, index) {
+    const handle = fixture.handle ?? handleize(fixture.title);
+    const products = (fixture.products ?? [])
+      .map((/** @type {string} */ productHandle) => this.getProduct(productHandle))
+      .filter(Boolean);
+    const image = fixture.image ? createImage(fixture.image, MEDIA_ID_OFFSET + index) : null;
+
+    return {
+      id: COLLECTION_ID_OFFSET + index + 1,
+      handle,
+      title: fixture.title ?? handle,
+      description: fixture.description ?? '',
+      url: `/collections/${handle}`,
+      image,
+      featured_image: image ?? products[0]?.featured_image ?? null,
+      products,
+      products_count: products.length,
+      all_products_count: products.length,
+      filters: [],
+      sort_options: SORT_OPTIONS,
+      sort_by: '',
+      default_sort_by: fixture.sort_by ?? 'manual',
+      metafields: createMetafields(fixture.metafields),
+      template_suffix: fixture.template_suffix ?? null,
+      filter_definitions: fixture.filters ?? this.filters,
+    };
+  }
+
+  /**
+   * @param {any} fixture
+   * @param {number} index
+   */
+  #createBlog(fixture, index) {
+    const handle = fixture.handle ?? handleize(fixture.title);
+    const url = `/blogs/${handle}`;
+    const articles = (fixture.articles ?? [])
+      .map((/** @type {any} */ article, /** @type {number} */ articleIndex) => {
+        const articleHandle = article.handle ?? handleize(article.title);
+        const content = article.content ?? '';
+        const excerpt = article.excerpt ?? '';
+        const publishedAt = article.published_at ?? '2025-01-01T00:00:00Z';
+        const id = ARTICLE_ID_OFFSET + index * 1000 + articleIndex + 1;
+
+        return {
+          id,
+          handle: articleHandle,
+          title: article.title,
+          author: article.author ?? this.shop.name,
+          user: { name: article.author ?? this.shop.name, first_name: article.author ?? this.shop.name, bio: '' },
+          content,
+          excerpt,
+          excerpt_or_content: excerpt || content,
+          published_at: publishedAt,
+          created_at: publishedAt,
+          updated_at: publishedAt,
+          image: article.image ? createImage(article.image, MEDIA_ID_OFFSET + id) : null,
+          tags: article.tags ?? [],
+          url: `${url}/${articleHandle}`,
+          comments: [],
+          comments_count: 0,
+          'comments_enabled?': false,
+          metafields: createMetafields(article.metafields),
+          template_suffix: article.template_suffix ?? null,
+          object_type: 'article',
+        };
+      })
+      .sort((/** @type {any} */ a, /** @type {any} */ b) => Date.parse(b.published_at) - Date.parse(a.published_at));
+    const tags = [...new Set(articles.flatMap((/** @type {any} */ article) => article.tags))].sort();
+
+    return {
+      id: BLOG_ID_OFFSET + index + 1,
+      handle,
+      title: fixture.title,
+      url,
+      articles,
+      articles_count: articles.length,
+      all_tags: tags,
+      tags,
+      'comments_enabled?': false,
+      'moderated?': false,
+      metafields: createMetafields(fixture.metafields),
+      template_suffix: fixture.template_suffix ?? null,
+    };
+  }
+
+  /**
+   * @param {any} fixture
+   */
+  #createMenu(fixture) {
+    /**
+     * @param {any} link
+     * @returns {any}
+     */
+    const createLink = (link) => {
+      const links = (link.links ?? []).map(createLink);
+
+      return {
+        title: link.title,
+        handle: handleize(link.title),
+        url: link.url,
+        type: 'http_link',
+        object: null,
+        active: false,
+        current: false,
+        child_active: false,
+        child_current: false,
+        links,
+        levels: links.length ? 1 + Math.max(...links.map((/** @type {any} */ child) => child.levels)) : 0,
+      };
+    };
+    const links = (fixture.links ?? []).map(createLink);
+
+    return {
+      handle: fixture.handle,
+      title: fixture.title ?? fixture.handle,
+      links,
+      levels: links.length ? 1 + Math.max(...links.map((/** @type {any} */ link) => link.levels)) : 0,
+    };
+  }
+}
+
+const SORT_OPTIONS = [
+  { value: 'manual', name: 'Featured' },
+  { value: 'best-selling', name: 'Best selling' },
+  { value: 'title-ascending', name: 'Alphabetically, A-Z' },
+  { value: 'title-descending', name: 'Alphabetically, Z-A' },
+  { value: 'price-ascending', name: 'Price, low to high' },
+  { value: 'price-descending', name: 'Price, high to low' },
+  { value: 'created-ascending', name: 'Date, old to new' },
+  { value: 'created-descending', name: 'Date, new to old' },
+];
+
+/**
+ * Loads a fixture set, see `dev/fixtures/README.md`.
+ * @param {string} [name] - The set name or the path of a fixture file, defaults to the sample store
+ * @returns {Store}
+ * @throws {import('./fixtures').FixtureError} When the fixtures are invalid
+ */
+function loadStore(name = 'default') {
+  return new Store(readFixtures(name).data);
+}
+
+module.exports = { Store, ProductDrop, VariantDrop, loadStore, createImage };
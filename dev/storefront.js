@@ -0,0 +1,478 @@
+const fs = require('fs');
+const path = require('path');
+const querystring = require('querystring');
+const express = require('express');
+const { Theme } = require('./theme');
+const { TemplateDrop } = require('./liquid/drops');
+const { cartSession, createCartApi } = require('./cart');
+const { createLiveReload, CLIENT_PATH } = require('./live-reload');
+const { filterProducts, sortProducts } = require('./filters');
+const { search, predictiveSearch, predictiveSearchJSON } = require('./search');
+const { extractAssetTag, parseBody, parseCookies } = require('./utils');
+
+/**
+ * @typedef {import('./store').Store} Store
+ * @typedef {import('./theme').RenderState} RenderState
+ */
+
+/**
+ * @typedef {Object} PageRoute
+ * @property {string} template - The template type, e.g. `product`
+ * @property {string | null} [suffix] - The alternate template suffix, e.g. `contact` for `page.contact`
+ * @property {Record<string, any>} [resources] - The page objects, e.g. `{ product }`
+ * @property {string} [title] - The page title
+ * @property {number} [status] - The HTTP status
+ */
+
+const ROUTES = {
+  root_url: '/',
+  account_url: '/account',
+  account_login_url: '/account/login',
+  account_logout_url: '/account/logout',
+  account_register_url: '/account/register',
+  account_addresses_url: '/account/addresses',
+  storefront_login_url: '/account/login',
+  collections_url: '/collections',
+  all_products_collection_url: '/collections/all',
+  search_url: '/search',
+  predictive_search_url: '/search/suggest',
+  cart_url: '/cart',
+  cart_add_url: '/cart/add',
+  cart_change_url: '/cart/change',
+  cart_clear_url: '/cart/clear',
+  cart_update_url: '/cart/update',
+  product_recommendations_url: '/recommendations/products',
+};
+
+const SHOPIFY_DIRECTORIES = ['sections', 'blocks', 'snippets'];
+
+const LOCALIZATION_COOKIE = 'localization';
+
+/**
+ * Creates the router that renders storefront pages from the theme files and the fixture catalog.
+ *
+ * @param {{ root: string, store: Store }} options - The theme root and the fixture catalog
+ * @returns {import('express').Router}
+ */
+function createStorefront({ root, store }) {
+  const theme = new Theme(root);
+  const router = express.Router();
+
+  router.use(createLiveReload({ root, onChange: () => theme.invalidate() }));
+  router.use(cartSession(store));
+
+  // The cart takes the currency of the visitor's market
+  router.use((req, res, next) => {
+    res.locals.cart.currency = store.getCountry(parseCookies(req)[LOCALIZATION_COOKIE]).currency;
+    next();
+  });
+
+  router.post(
+    '/localization',
+    express.urlencoded({ extended: true }),
+    express.raw({ type: 'multipart/form-data', limit: '1mb' }),
+    parseBody,
+    (req, res) => {
+      const country = store.getCountry(req.body.country_code);
+      const { return_to: returnTo } = req.body;
+      const location = typeof returnTo === 'string' && /^\/(?!\/)/.test(returnTo) ? returnTo : '/';
+
+      res.append('Set-Cookie', `${LOCALIZATION_COOKIE}=${country.iso_code}; Path=/; SameSite=Lax`);
+      res.redirect(303, location);
+    }
+  );
+
+  // Contact and newsletter forms are only validated, the shop would email them to the staff or add a subscriber
+  router.post(
+    '/contact',
+    express.urlencoded({ extended: true }),
+    express.raw({ type: 'multipart/form-data', limit: '1mb' }),
+    parseBody,
+    (req, res) => {
+      const formType = req.body.form_type === 'customer' ? 'customer' : 'contact';
+      const contact = req.body.contact ?? {};
+      const email = typeof contact.email === 'string' ? contact.email.trim() : '';
+
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        res.status(422).type('text').send('Email is invalid');
+        return;
+      }
+
+      // The shop goes back to the page of the form
+      const { return_to: returnTo } = req.body;
+      const referer = new URL(req.get('referer') ?? '/', 'http://localhost').pathname;
+      const location = new URL(
+        typeof returnTo === 'string' && /^\/(?!\/)/.test(returnTo) ? returnTo : referer,
+        'http://localhost'
+      );
+      const anchor = formType === 'customer' ? 'newsletter' : 'contact_form';
+      location.searchParams.set(`${formType}_posted`, 'true');
+
+      res.redirect(303, `${location.pathname}${location.search}#${anchor}`);
+    }
+  );
+
+  router.use(
+    createCartApi({
+      renderSections: (req, cart, sectionIds, pathname) => {
+        const url = new URL(pathname, 'http://localhost');
+        const query = querystring.parse(url.search.slice(1));
+        const route = resolveRoute(store, url.pathname, query) ?? notFound();
+        const state = createRenderState(req, { store, theme, route, cart, pathname: url.pathname, query });
+
+        return renderSections(theme, sectionIds, templateName(root, route.template, route.suffix), state);
+      },
+    })
+  );
+
+  router.get('/compiled_assets/styles.css', (req, res) => {
+    res.type('css').send(compileAssets(root, 'stylesheet'));
+  });
+
+  router.get('/compiled_assets/scripts.js', (req, res) => {
+    res.type('js').send(compileAssets(root, 'javascript'));
+  });
+
+  // Predictive search answers JSON unless sections are requested
+  router.get(/^\/search\/suggest(\.json)?$/, (req, res, next) => {
+    const query = /** @type {Record<string, any>} */ (req.query);
+    if (!req.path.endsWith('.json') && (query.section_id || query.sections)) return next();
+
+    if (typeof query.q !== 'string' || !query.q.trim()) {
+      res.status(422).json({ status: 422, message: 'Invalid parameter error', description: 'q is required' });
+      return;
+    }
+
+    res.json(predictiveSearchJSON(predictiveSearch(store, query)));
+  });
+
+  router.get(/.*/, async (req, res, next) => {
+    const route = resolveRoute(store, req.path, /** @type {Record<string, any>} */ (req.query));
+    if (!route) return next();
+
+    const state = createRenderState(req, { store, theme, route, cart: res.locals.cart });
+    const view = typeof req.query.view === 'string' ? req.query.view : route.suffix;
+    const template = templateName(root, route.template, view);
+    const { section_id: sectionId, sections } = req.query;
+
+    try {
+      if (typeof sections === 'string') {
+        res.json(await renderSections(theme, sections.split(','), template, state));
+      } else if (typeof sectionId === 'string') {
+        const html = await theme.renderSectionById(sectionId, template, state);
+
+        if (html == null) {
+          res.status(404).type('text').send(`Section ${sectionId} not found`);
+        } else {
+          res.status(route.status ?? 200).type('html').send(html);
+        }
+      } else {
+        res.status(route.status ?? 200).type('html').send(await theme.renderPage(template, state));
+      }
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Renders several sections of a page, as the `sections` parameter of the Section Rendering API does.
+ *
+ * @param {Theme} theme - The theme
+ * @param {string[]} sectionIds - The section IDs
+ * @param {string} template - The template of the page
+ * @param {RenderState} state - The render state for the request
+ * @returns {Promise<Record<string, string | null>>} The HTML by section ID, null for unknown sections
+ */
+async function renderSections(theme, sectionIds, template, state) {
+  /** @type {Record<string, string | null>} */
+  const result = {};
+
+  for (const sectionId of sectionIds.map((id) => id.trim()).filter(Boolean)) {
+    result[sectionId] = await theme.renderSectionById(sectionId, template, state);
+  }
+
+  return result;
+}
+
+/**
+ * Maps a storefront path to the template that renders it.
+ *
+ * @param {Store} store - The fixture catalog
+ * @param {string} pathname - The request path
+ * @param {Record<string, any>} query - The query parameters
+ * @returns {PageRoute | null} The route, or null for paths that aren't storefront pages
+ */
+function resolveRoute(store, pathname, query) {
+  const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const [first, second, third, fourth] = segments;
+
+  // Leave files such as `/favicon.ico` to the static middleware
+  if (segments.some((segment) => segment.includes('.'))) return null;
+
+  if (!first) return { template: 'index', title: store.shop.name };
+
+  switch (first) {
+    case 'products': {
+      const product = second ? store.getProduct(second) : undefined;
+      return product ? productRoute(product, query) : notFound();
+    }
+    case 'collections': {
+      if (!second) return { template: 'list-collections', title: 'Collections' };
+
+      const collection = store.getCollection(second);
+      if (!collection) return notFound();
+
+      if (third === 'products' && fourth) {
+        const product = store.getProduct(fourth);
+        return product ? productRoute(product, query, collection) : notFound();
+      }
+
+      return {
+        template: 'collection',
+        suffix: collection.template_suffix,
+        resources: { collection: filterCollection(collection, pathname, query) },
+        title: collection.title,
+      };
+    }
+    case 'blogs': {
+      const blog = second ? store.getBlog(second) : undefined;
+      if (!blog) return notFound();
+      if (!third) return { template: 'blog', suffix: blog.template_suffix, resources: { blog }, title: blog.title };
+
+      const article = blog.articles.find((/** @type {any} */ candidate) => candidate.handle === third);
+      return article
+        ? { template: 'article', suffix: article.template_suffix, resources: { blog, article }, title: article.title }
+        : notFound();
+    }
+    case 'pages': {
+      const page = second ? store.getPage(second) : undefined;
+      return page ? { template: 'page', suffix: page.template_suffix, resources: { page }, title: page.title } : notFound();
+    }
+    case 'cart':
+      return second ? null : { template: 'cart', title: 'Your cart' };
+    case 'search': {
+      if (second === 'suggest') {
+        const predictive = predictiveSearch(store, query);
+        return { template: 'search', resources: { predictive_search: predictive }, title: 'Search' };
+      }
+      if (second) return null;
+
+      const results = search(store, pageURL(pathname, query), query);
+      return { template: 'search', resources: { search: results }, title: 'Search' };
+    }
+    case 'password':
+      return { template: 'password', title: store.shop.name };
+    default:
+      return notFound();
+  }
+}
+
+/**
+ * Applies the filters and the sort order of a collection page.
+ *
+ * @param {Record<string, any>} collection - The collection
+ * @param {string} pathname - The request path
+ * @param {Record<string, any>} query - The query parameters
+ * @returns {Record<string, any>} A copy of the collection with the filtered products
+ */
+function filterCollection(collection, pathname, query) {
+  const url = pageURL(pathname, query);
+  const { products, filters } = filterProducts(collection.products, collection.filter_definitions, url);
+  const sortBy = typeof query.sort_by === 'string' ? query.sort_by : '';
+
+  return {
+    ...collection,
+    products: sortProducts(products, sortBy || collection.default_sort_by),
+    products_count: products.length,
+    filters,
+    sort_by: sortBy,
+  };
+}
+
+/**
+ * @param {string} pathname
+ * @param {Record<string, any>} query
+ * @returns {string}
+ */
+function pageURL(pathname, query) {
+  const search = querystring.stringify(query);
+  return search ? `${pathname}?${search}` : pathname;
+}
+
+/**
+ * @param {import('./store').ProductDrop} product - The product
+ * @param {Record<string, any>} query - The query parameters
+ * @param {Record<string, any>} [collection] - The collection the product is viewed in
+ * @returns {PageRoute}
+ */
+function productRoute(product, query, collection) {
+  const optionValues = typeof query.option_values === 'string' ? query.option_values.split(',').map(Number) : null;
+  const variant = optionValues
+    ? product.variantForOptionValues(optionValues)
+    : product.variants.find((candidate) => String(candidate.id) === String(query.variant));
+
+  return {
+    template: 'product',
+    suffix: product.template_suffix,
+    resources: { product: product.withSelectedVariant(variant), ...(collection && { collection }) },
+    title: product.title,
+  };
+}
+
+/**
+ * @returns {PageRoute}
+ */
+function notFound() {
+  return { template: '404', title: 'Page not found', status: 404 };
+}
+
+/**
+ * Finds the template file name, falling back to the default template when the alternate one doesn't exist.
+ *
+ * @param {string} root - The theme root
+ * @param {string} template - The template type
+ * @param {string | null | undefined} suffix - The alternate template suffix
+ * @returns {string}
+ */
+function templateName(root, template, suffix) {
+  if (!suffix) return template;
+
+  const name = `${template}.${suffix}`;
+  const exists = ['json', 'liquid'].some((extension) =>
+    fs.existsSync(path.join(root, 'templates', `${name}.${extension}`))
+  );
+
+  return exists ? name : template;
+}
+
+/**
+ * Builds the render state of a request, with the global Liquid objects.
+ *
+ * @param {import('express').Request} req - The request
+ * @param {Object} options
+ * @param {Store} options.store - The fixture catalog
+ * @param {Theme} options.theme - The theme
+ * @param {PageRoute} options.route - The resolved route
+ * @param {import('./cart').Cart} options.cart - The visitor's cart
+ * @param {string} [options.pathname] - The path of the page, when rendering for another URL than the request's
+ * @param {Record<string, any>} [options.query] - The query parameters of that page
+ * @returns {RenderState}
+ */
+function createRenderState(req, { store, theme, route, cart, pathname = req.path, query = req.query }) {
+  const settings = theme.getSettings(store);
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const country = store.getCountry(parseCookies(req)[LOCALIZATION_COOKIE]);
+  const language = { iso_code: 'en', name: 'English', endonym_name: 'English', primary: true, root_url: '/' };
+
+  /** @type {Record<string, any>} */
+  const globals = {
+    settings,
+    shop: store.shop,
+    routes: ROUTES,
+    request: {
+      design_mode: false,
+      visual_preview_mode: false,
+      host: req.get('host'),
+      origin,
+      path: pathname,
+      page_type: route.template,
+      locale: language,
+    },
+    localization: {
+      country,
+      language,
+      market: country.market,
+      available_countries: store.countries,
+      popular_countries: store.countries.filter((candidate) => candidate['popular?']),
+      available_languages: [language],
+      available_currencies: [
+        ...new Map(store.countries.map((candidate) => [candidate.currency.iso_code, candidate.currency])).values(),
+      ],
+    },
+    template: new TemplateDrop(route.template, route.suffix),
+    cart,
+    customer: null,
+    collections: indexByHandle(store.collections),
+    all_products: indexByHandle(store.products),
+    pages: indexByHandle(store.pages),
+    linklists: store.menus,
+    page_title: route.title ?? store.shop.name,
+    page_description: store.shop.description,
+    canonical_url: `${origin}${pathname}`,
+    content_for_header: contentForHeader(store, country),
+    content_for_index: '',
+    current_page: Number(query.page) || 1,
+    ...route.resources,
+  };
+
+  return { store, layout: 'theme', globals, query };
+}
+
+/**
+ * Indexes resources by handle, as the `collections`, `all_products` and `pages` objects are.
+ * @template {{ handle: string }} T
+ * @param {T[]} resources
+ * @returns {Record<string, T>}
+ */
+function indexByHandle(resources) {
+  return Object.fromEntries(resources.map((resource) => [resource.handle, resource]));
+}
+
+/**
+ * The markup Shopify injects with `content_for_header`: the compiled section and block assets, a
+ * minimal `window.Shopify` object, and the dev server's live reload script.
+ *
+ * @param {Store} store - The fixture catalog
+ * @param {Record<string, any>} country - The visitor's country
+ * @returns {string}
+ */
+function contentForHeader(store, country) {
+  const shopify = {
+    shop: store.shop.url || 'dev.myshopify.com',
+    locale: 'en',
+    currency: { active: country.currency.iso_code, rate: '1.0' },
+    country: country.iso_code,
+    designMode: false,
+    routes: { root: '/' },
+  };
+
+  return [
+    '<link rel="stylesheet" href="/compiled_assets/styles.css">',
+    `<script>window.Shopify = ${JSON.stringify(shopify)};`,
+    'Shopify.loadFeatures = function (features, callback) { if (callback) callback(new Error("Unavailable in the dev server")); };</script>',
+    '<script src="/compiled_assets/scripts.js" defer></script>',
+    `<script type="module" src="${CLIENT_PATH}"></script>`,
+  ].join('\n');
+}
+
+/**
+ * Concatenates the `{% stylesheet %}` or `{% javascript %}` tags of the sections, blocks and snippets.
+ *
+ * @param {string} root - The theme root
+ * @param {'stylesheet' | 'javascript'} tag - The tag to extract
+ * @returns {string}
+ */
+function compileAssets(root, tag) {
+  let output = '';
+
+  for (const directory of SHOPIFY_DIRECTORIES) {
+    const files = fs.readdirSync(path.join(root, directory)).filter((file) => file.endsWith('.liquid')).sort();
+
+    for (const file of files) {
+      const content = extractAssetTag(fs.readFileSync(path.join(root, directory, file), 'utf8'), tag);
+      if (!content) continue;
+
+      output +=
+        tag === 'javascript'
+          ? `/* ${directory}/${file} */\n(function () {\n${content}\n})();\n\n`
+          : `/* ${directory}/${file} */\n${content}\n\n`;
+    }
+  }
+
+  return output;
+}
+
+module.exports = { createStorefront, renderSections, ROUTES };
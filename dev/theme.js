@@ -0,0 +1,679 @@
+const fs = require('fs');
+const path = require('path');
+const { Liquid } = require('liquidjs');
+const { registerFilters } = require('./liquid/filters');
+const { registerTags, RENDER_STATE } = require('./liquid/tags');
+const { ColorDrop, ColorSchemeDrop, FontDrop } = require('./liquid/drops');
+const { readJSON, escapeHTML } = require('./utils');
+
+/**
+ * @typedef {import('./store').Store} Store
+ */
+
+/**
+ * @typedef {Object} BlockData
+ * @property {string} type - The block type, i.e. the file name in `blocks/`
+ * @property {Record<string, any>} [settings] - The saved settings
+ * @property {Record<string, BlockData>} [blocks] - The nested blocks
+ * @property {string[]} [block_order] - The order of the nested blocks
+ * @property {boolean} [static] - Whether the block is rendered with `content_for 'block'`
+ * @property {boolean} [disabled] - Whether the block is hidden
+ */
+
+/**
+ * @typedef {Object} SectionData
+ * @property {string} type - The section type, i.e. the file name in `sections/`
+ * @property {Record<string, any>} [settings] - The saved settings
+ * @property {Record<string, BlockData>} [blocks] - The blocks
+ * @property {string[]} [block_order] - The order of the blocks
+ * @property {boolean} [disabled] - Whether the section is hidden
+ */
+
+/**
+ * @typedef {Object} RenderNode
+ * @property {string} id - The section or block ID
+ * @property {Record<string, BlockData>} blocks - The child blocks
+ * @property {string[]} blockOrder - The order of the child blocks
+ * @property {Record<string, any>} closest - The `closest` resources available to children
+ * @property {Record<string, any>} section - The section drop
+ */
+
+/**
+ * @typedef {Object} RenderState
+ * @property {Store} store - The fixture catalog
+ * @property {string | false} layout - The layout selected by the template
+ * @property {Record<string, any>} globals - The global Liquid objects for the request
+ * @property {Record<string, any>} query - The query parameters of the request
+ */
+
+/**
+ * The ID used in place of the theme ID when building section IDs, e.g. `template--dev__main`.
+ */
+const THEME_ID = 'dev';
+
+/**
+ * Matches a setting value that is a single dynamic source, e.g. `{{ closest.product }}`.
+ */
+const DYNAMIC_SOURCE = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+/**
+ * The directories holding the files the storefront renders.
+ */
+const THEME_DIRECTORIES = ['layout', 'sections', 'blocks', 'snippets', 'templates', 'config', 'locales'];
+
+/**
+ * Tags whose content is raw text that Shopify extracts at upload time, rather than Liquid.
+ */
+const RAW_TAGS = /(\{%-?\s*(schema|doc|stylesheet|javascript)\s*-?%\})[\s\S]*?(\{%-?\s*end\2\s*-?%\})/g;
+
+/**
+ * Matches an `assign` without a value on a line of a `{% liquid %}` tag, which Shopify treats as
+ * assigning nil and LiquidJS rejects.
+ */
+const EMPTY_ASSIGN = /^(\s*assign\s+[\w-]+\s*=)[ \t]*$/gm;
+
+/**
+ * The file system the Liquid engine reads templates with. Empties the raw tags so that their
+ * content (e.g. `visible_if` conditions in schemas) isn't tokenized as Liquid.
+ * @type {import('liquidjs').FS}
+ */
+const themeFS = {
+  exists: async (file) => fs.existsSync(file),
+  existsSync: (file) => fs.existsSync(file),
+  readFile: async (file) => themeFS.readFileSync(file),
+  readFileSync: (file) => fs.readFileSync(file, 'utf8').replace(RAW_TAGS, '$1$3').replace(EMPTY_ASSIGN, '$1 nil'),
+  resolve: (root, file, extension) => path.resolve(root, path.extname(file) ? file : file + extension),
+  dirname: (file) => path.dirname(file),
+  sep: path.sep,
+};
+
+/**
+ * Renders the theme's Liquid files the way the Shopify storefront does.
+ */
+class Theme {
+  /**
+   * @param {string} root - The theme root directory
+   */
+  constructor(root) {
+    this.root = root;
+
+    /**
+     * Parsed templates, cleared by `invalidate` when a file changes.
+     * @type {Map<string, any>}
+     */
+    this.templates = new Map();
+    this.engine = new Liquid({
+      root: [root],
+      partials: [path.join(root, 'snippets')],
+      layouts: [path.join(root, 'layout')],
+      extname: '.liquid',
+      cache: {
+        read: (key) => this.templates.get(key),
+        write: (key, value) => void this.templates.set(key, value),
+        remove: (key) => void this.templates.delete(key),
+      },
+      jsTruthy: false,
+      lenientIf: true,
+      dynamicPartials: true,
+      fs: themeFS,
+    });
+
+    registerFilters(this.engine, this);
+    registerTags(this.engine, this);
+
+    /** @type {Map<string, any>} */
+    this.schemas = new Map();
+    /** @type {Map<string, Record<string, any>>} */
+    this.locales = new Map();
+  }
+
+  /**
+   * Drops the cached templates, schemas and translations after a theme file changed.
+   */
+  invalidate() {
+    this.templates.clear();
+    this.schemas.clear();
+    this.locales.clear();
+  }
+
+  /**
+   * The global settings schema from `config/settings_schema.json`.
+   * @returns {any[]}
+   */
+  get settingsSchema() {
+    return readJSON(path.join(this.root, 'config', 'settings_schema.json'));
+  }
+
+  /**
+   * Resolves the global theme settings, `settings` in Liquid.
+   * @param {Store} store - The fixture catalog
+   * @returns {Record<string, any>}
+   */
+  getSettings(store) {
+    const data = readJSON(path.join(this.root, 'config', 'settings_data.json'));
+    const current = typeof data.current === 'string' ? data.presets?.[data.current] ?? {} : data.current ?? {};
+    const definitions = this.settingsSchema.flatMap((group) => group.settings ?? []);
+    const settings = this.resolveSettings(definitions, current, store);
+
+    for (const [id, value] of Object.entries(current)) {
+      if (!(id in settings)) settings[id] = value;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Resolves setting values to the objects Liquid sees, e.g. a collection handle to a collection.
+   *
+   * @param {any[]} definitions - The setting definitions from a schema
+   * @param {Record<string, any>} values - The saved values
+   * @param {Store} store - The fixture catalog
+   * @param {Record<string, any>} [colorSchemes] - The resolved color schemes, for `color_scheme` settings
+   * @returns {Record<string, any>}
+   */
+  resolveSettings(definitions, values, store, colorSchemes) {
+    /** @type {Record<string, any>} */
+    const settings = {};
+    const schemes = colorSchemes ?? this.#colorSchemes(values);
+
+    for (const definition of definitions) {
+      if (!definition.id) continue;
+
+      const value = values[definition.id] !== undefined ? values[definition.id] : definition.default;
+      settings[definition.id] = this.#resolveSetting(definition.type, value, store, schemes);
+    }
+
+    return settings;
+  }
+
+  /**
+   * @param {string} type - The setting type
+   * @param {any} value - The saved or default value
+   * @param {Store} store - The fixture catalog
+   * @param {Record<string, any>} colorSchemes - The resolved color schemes
+   * @returns {any}
+   */
+  #resolveSetting(type, value, store, colorSchemes) {
+    if (typeof value === 'string' && value.startsWith('t:')) {
+      value = this.translate(value.slice(2), {}, 'en', true);
+    }
+
+    // Dynamic sources are resolved once the `closest` resources are known
+    if (typeof value === 'string' && DYNAMIC_SOURCE.test(value)) return value;
+
+    switch (type) {
+      case 'checkbox':
+        return Boolean(value);
+      case 'range':
+      case 'number':
+        return value === '' || value == null ? null : Number(value);
+      case 'color':
+        return value ? new ColorDrop(value) : '';
+      case 'color_scheme':
+        return colorSchemes[value] ?? Object.values(colorSchemes)[0] ?? value;
+      case 'color_scheme_group':
+        return colorSchemes;
+      case 'font_picker':
+        return value ? new FontDrop(value) : null;
+      case 'collection':
+        return value ? store.getCollection(value) ?? null : null;
+      case 'collection_list':
+        return (value ?? []).map((/** @type {string} */ handle) => store.getCollection(handle)).filter(Boolean);
+      case 'product':
+        return value ? store.getProduct(value) ?? null : null;
+      case 'product_list':
+        return (value ?? []).map((/** @type {string} */ handle) => store.getProduct(handle)).filter(Boolean);
+      case 'page':
+        return value ? store.getPage(value) ?? null : null;
+      case 'link_list':
+        return value ? store.getMenu(value) ?? null : null;
+      case 'image_picker':
+        return value ? store.getImage(value) : null;
+      case 'url':
+        return resolveUrl(value);
+      default:
+        return value ?? null;
+    }
+  }
+
+  /**
+   * Builds the color scheme drops, which are stored in the global settings.
+   * @param {Record<string, any>} values - The saved global settings
+   * @returns {Record<string, any>} The schemes as an array that can also be indexed by scheme ID
+   */
+  #colorSchemes(values) {
+    const schemes = /** @type {any} */ (
+      Object.entries(values.color_schemes ?? {}).map(
+        ([id, scheme]) => new ColorSchemeDrop(id, /** @type {any} */ (scheme).settings ?? {})
+      )
+    );
+
+    for (const scheme of schemes) schemes[scheme.id] = scheme;
+
+    return schemes;
+  }
+
+  /**
+   * Reads the schema of a section or block file.
+   * @param {string} file - The absolute path of the Liquid file
+   * @returns {any} The parsed schema, or an empty object
+   */
+  getSchema(file) {
+    const { mtimeMs } = fs.statSync(file);
+    const cached = this.schemas.get(file);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.schema;
+
+    const match = fs.readFileSync(file, 'utf8').match(/\{%-?\s*schema\s*-?%\}([\s\S]*?)\{%-?\s*endschema\s*-?%\}/);
+    let schema = {};
+
+    try {
+      schema = match?.[1] ? JSON.parse(match[1]) : {};
+    } catch (error) {
+      console.warn(`Invalid schema in ${path.relative(this.root, file)}: ${/** @type {Error} */ (error).message}`);
+    }
+
+    this.schemas.set(file, { mtimeMs, schema });
+    return schema;
+  }
+
+  /**
+   * Translates a key from the storefront (or schema) locale files.
+   *
+   * @param {string} key - The translation key, e.g. `actions.add_to_cart`
+   * @param {Record<string, any>} [variables] - Interpolated variables, `count` selects the plural form
+   * @param {string} [locale] - The locale ISO code
+   * @param {boolean} [schema] - Whether to read the `.schema.json` locale files
+   * @returns {string}
+   */
+  translate(key, variables = {}, locale = 'en', schema = false) {
+    let value = lookup(this.#locale(locale, schema), key) ?? lookup(this.#locale('en', schema), key);
+
+    if (value && typeof value === 'object' && 'count' in variables) {
+      const count = Number(variables.count);
+      value = (count === 0 && value.zero) || (count === 1 ? value.one : value.other) || value.other;
+    }
+
+    if (typeof value !== 'string') return `Translation missing: ${locale}.${key}`;
+
+    return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+      const replacement = variables[name];
+      return replacement == null ? '' : key.endsWith('_html') ? String(replacement) : escapeHTML(replacement);
+    });
+  }
+
+  /**
+   * @param {string} locale - The locale ISO code
+   * @param {boolean} schema - Whether to read the schema locale file
+   * @returns {Record<string, any>}
+   */
+  #locale(locale, schema) {
+    const suffix = schema ? '.schema.json' : '.json';
+    const cacheKey = `${locale}${suffix}`;
+    const cached = this.locales.get(cacheKey);
+    if (cached) return cached;
+
+    const directory = path.join(this.root, 'locales');
+    const file = [`${locale}${suffix}`, `${locale}.default${suffix}`]
+      .map((name) => path.join(directory, name))
+      .find((candidate) => fs.existsSync(candidate));
+    const translations = file ? readJSON(file) : {};
+
+    this.locales.set(cacheKey, translations);
+    return translations;
+  }
+
+  /**
+   * Gets the URL of a theme asset.
+   * @param {string} name - The asset file name
+   * @returns {string}
+   */
+  assetUrl(name) {
+    return `/assets/${name}`;
+  }
+
+  /**
+   * Renders a page: the template's sections inside the layout.
+   *
+   * @param {string} templateName - The template name, e.g. `product` or `page.contact`
+   * @param {RenderState} state - The render state for the request
+   * @returns {Promise<string>} The page HTML
+   */
+  async renderPage(templateName, state) {
+    const jsonTemplate = path.join(this.root, 'templates', `${templateName}.json`);
+    const liquidTemplate = path.join(this.root, 'templates', `${templateName}.liquid`);
+    let contentForLayout;
+
+    if (fs.existsSync(jsonTemplate)) {
+      const template = readJSON(jsonTemplate);
+      if (template.layout !== undefined) state.layout = template.layout;
+
+      contentForLayout = await this.renderSections(template, `template--${THEME_ID}`, state);
+    } else if (fs.existsSync(liquidTemplate)) {
+      contentForLayout = await this.#renderFile(liquidTemplate, {}, state);
+    } else {
+      throw new Error(`Template ${templateName} not found`);
+    }
+
+    if (state.layout === false || state.layout === 'none') return contentForLayout;
+
+    state.globals.content_for_layout = contentForLayout;
+    return this.#renderFile(path.join(this.root, 'layout', `${state.layout}.liquid`), {}, state);
+  }
+
+  /**
+   * Renders the sections of a JSON template or section group.
+   *
+   * @param {{ sections: Record<string, SectionData>, order: string[] }} data - The template or group data
+   * @param {string} prefix - The section ID prefix, e.g. `template--dev` or `sections--dev`
+   * @param {RenderState} state - The render state for the request
+   * @param {string} [groupName] - The section group name, e.g. `header-group`
+   * @returns {Promise<string>}
+   */
+  async renderSections(data, prefix, state, groupName) {
+    let html = '';
+
+    for (const [index, key] of (data.order ?? []).entries()) {
+      const section = data.sections?.[key];
+      if (!section || section.disabled) continue;
+
+      html += await this.renderSection(`${prefix}__${key}`, section, state, { index: index + 1, groupName });
+    }
+
+    return html;
+  }
+
+  /**
+   * Renders a section group file such as `sections/header-group.json`.
+   * @param {string} name - The group name
+   * @param {RenderState} state - The render state for the request
+   * @returns {Promise<string>}
+   */
+  async renderSectionGroup(name, state) {
+    const file = path.join(this.root, 'sections', `${name}.json`);
+    if (!fs.existsSync(file)) return '';
+
+    return this.renderSections(readJSON(file), `sections--${THEME_ID}`, state, name);
+  }
+
+  /**
+   * Renders one section of a page for the Section Rendering API.
+   *
+   * The ID is looked up in the page's JSON template (`template--dev__{key}`) and in the section
+   * groups (`sections--dev__{key}`). Any other ID is rendered as a section file of that name, like
+   * Shopify does for static sections and `section_id=section-rendering-product-card`.
+   *
+   * @param {string} sectionId - The section ID
+   * @param {string} templateName - The template of the page the section is rendered for
+   * @param {RenderState} state - The render state for the request
+   * @returns {Promise<string | null>} The section HTML, or null when there's no such section
+   */
+  async renderSectionById(sectionId, templateName, state) {
+    const [, prefix, key] = sectionId.match(/^(template|sections)--[\w-]+?__(.+)$/) ?? [];
+
+    if (prefix === 'template' && key) {
+      const file = path.join(this.root, 'templates', `${templateName}.json`);
+      const template = fs.existsSync(file) ? readJSON(file) : {};
+      const data = template.sections?.[key];
+      if (!data || data.disabled) return null;
+
+      return this.renderSection(sectionId, data, state, { index: template.order.indexOf(key) + 1 });
+    }
+
+    if (prefix === 'sections' && key) {
+      for (const file of fs.readdirSync(path.join(this.root, 'sections'))) {
+        if (!file.endsWith('.json')) continue;
+
+        const group = readJSON(path.join(this.root, 'sections', file));
+        const data = group.sections?.[key];
+        if (!data || data.disabled) continue;
+
+        const groupName = path.basename(file, '.json');
+        return this.renderSection(sectionId, data, state, { index: group.order.indexOf(key) + 1, groupName });
+      }
+
+      return null;
+    }
+
+    if (!/^[\w-]+$/.test(sectionId) || !fs.existsSync(path.join(this.root, 'sections', `${sectionId}.liquid`))) {
+      return null;
+    }
+
+    return this.renderSection(sectionId, { type: sectionId }, state);
+  }
+
+  /**
+   * Renders a section, wrapped in the `shopify-section` element.
+   *
+   * @param {string} id - The section ID
+   * @param {SectionData} data - The section data from the template or group
+   * @param {RenderState} state - The render state for the request
+   * @param {{ index?: number, groupName?: string }} [options]
+   * @returns {Promise<string>}
+   */
+  async renderSection(id, data, state, { index = 1, groupName } = {}) {
+    const file = path.join(this.root, 'sections', `${data.type}.liquid`);
+
+    if (!fs.existsSync(file)) {
+      return `<!-- Section ${escapeHTML(data.type)} not found -->`;
+    }
+
+    const schema = this.getSchema(file);
+    const settings = this.resolveSettings(schema.settings ?? [], data.settings ?? {}, state.store, state.globals.settings?.color_schemes);
+    const closest = pageResources(state.globals);
+    const blocks = data.blocks ?? {};
+    const blockOrder = data.block_order ?? Object.keys(blocks);
+
+    const section = {
+      id,
+      settings: interpolateSettings(settings, { closest }),
+      index,
+      index0: index - 1,
+      location: groupName ? groupName.replace(/-group$/, '') : 'template',
+      shopify_attributes: '',
+      blocks: blockOrder
+        .filter((blockId) => blocks[blockId] && !blocks[blockId]?.disabled)
+        .map((blockId) => this.#createBlock(blockId, /** @type {BlockData} */ (blocks[blockId]), state, closest)),
+    };
+
+    /** @type {RenderNode} */
+    const node = { id, blocks, blockOrder, closest, section };
+    const classes = ['shopify-section', groupName && `shopify-section-group-${groupName}`, schema.class].filter(Boolean);
+    const tag = schema.tag ?? 'div';
+
+    let html;
+    try {
+      html = await this.#renderFile(file, { section, closest }, state, node);
+    } catch (error) {
+      html = liquidError(file, this.root, error);
+    }
+
+    const attributes = `id="shopify-section-${escapeHTML(id)}" class="${classes.join(' ')}"`;
+
+    // Shopify doesn't output `data-section-type`: live reload finds the sections of a changed file with it
+    return `<${tag} ${attributes} data-section-type="${escapeHTML(data.type)}">${html}</${tag}>`;
+  }
+
+  /**
+   * Renders a block file.
+   *
+   * @param {string} id - The block ID
+   * @param {BlockData} data - The block data
+   * @param {RenderState} state - The render state for the request
+   * @param {RenderNode} parent - The section or block rendering this block
+   * @param {Record<string, any>} [variables] - Extra variables passed by `content_for 'block'`
+   * @returns {Promise<string>}
+   */
+  async renderBlock(id, data, state, parent, variables = {}) {
+    const file = path.join(this.root, 'blocks', `${data.type}.liquid`);
+
+    if (!fs.existsSync(file)) return '';
+
+    /** @type {Record<string, any>} */
+    const closest = { ...parent.closest };
+    /** @type {Record<string, any>} */
+    const params = {};
+
+    for (const [key, value] of Object.entries(variables)) {
+      if (key.startsWith('closest.')) {
+        closest[key.slice('closest.'.length)] = value;
+      } else {
+        params[key] = value;
+      }
+    }
+
+    const block = this.#createBlock(id, data, state, closest);
+    const blocks = data.blocks ?? {};
+
+    /** @type {RenderNode} */
+    const node = { id, blocks, blockOrder: data.block_order ?? Object.keys(blocks), closest, section: parent.section };
+
+    try {
+      return await this.#renderFile(file, { ...params, section: parent.section, block, closest }, state, node);
+    } catch (error) {
+      return liquidError(file, this.root, error);
+    }
+  }
+
+  /**
+   * Creates the `block` drop.
+   * @param {string} id - The block ID
+   * @param {BlockData} data - The block data
+   * @param {RenderState} state - The render state for the request
+   * @param {Record<string, any>} closest - The closest resources
+   * @returns {Record<string, any>}
+   */
+  #createBlock(id, data, state, closest) {
+    const file = path.join(this.root, 'blocks', `${data.type}.liquid`);
+    const schema = fs.existsSync(file) ? this.getSchema(file) : {};
+    const settings = this.resolveSettings(
+      schema.settings ?? [],
+      data.settings ?? {},
+      state.store,
+      state.globals.settings?.color_schemes
+    );
+
+    return {
+      id,
+      type: data.type,
+      settings: interpolateSettings(settings, { closest }),
+      shopify_attributes: '',
+    };
+  }
+
+  /**
+   * Renders a Liquid file with a fresh scope.
+   *
+   * @param {string} file - The absolute path of the file
+   * @param {Record<string, any>} scope - The local variables
+   * @param {RenderState} state - The render state for the request
+   * @param {RenderNode} [node] - The section or block the file renders
+   * @returns {Promise<string>}
+   */
+  async #renderFile(file, scope, state, node) {
+    const templates = await this.engine.parseFile(file);
+
+    // Snippets rendered by a section or block can read its `section`, `block` and `closest` objects
+    const { section, block, closest } = scope;
+    const globals = { ...state.globals, ...(section && { section }), ...(block && { block }), ...(closest && { closest }) };
+    Object.defineProperty(globals, RENDER_STATE, { value: state });
+
+    return this.engine.render(templates, { ...scope, [RENDER_STATE]: node }, { globals });
+  }
+}
+
+/**
+ * The resources of the current page that `closest` resolves to in sections.
+ * @param {Record<string, any>} globals - The global Liquid objects
+ * @returns {Record<string, any>}
+ */
+function pageResources(globals) {
+  /** @type {Record<string, any>} */
+  const resources = {};
+
+  for (const name of ['product', 'collection', 'page', 'blog', 'article']) {
+    if (globals[name]) resources[name] = globals[name];
+  }
+
+  return resources;
+}
+
+/**
+ * Replaces dynamic sources such as `{{ closest.product.title }}` in text settings.
+ * @param {Record<string, any>} settings - The resolved settings
+ * @param {Record<string, any>} scope - The objects dynamic sources can reference
+ * @returns {Record<string, any>}
+ */
+function interpolateSettings(settings, scope) {
+  /** @param {string} expression */
+  const resolve = (expression) =>
+    expression.split('.').reduce((/** @type {any} */ object, key) => object?.[key], scope);
+
+  for (const [id, value] of Object.entries(settings)) {
+    if (typeof value !== 'string' || !value.includes('{{')) continue;
+
+    // A setting that is only a dynamic source, like a product setting set to `{{ closest.product }}`, gets the object itself
+    const source = value.match(DYNAMIC_SOURCE);
+    if (source?.[1]) {
+      settings[id] = resolve(source[1]) ?? null;
+      continue;
+    }
+
+    settings[id] = value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, expression) => {
+      const resolved = resolve(expression);
+      return resolved == null ? '' : String(resolved);
+    });
+  }
+
+  return settings;
+}
+
+/**
+ * Converts a `shopify://` URL setting to a storefront path.
+ * @param {unknown} value - The saved URL
+ * @returns {string | null}
+ */
+function resolveUrl(value) {
+  if (typeof value !== 'string' || !value) return null;
+
+  const match = value.match(/^shopify:\/\/(\w+)\/?(.*)$/);
+  if (!match) return value;
+
+  const [, type, handle] = match;
+  switch (type) {
+    case 'collections':
+    case 'products':
+    case 'pages':
+    case 'blogs':
+      return `/${type}/${handle}`;
+    case 'search':
+      return '/search';
+    default:
+      return '/';
+  }
+}
+
+/**
+ * Looks up a dotted key in a nested object.
+ * @param {Record<string, any>} object
+ * @param {string} key
+ * @returns {any}
+ */
+function lookup(object, key) {
+  return key.split('.').reduce((value, part) => value?.[part], /** @type {any} */ (object));
+}
+
+/**
+ * Formats a render error the way Shopify reports Liquid errors inline.
+ * @param {string} file - The file that failed
+ * @param {string} root - The theme root
+ * @param {unknown} error - The error
+ * @returns {string}
+ */
+function liquidError(file, root, error) {
+  const message = error instanceof Error ? error.message : String(error);
+  console.error(`Liquid error (${path.relative(root, file)}): ${message}`);
+
+  return `Liquid error (${escapeHTML(path.relative(root, file))}): ${escapeHTML(message)}`;
+}
+
+module.exports = { Theme, THEME_ID, THEME_DIRECTORIES };
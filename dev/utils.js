@@ -0,0 +1,227 @@
+const fs = require('fs');
+
+/**
+ * Reads a theme JSON file.
+ *
+ * Theme JSON files may start with the auto-generated banner comment and locale files
+ * can contain `//` comments, so both are stripped before parsing.
+ *
+ * @param {string} file - The absolute path of the file
+ * @returns {any} The parsed JSON
+ */
+function readJSON(file) {
+  return JSON.parse(stripJSONComments(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Removes block and line comments that are outside of string literals.
+ * @param {string} source - The JSON source
+ * @returns {string} The JSON source without comments
+ */
+function stripJSONComments(source) {
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += next ?? '';
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 1;
+    } else if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i + 2);
+      i = end === -1 ? source.length : end - 1;
+    } else {
+      output += char;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Converts a string to a Shopify style handle.
+ * @param {string} value - The string to handleize
+ * @returns {string} The handle
+ */
+function handleize(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/['"]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Formats an amount in cents with a Shopify money format such as `${{amount}}`.
+ * @param {number} cents - The amount in cents
+ * @param {string} format - The money format
+ * @returns {string} The formatted amount
+ */
+function formatMoney(cents, format) {
+  const value = Number(cents) || 0;
+
+  return format.replace(/\{\{\s*(\w+)\s*\}\}/, (_, placeholder) => {
+    switch (placeholder) {
+      case 'amount_no_decimals':
+        return groupDigits((value / 100).toFixed(0), ',', '.');
+      case 'amount_with_comma_separator':
+        return groupDigits((value / 100).toFixed(2), '.', ',');
+      case 'amount_no_decimals_with_comma_separator':
+        return groupDigits((value / 100).toFixed(0), '.', ',');
+      case 'amount_with_apostrophe_separator':
+        return groupDigits((value / 100).toFixed(2), "'", '.');
+      default:
+        return groupDigits((value / 100).toFixed(2), ',', '.');
+    }
+  });
+}
+
+/**
+ * Adds thousands separators to a fixed point number string.
+ * @param {string} fixed - The number, e.g. `1234.50`
+ * @param {string} thousands - The thousands separator
+ * @param {string} decimal - The decimal separator
+ * @returns {string} The grouped number
+ */
+function groupDigits(fixed, thousands, decimal) {
+  const [integer = '0', fraction] = fixed.split('.');
+  const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+
+  return fraction ? `${grouped}${decimal}${fraction}` : grouped;
+}
+
+/**
+ * Escapes a string for use in HTML text and attribute values.
+ * @param {unknown} value - The value to escape
+ * @returns {string} The escaped string
+ */
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Reads the content of the `{% stylesheet %}` or `{% javascript %}` tag of a Liquid file.
+ * @param {string} source - The Liquid source
+ * @param {'stylesheet' | 'javascript'} tag - The tag
+ * @returns {string} The trimmed content, empty without the tag
+ */
+function extractAssetTag(source, tag) {
+  const pattern = new RegExp(`\\{%-?\\s*${tag}\\s*-?%\\}([\\s\\S]*?)\\{%-?\\s*end${tag}\\s*-?%\\}`);
+
+  return source.match(pattern)?.[1]?.trim() ?? '';
+}
+
+/**
+ * Builds an object from form fields that use bracket notation, e.g. `properties[Engraving]` or
+ * `items[0][id]`. Repeated names without brackets become arrays.
+ *
+ * @param {[string, string][]} entries - The field names and values
+ * @returns {Record<string, any>}
+ */
+function parseNestedParams(entries) {
+  /** @type {Record<string, any>} */
+  const result = {};
+
+  for (const [name, value] of entries) {
+    const [head = '', ...rest] = name.replace(/\]/g, '').split('[');
+    const keys = [head, ...rest];
+    /** @type {any} */
+    let target = result;
+
+    keys.forEach((key, index) => {
+      const last = index === keys.length - 1;
+
+      if (!last) {
+        target[key] ??= /^\d*$/.test(keys[index + 1] ?? '') ? [] : {};
+        target = target[key];
+      } else if (key === '' && Array.isArray(target)) {
+        target.push(value);
+      } else if (key in target && !rest.length) {
+        target[key] = [].concat(target[key], /** @type {any} */ (value));
+      } else {
+        target[key] = value;
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Reads the cookies of a request.
+ * @param {import('express').Request} req
+ * @returns {Record<string, string>}
+ */
+function parseCookies(req) {
+  return Object.fromEntries(
+    (req.get('cookie') ?? '')
+      .split(';')
+      .map((cookie) => cookie.trim().split('='))
+      .filter(([name]) => name)
+      .map(([name, value = '']) => [name, decodeURIComponent(value)])
+  );
+}
+
+/**
+ * Parses `multipart/form-data` bodies, as sent by `fetch` with a `FormData` body, with bracket
+ * notation nesting (`properties[Engraving]`, `items[0][id]`).
+ *
+ * @type {import('express').RequestHandler}
+ */
+async function parseBody(req, res, next) {
+  if (!Buffer.isBuffer(req.body)) {
+    req.body = req.body ?? {};
+    return next();
+  }
+
+  try {
+    const request = new Request('http://localhost', {
+      method: 'POST',
+      headers: { 'content-type': req.get('content-type') ?? '' },
+      body: req.body,
+    });
+    const formData = await request.formData();
+    const entries = [...formData.entries()].filter((entry) => typeof entry[1] === 'string');
+
+    req.body = parseNestedParams(/** @type {[string, string][]} */ (entries));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  readJSON,
+  stripJSONComments,
+  handleize,
+  formatMoney,
+  escapeHTML,
+  extractAssetTag,
+  parseNestedParams,
+  parseCookies,
+  parseBody,
+};
+
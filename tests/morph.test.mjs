@@ -0,0 +1,249 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { morph } = await import('@theme/morph');
+
+/**
+ * @param {string} html
+ * @returns {HTMLElement}
+ */
+function render(html) {
+  const element = document.createElement('div');
+  element.innerHTML = html;
+  return element;
+}
+
+/**
+ * Records the children moved within a parent, moving a node detaches it.
+ * @param {HTMLElement} parent
+ * @returns {Node[]}
+ */
+function trackMoves(parent) {
+  const moved = [];
+  const insertBefore = parent.insertBefore;
+
+  parent.insertBefore = function (node, reference) {
+    if (node.parentNode === this) moved.push(node);
+    return insertBefore.call(this, node, reference);
+  };
+
+  return moved;
+}
+
+/**
+ * @param {HTMLElement} parent
+ * @returns {string[]}
+ */
+function keys(parent) {
+  return Array.from(parent.children, (child) => child.id || child.getAttribute('data-key'));
+}
+
+describe('morph', () => {
+  it('throws without both trees', () => {
+    assert.throws(() => morph(render(''), ''), /Both oldTree and newTree must be provided/);
+  });
+
+  it('morphs a string of HTML into the children of the tree', () => {
+    const tree = render('<p class="a">Old</p>');
+    const paragraph = tree.firstChild;
+
+    assert.equal(morph(tree, '<div><p class="b">New</p><span>Added</span></div>'), tree);
+    assert.equal(tree.innerHTML, '<p class="b">New</p><span>Added</span>');
+    assert.equal(tree.firstChild, paragraph);
+  });
+
+  describe('keyed reconciliation', () => {
+    it('keeps the nodes of reordered children', () => {
+      const tree = render('<p id="a">A</p><p id="b">B</p><p id="c">C</p>');
+      const [a, b, c] = tree.children;
+
+      morph(tree, '<div><p id="c">C</p><p id="a">A</p><p id="b">B</p></div>');
+
+      assert.deepEqual(keys(tree), ['c', 'a', 'b']);
+      assert.deepEqual(Array.from(tree.children), [c, a, b]);
+    });
+
+    it('only moves the children out of the longest run that is already in order', () => {
+      const tree = render('<p id="a"></p><p id="b"></p><p id="c"></p><p id="d"></p><p id="e"></p>');
+      const [a, , , , e] = tree.children;
+      const moved = trackMoves(tree);
+
+      morph(tree, '<div><p id="e"></p><p id="b"></p><p id="c"></p><p id="d"></p><p id="a"></p></div>');
+
+      assert.deepEqual(keys(tree), ['e', 'b', 'c', 'd', 'a']);
+      assert.deepEqual(moved, [a, e]);
+    });
+
+    it('moves a single child to the front with one move', () => {
+      const tree = render('<p id="a"></p><p id="b"></p><p id="c"></p><p id="d"></p>');
+      const d = tree.lastElementChild;
+      const moved = trackMoves(tree);
+
+      morph(tree, '<div><p id="d"></p><p id="a"></p><p id="b"></p><p id="c"></p></div>');
+
+      assert.deepEqual(keys(tree), ['d', 'a', 'b', 'c']);
+      assert.deepEqual(moved, [d]);
+    });
+
+    it('reverses children', () => {
+      const tree = render('<p id="a"></p><p id="b"></p><p id="c"></p><p id="d"></p>');
+      const [a, b, c, d] = tree.children;
+      const moved = trackMoves(tree);
+
+      morph(tree, '<div><p id="d"></p><p id="c"></p><p id="b"></p><p id="a"></p></div>');
+
+      assert.deepEqual(Array.from(tree.children), [d, c, b, a]);
+      assert.equal(moved.length, 3);
+    });
+
+    it("doesn't move children that are already in order", () => {
+      const tree = render('<p id="a">A</p><p id="b">B</p>');
+      const moved = trackMoves(tree);
+
+      morph(tree, '<div><p id="a">A2</p><p id="b">B2</p></div>');
+
+      assert.equal(tree.innerHTML, '<p id="a">A2</p><p id="b">B2</p>');
+      assert.deepEqual(moved, []);
+    });
+
+    it('matches the children by their data-key attribute', () => {
+      const tree = render('<li data-key="1:a" class="line">1</li><li data-key="2:b" class="line">2</li>');
+      const [first, second] = tree.children;
+
+      morph(
+        tree,
+        '<div><li data-key="2:b" class="line">2</li><li data-key="1:a" class="line line--updated">1</li></div>'
+      );
+
+      assert.deepEqual(Array.from(tree.children), [second, first]);
+      assert.equal(first.className, 'line line--updated');
+    });
+
+    it('matches the children by the getNodeKey option', () => {
+      const tree = render('<p title="a"></p><p title="b"></p>');
+      const [a, b] = tree.children;
+      const getNodeKey = (node) => (node instanceof Element ? (node.getAttribute('title') ?? undefined) : undefined);
+
+      morph(tree, '<div><p title="b"></p><p title="a"></p></div>', { childrenOnly: true, getNodeKey });
+
+      assert.deepEqual(Array.from(tree.children), [b, a]);
+    });
+
+    it('removes the children that are gone and adds the new ones', () => {
+      const tree = render('<p id="a">A</p><p id="b">B</p><p id="c">C</p>');
+      const [a, , c] = tree.children;
+
+      morph(tree, '<div><p id="c">C</p><p id="d">D</p><p id="a">A</p></div>');
+
+      assert.deepEqual(keys(tree), ['c', 'd', 'a']);
+      assert.equal(tree.children[0], c);
+      assert.equal(tree.children[2], a);
+    });
+
+    it('keeps the unkeyed children around the keyed ones', () => {
+      const tree = render('<h2>Title</h2><p id="a">A</p><p id="b">B</p><footer>Old</footer>');
+      const [heading, a, b, footer] = tree.children;
+
+      morph(tree, '<div><h2>Title</h2><p id="b">B</p><p id="a">A</p><footer>New</footer></div>');
+
+      assert.equal(tree.innerHTML, '<h2>Title</h2><p id="b">B</p><p id="a">A</p><footer>New</footer>');
+      assert.deepEqual(Array.from(tree.children), [heading, b, a, footer]);
+    });
+
+    it("doesn't morph a keyed child into a child with another tag", () => {
+      const tree = render('<p id="a">A</p><p id="b">B</p>');
+      const b = tree.lastElementChild;
+
+      morph(tree, '<div><span id="a">A</span><p id="b">B</p></div>');
+
+      assert.equal(tree.innerHTML, '<span id="a">A</span><p id="b">B</p>');
+      assert.equal(tree.lastElementChild, b);
+    });
+
+    it('morphs by position when keys are duplicated', () => {
+      const tree = render('<p data-key="a">1</p><p data-key="a">2</p>');
+
+      morph(tree, '<div><p data-key="a">3</p><p data-key="a">4</p></div>');
+
+      assert.equal(tree.innerHTML, '<p data-key="a">3</p><p data-key="a">4</p>');
+    });
+  });
+
+  describe('reject rules', () => {
+    it("doesn't add whitespace text nodes in front of the old children", () => {
+      const tree = render('<p>A</p>');
+
+      morph(tree, '<div>\n  <p>B</p></div>');
+
+      assert.equal(tree.innerHTML, '<p>B</p>');
+    });
+
+    it("doesn't add the comment of the Section Rendering API", () => {
+      const tree = render('<p>A</p>');
+
+      morph(tree, '<div><!--shopify:rendered_by_section_api--><p>A</p></div>');
+
+      assert.equal(tree.innerHTML, '<p>A</p>');
+    });
+
+    it('keeps the other comments', () => {
+      const tree = render('<p>A</p>');
+
+      morph(tree, '<div><!--note--><p>A</p></div>');
+
+      assert.equal(tree.innerHTML, '<!--note--><p>A</p>');
+    });
+  });
+
+  describe('shadow root templates', () => {
+    const html = '<x-card><template shadowrootmode="open"><slot></slot></template><span>New</span></x-card>';
+
+    it("ignores the template of a component that's already initialized", () => {
+      const tree = render('<x-card><span>Old</span></x-card>');
+      const card = /** @type {HTMLElement} */ (tree.firstChild);
+      const shadowRoot = card.attachShadow({ mode: 'open' });
+      shadowRoot.innerHTML = '<slot></slot>';
+
+      morph(tree, `<div>${html}</div>`);
+
+      assert.equal(card.innerHTML, '<span>New</span>');
+      assert.equal(card.shadowRoot, shadowRoot);
+    });
+
+    it('adds the template of a component without a shadow root', () => {
+      const tree = render('<x-card><span>Old</span></x-card>');
+
+      morph(tree, `<div>${html}</div>`);
+
+      assert.equal(tree.innerHTML, html);
+    });
+  });
+
+  describe('special elements', () => {
+    it('keeps the open state of details', () => {
+      const tree = render('<details open><summary>A</summary></details>');
+
+      morph(tree, '<div><details><summary>B</summary></details></div>');
+
+      assert.equal(tree.querySelector('details')?.open, true);
+    });
+
+    it('updates the value of inputs', () => {
+      const tree = render('<input value="1">');
+      const input = /** @type {HTMLInputElement} */ (tree.firstChild);
+      input.value = '5';
+
+      morph(tree, '<div><input value="2"></div>');
+
+      assert.equal(input.value, '2');
+    });
+
+    it('skips the subtrees both trees skip', () => {
+      const tree = render('<div data-skip-subtree-update><p>Old</p></div>');
+
+      morph(tree, '<div><div data-skip-subtree-update><p>New</p></div></div>');
+
+      assert.equal(tree.innerHTML, '<div data-skip-subtree-update=""><p>Old</p></div>');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/*
+ * Sets up a browser-like environment for the theme scripts: the globals of a happy-dom window, the
+ * classes of `critical.js` and the `@theme/*` import map of `snippets/scripts.liquid`.
+ * Loaded with `--import` before the tests, the theme modules are imported as the browser would.
+ */
+import { register } from 'node:module';
+import { readFileSync } from 'node:fs';
+import { runInThisContext } from 'node:vm';
+import { Window } from 'happy-dom';
+
+register(
+  'data:text/javascript,' +
+    encodeURIComponent(`
+      const assets = ${JSON.stringify(new URL('../assets/', import.meta.url).href)};
+
+      export async function resolve(specifier, context, next) {
+        if (specifier.startsWith('@theme/')) {
+          return { url: assets + specifier.slice('@theme/'.length) + '.js', format: 'module', shortCircuit: true };
+        }
+
+        return next(specifier, context);
+      }
+    `)
+);
+
+const window = new Window({ url: 'http://localhost/' });
+
+for (const key of Object.getOwnPropertyNames(window)) {
+  if (key in globalThis || !/^[A-Z]/.test(key)) continue;
+
+  globalThis[key] = window[key];
+}
+
+Object.assign(globalThis, {
+  window,
+  document: window.document,
+  customElements: window.customElements,
+  location: window.location,
+  history: window.history,
+  localStorage: window.localStorage,
+  sessionStorage: window.sessionStorage,
+  requestAnimationFrame: window.requestAnimationFrame.bind(window),
+  getComputedStyle: window.getComputedStyle.bind(window),
+  matchMedia: window.matchMedia.bind(window),
+  Theme: { translations: {}, routes: {}, utilities: {} },
+  Shopify: {},
+});
+
+// happy-dom doesn't reflect the attribute of declarative shadow roots
+if (!('shadowRootMode' in HTMLTemplateElement.prototype)) {
+  Object.defineProperty(HTMLTemplateElement.prototype, 'shadowRootMode', {
+    get() {
+      const mode = this.getAttribute('shadowrootmode')?.toLowerCase();
+      return mode === 'open' || mode === 'closed' ? mode : '';
+    },
+  });
+}
+
+runInThisContext(readFileSync(new URL('../assets/critical.js', import.meta.url), 'utf8'));